@@ -47,7 +47,10 @@ fi
 
 # Run database migrations
 echo "🗄️  Running database migrations..."
+# Converts legacy JSON-string embeddings before Prisma touches the column, then builds the vector index
+docker-compose exec api npm run db:migrate:embeddings
 docker-compose exec api npx prisma migrate deploy
+docker-compose exec api npm run db:migrate:embeddings
 
 # Generate Prisma client
 echo "🔧 Generating Prisma client..."
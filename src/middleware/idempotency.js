@@ -0,0 +1,65 @@
+const IdempotencyService = require('../services/idempotencyService');
+const logger = require('../utils/logger');
+
+const idempotencyService = new IdempotencyService();
+
+// Honors an Idempotency-Key header on create endpoints: the first response is stored and
+// replayed to retries with the same key and body until the key expires. Server errors
+// release the key so the retry is processed again
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be at most 255 characters',
+    });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+
+  let claim;
+  try {
+    claim = await idempotencyService.begin(key, scope, idempotencyService.hashRequest(req.body));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error handling idempotency key:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process Idempotency-Key',
+      message: error.message,
+    });
+  }
+
+  if (claim.replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.replay.statusCode).json(claim.replay.response);
+  }
+
+  // Store the response before it is sent, so a retry never sees a half-finished key
+  const json = res.json.bind(res);
+  res.json = body => {
+    const settle = res.statusCode >= 500
+      ? idempotencyService.release(claim.record.id)
+      : idempotencyService.complete(claim.record.id, res.statusCode, body);
+
+    settle
+      .catch(error => logger.error(`Error settling idempotency key ${key}:`, error))
+      .finally(() => json(body));
+
+    return res;
+  };
+
+  next();
+};
+
+module.exports = idempotency;
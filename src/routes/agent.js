@@ -2,22 +2,39 @@ const express = require('express');
 const Joi = require('joi');
 const { PrismaClient } = require('@prisma/client');
 const AgentService = require('../services/agentService');
+const { retrievalScoringSchema, evolutionPolicySchema, tagSchema } = require('../utils/validation');
+const ReembeddingService = require('../services/reembeddingService');
+const ContextService = require('../services/contextService');
+const MemoryService = require('../services/memoryService');
+const TagService = require('../services/tagService');
+const ProcedureExecutionService = require('../services/procedureExecutionService');
+const idempotency = require('../middleware/idempotency');
+const { formatETag, parseIfMatch } = require('../utils/etag');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 const agentService = new AgentService();
+const reembeddingService = new ReembeddingService();
+const contextService = new ContextService();
+const memoryService = new MemoryService();
+const tagService = new TagService();
+const procedureExecutionService = new ProcedureExecutionService();
 
 // Validation schemas
 const createAgentSchema = Joi.object({
   name: Joi.string().min(1).max(100).required(),
   description: Joi.string().max(500).optional(),
   metadata: Joi.object().optional(),
+  retrievalScoring: retrievalScoringSchema.optional(),
+  evolutionPolicy: evolutionPolicySchema.optional(),
 });
 
 const updateAgentSchema = Joi.object({
   name: Joi.string().min(1).max(100).optional(),
   description: Joi.string().max(500).optional(),
+  retrievalScoring: retrievalScoringSchema.allow(null).optional(),
+  evolutionPolicy: evolutionPolicySchema.allow(null).optional(),
 });
 
 const createSessionSchema = Joi.object({
@@ -26,8 +43,51 @@ const createSessionSchema = Joi.object({
   metadata: Joi.object().optional(),
 });
 
+const endSessionSchema = Joi.object({
+  workingMemories: Joi.string().valid('keep', 'expire', 'promote').optional(),
+  promoteTo: Joi.string().valid('EPISODIC', 'SEMANTIC', 'PROCEDURAL').optional(),
+});
+
+const createEmbeddingJobSchema = Joi.object({
+  provider: Joi.string().max(50).optional(),
+  model: Joi.string().max(200).optional(),
+  batchSize: Joi.number().integer().min(1).max(500).optional(),
+});
+
+// Repeat `tags` to require several
+const listMemoriesSchema = Joi.object({
+  type: Joi.string().valid('EPISODIC', 'SEMANTIC', 'PROCEDURAL', 'WORKING', 'ARCHIVED').optional(),
+  sessionId: Joi.string().uuid().optional(),
+  minImportance: Joi.number().min(0).max(1).optional(),
+  maxImportance: Joi.number().min(0).max(1).optional(),
+  createdAfter: Joi.date().iso().optional(),
+  createdBefore: Joi.date().iso().optional(),
+  tags: Joi.array().items(tagSchema).max(20).single().optional(),
+  sort: Joi.string().valid('created', 'accessed', 'importance', 'accessCount').default('created'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string().max(500).optional(),
+});
+
+const assembleContextSchema = Joi.object({
+  query: Joi.string().min(1).max(1000).required(),
+  tokenBudget: Joi.number().integer().min(1).max(200000).required(),
+  sessionId: Joi.string().uuid().optional(),
+  types: Joi.array()
+    .items(Joi.string().valid('EPISODIC', 'SEMANTIC', 'PROCEDURAL', 'WORKING'))
+    .min(1)
+    .unique()
+    .optional(),
+  perTypeLimit: Joi.number().integer().min(1).max(50).default(5),
+  mode: Joi.string().valid('semantic', 'lexical', 'hybrid').default('hybrid'),
+  minSimilarity: Joi.number().min(0).max(1).optional(),
+  minLinkStrength: Joi.number().min(0).max(1).default(0.7),
+  maxLinkedPerMemory: Joi.number().integer().min(0).max(20).default(3),
+  diversify: Joi.boolean().default(true),
+});
+
 // Create a new agent
-router.post('/', async (req, res) => {
+router.post('/', idempotency, async (req, res) => {
   try {
     const { error, value } = createAgentSchema.validate(req.body);
     if (error) {
@@ -105,6 +165,7 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    res.set('ETag', formatETag(agent.version));
     res.json({
       success: true,
       data: agent,
@@ -119,7 +180,7 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Update agent
+// Update agent; honors If-Match like memory updates
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -140,14 +201,24 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    const agent = await agentService.updateAgent(id, value);
-    
+    const agent = await agentService.updateAgent(id, value, {
+      expectedVersions: parseIfMatch(req.get('If-Match')),
+    });
+
+    res.set('ETag', formatETag(agent.version));
     res.json({
       success: true,
       data: agent,
       message: 'Agent updated successfully',
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     if (error.code === 'P2025') {
       return res.status(404).json({
         success: false,
@@ -200,7 +271,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Create a new session
-router.post('/:id/sessions', async (req, res) => {
+router.post('/:id/sessions', idempotency, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -240,6 +311,163 @@ router.post('/:id/sessions', async (req, res) => {
   }
 });
 
+// List an agent's memories with filters, sorting and cursor pagination
+router.get('/:id/memories', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid agent ID format',
+      });
+    }
+
+    const { error, value } = listMemoriesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const result = await memoryService.listMemories(id, value);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error listing agent memories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list agent memories',
+      message: error.message,
+    });
+  }
+});
+
+// Success rates of the agent's executed procedures, most reliable first
+router.get('/:id/procedures/stats', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid agent ID format',
+      });
+    }
+
+    const stats = await procedureExecutionService.getAgentProcedureStats(id);
+
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    logger.error('Error getting agent procedure stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get procedure statistics',
+      message: error.message,
+    });
+  }
+});
+
+// Get the agent's evolution policy and the settings it results in per memory type; the policy
+// itself is changed through PUT /:id
+router.get('/:id/evolution-policy', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid agent ID format',
+      });
+    }
+
+    const policy = await agentService.getEvolutionPolicy(id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    logger.error('Error getting evolution policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get evolution policy',
+      message: error.message,
+    });
+  }
+});
+
+// List an agent's tags with the number of memories carrying each
+router.get('/:id/tags', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid agent ID format',
+      });
+    }
+
+    const tags = await tagService.listTags(id);
+
+    if (!tags) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tags,
+    });
+  } catch (error) {
+    logger.error('Error listing agent tags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list agent tags',
+      message: error.message,
+    });
+  }
+});
+
 // Get agent sessions
 router.get('/:id/sessions', async (req, res) => {
   try {
@@ -289,7 +517,16 @@ router.put('/:id/sessions/:sessionId/end', async (req, res) => {
       });
     }
 
-    const session = await agentService.endSession(sessionId);
+    const { error, value } = endSessionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const session = await agentService.endSession(sessionId, value);
     
     res.json({
       success: true,
@@ -313,4 +550,211 @@ router.put('/:id/sessions/:sessionId/end', async (req, res) => {
   }
 });
 
+// Assemble a token-budgeted context block for a prompt
+router.post('/:id/context', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid agent ID format',
+      });
+    }
+
+    const { error, value } = assembleContextSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const { query, ...options } = value;
+    const context = await contextService.assembleContext(id, query, options);
+
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: context,
+    });
+  } catch (error) {
+    logger.error('Error assembling context:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assemble context',
+      message: error.message,
+    });
+  }
+});
+
+// Start re-embedding an agent's memories with another embedding model (admin endpoint)
+router.post('/:id/embedding-jobs', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid agent ID format',
+      });
+    }
+
+    const { error, value } = createEmbeddingJobSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const job = await reembeddingService.startJob(id, value);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: 'Embedding job started',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error starting embedding job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start embedding job',
+      message: error.message,
+    });
+  }
+});
+
+// List an agent's embedding jobs
+router.get('/:id/embedding-jobs', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid agent ID format',
+      });
+    }
+
+    const jobs = await reembeddingService.listJobs(id);
+
+    res.json({
+      success: true,
+      data: jobs,
+    });
+  } catch (error) {
+    logger.error('Error listing embedding jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list embedding jobs',
+      message: error.message,
+    });
+  }
+});
+
+// Get embedding job progress
+router.get('/:id/embedding-jobs/:jobId', async (req, res) => {
+  try {
+    const { id, jobId } = req.params;
+
+    if (!jobId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID format',
+      });
+    }
+
+    const job = await reembeddingService.getJob(jobId);
+
+    if (!job || job.agentId !== id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Embedding job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    logger.error('Error getting embedding job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get embedding job',
+      message: error.message,
+    });
+  }
+});
+
+// Pause or resume an embedding job
+router.post('/:id/embedding-jobs/:jobId/:action(pause|resume)', async (req, res) => {
+  try {
+    const { id, jobId, action } = req.params;
+
+    if (!jobId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID format',
+      });
+    }
+
+    const existing = await reembeddingService.getJob(jobId);
+
+    if (!existing || existing.agentId !== id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Embedding job not found',
+      });
+    }
+
+    const job = action === 'pause'
+      ? await reembeddingService.pauseJob(jobId)
+      : await reembeddingService.resumeJob(jobId);
+
+    res.json({
+      success: true,
+      data: job,
+      message: action === 'pause' ? 'Embedding job paused' : 'Embedding job resumed',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error updating embedding job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update embedding job',
+      message: error.message,
+    });
+  }
+});
+
 module.exports = router;
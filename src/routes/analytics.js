@@ -1,9 +1,12 @@
 const express = require('express');
 const { PrismaClient, Prisma } = require('@prisma/client');
+const TagService = require('../services/tagService');
+const { fromVectorSql } = require('../utils/vector');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 const prisma = new PrismaClient();
+const tagService = new TagService();
 
 // Get system metrics
 router.get('/metrics', async (req, res) => {
@@ -43,6 +46,7 @@ router.get('/metrics', async (req, res) => {
       by: ['type'],
       where: {
         createdAt: { gte: startTime },
+        deletedAt: null,
         ...(agentId && { agentId }),
       },
       _count: { id: true },
@@ -70,6 +74,7 @@ router.get('/metrics', async (req, res) => {
     const topMemories = await prisma.memory.findMany({
       where: {
         lastAccessed: { gte: startTime },
+        deletedAt: null,
         ...(agentId && { agentId }),
       },
       orderBy: { accessCount: 'desc' },
@@ -84,6 +89,9 @@ router.get('/metrics', async (req, res) => {
       },
     });
 
+    // Get tag usage among memories created in the range
+    const tagBreakdown = await tagService.getTagBreakdown(agentId, { since: startTime });
+
     // Get system performance metrics
     const systemMetrics = await prisma.systemMetrics.findMany({
       where: {
@@ -101,6 +109,7 @@ router.get('/metrics', async (req, res) => {
         accessPatterns,
         linkStats,
         topMemories,
+        tagBreakdown,
         systemMetrics,
         timestamp: now,
       },
@@ -190,32 +199,27 @@ router.get('/clustering', async (req, res) => {
   try {
     const { agentId, limit = 1000 } = req.query;
 
-    const whereClause = {
-      embedding: { not: null },
-      ...(agentId && { agentId }),
-    };
-
     // Get memories with embeddings for clustering
-    const memories = await prisma.memory.findMany({
-      where: whereClause,
-      select: {
-        id: true,
-        content: true,
-        type: true,
-        importance: true,
-        embedding: true,
-        createdAt: true,
-        accessCount: true,
-      },
-      take: parseInt(limit),
-    });
+    const rows = await prisma.$queryRaw`
+      SELECT id, content, type, importance, embedding::text AS embedding, "createdAt", "accessCount"
+      FROM memories
+      WHERE embedding IS NOT NULL
+        AND "deletedAt" IS NULL
+        ${agentId ? Prisma.sql`AND "agentId" = ${agentId}` : Prisma.empty}
+      LIMIT ${parseInt(limit)}
+    `;
+    const memories = rows.map(memory => ({
+      ...memory,
+      embedding: fromVectorSql(memory.embedding),
+    }));
 
     // Get memory links for network visualization
+    const memoryIds = memories.map(m => m.id);
     const links = await prisma.memoryLink.findMany({
       where: {
         OR: [
-          { source: { embedding: { not: null } } },
-          { target: { embedding: { not: null } } },
+          { sourceId: { in: memoryIds } },
+          { targetId: { in: memoryIds } },
         ],
       },
       select: {
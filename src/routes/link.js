@@ -0,0 +1,213 @@
+const express = require('express');
+const Joi = require('joi');
+const MemoryLinkService = require('../services/memoryLinkService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const memoryLinkService = new MemoryLinkService();
+
+const LINK_TYPES = ['SEMANTIC', 'TEMPORAL', 'CAUSAL', 'CONTEXTUAL', 'HIERARCHICAL'];
+
+// Validation schemas
+const createLinkSchema = Joi.object({
+  sourceId: Joi.string().uuid().required(),
+  targetId: Joi.string().uuid().required(),
+  linkType: Joi.string().valid(...LINK_TYPES).required(),
+  strength: Joi.number().min(0).max(1).default(1.0),
+});
+
+const updateLinkSchema = Joi.object({
+  strength: Joi.number().min(0).max(1).required(),
+});
+
+const listLinksSchema = Joi.object({
+  memoryId: Joi.string().uuid().optional(),
+  agentId: Joi.string().uuid().optional(),
+  linkType: Joi.string().valid(...LINK_TYPES).optional(),
+  origin: Joi.string().valid('SYSTEM', 'MANUAL').optional(),
+  direction: Joi.string().valid('out', 'in', 'both').default('both'),
+  minStrength: Joi.number().min(0).max(1).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+// Create a manual link
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createLinkSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const link = await memoryLinkService.createLink(value);
+
+    res.status(201).json({
+      success: true,
+      data: link,
+      message: 'Link created successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error creating link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create link',
+      message: error.message,
+    });
+  }
+});
+
+// List links, optionally around one memory or for one agent
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = listLinksSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const result = await memoryLinkService.listLinks(value);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error listing links:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list links',
+      message: error.message,
+    });
+  }
+});
+
+// Get link by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid link ID format',
+      });
+    }
+
+    const link = await memoryLinkService.getLink(id);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        error: 'Link not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: link,
+    });
+  } catch (error) {
+    logger.error('Error getting link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get link',
+      message: error.message,
+    });
+  }
+});
+
+// Update link strength
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid link ID format',
+      });
+    }
+
+    const { error, value } = updateLinkSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const link = await memoryLinkService.updateLink(id, value);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        error: 'Link not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: link,
+      message: 'Link updated successfully',
+    });
+  } catch (error) {
+    logger.error('Error updating link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update link',
+      message: error.message,
+    });
+  }
+});
+
+// Delete link
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid link ID format',
+      });
+    }
+
+    const deleted = await memoryLinkService.deleteLink(id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Link not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Link deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error deleting link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete link',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
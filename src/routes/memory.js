@@ -1,7 +1,22 @@
 const express = require('express');
 const Joi = require('joi');
 const MemoryService = require('../services/memoryService');
+const MemoryGraphService = require('../services/memoryGraphService');
+const MemoryRevisionService = require('../services/memoryRevisionService');
+const TagService = require('../services/tagService');
+const MemoryAuditService = require('../services/memoryAuditService');
+const ProceduralStepService = require('../services/proceduralStepService');
+const ProcedureExecutionService = require('../services/procedureExecutionService');
+const { retrievalScoringSchema, searchFiltersSchema, tagSchema } = require('../utils/validation');
+const idempotency = require('../middleware/idempotency');
+const { formatETag, parseIfMatch } = require('../utils/etag');
 const memoryService = new MemoryService();
+const memoryGraphService = new MemoryGraphService();
+const memoryRevisionService = new MemoryRevisionService();
+const tagService = new TagService();
+const memoryAuditService = new MemoryAuditService();
+const proceduralStepService = new ProceduralStepService();
+const procedureExecutionService = new ProcedureExecutionService();
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -13,6 +28,28 @@ const createMemorySchema = Joi.object({
   type: Joi.string().valid('EPISODIC', 'SEMANTIC', 'PROCEDURAL', 'WORKING', 'ARCHIVED').default('EPISODIC'),
   sessionId: Joi.string().uuid().optional(),
   metadata: Joi.object().optional(),
+  tags: Joi.array().items(tagSchema).max(20).optional(),
+  expiresAt: Joi.date().iso().greater('now').optional(),
+  ttlSeconds: Joi.number().integer().min(1).optional(),
+  pinned: Joi.boolean().optional(),
+  linkPreviousSession: Joi.boolean().optional(),
+  actor: Joi.string().max(200).optional(),
+  dedup: Joi.string().valid('off', 'reject', 'merge', 'link').optional(),
+  dedupThreshold: Joi.number().min(0).max(1).optional(),
+}).oxor('expiresAt', 'ttlSeconds');
+
+const bulkCreateMemoriesSchema = Joi.object({
+  agentId: Joi.string().uuid().required(),
+  memories: Joi.array().items(Joi.object({
+    content: Joi.string().min(1).max(10000).required(),
+    type: Joi.string().valid('EPISODIC', 'SEMANTIC', 'PROCEDURAL', 'WORKING', 'ARCHIVED').default('EPISODIC'),
+    sessionId: Joi.string().uuid().optional(),
+    metadata: Joi.object().optional(),
+    expiresAt: Joi.date().iso().greater('now').optional(),
+    ttlSeconds: Joi.number().integer().min(1).optional(),
+  }).oxor('expiresAt', 'ttlSeconds')).min(1).max(500).required(),
+  linkPreviousSession: Joi.boolean().optional(),
+  actor: Joi.string().max(200).optional(),
 });
 
 const updateMemorySchema = Joi.object({
@@ -20,6 +57,23 @@ const updateMemorySchema = Joi.object({
   type: Joi.string().valid('EPISODIC', 'SEMANTIC', 'PROCEDURAL', 'WORKING', 'ARCHIVED').optional(),
   importance: Joi.number().min(0).max(1).optional(),
   metadata: Joi.object().optional(),
+  expiresAt: Joi.date().iso().allow(null).optional(),
+  actor: Joi.string().max(200).optional(),
+  reason: Joi.string().max(500).optional(),
+});
+
+const revisionDiffSchema = Joi.object({
+  from: Joi.number().integer().min(1).required(),
+  to: Joi.number().integer().min(1).required(),
+});
+
+const asOfSchema = Joi.object({
+  at: Joi.date().iso().required(),
+});
+
+const restoreRevisionSchema = Joi.object({
+  actor: Joi.string().max(200).optional(),
+  reason: Joi.string().max(500).optional(),
 });
 
 const searchMemoriesSchema = Joi.object({
@@ -29,10 +83,115 @@ const searchMemoriesSchema = Joi.object({
   offset: Joi.number().integer().min(0).default(0),
   minSimilarity: Joi.number().min(0).max(1).default(0.7),
   agentId: Joi.string().uuid().required(),
+  mode: Joi.string().valid('semantic', 'lexical', 'hybrid').default('semantic'),
+  fusion: Joi.string().valid('rrf', 'weighted').default('rrf'),
+  lexicalWeight: Joi.number().min(0).max(1).default(0.5),
+  rrfK: Joi.number().integer().min(1).max(1000).default(60),
+  scoring: Joi.alternatives().try(Joi.boolean(), retrievalScoringSchema).optional(),
+  filters: searchFiltersSchema.optional(),
+  diversify: Joi.boolean().default(false),
+  mmrLambda: Joi.number().min(0).max(1).default(0.5),
+});
+
+// Query parameters shared by the graph traversal endpoints; repeat `linkTypes` to pass several
+const graphTraversalSchema = {
+  linkTypes: Joi.array()
+    .items(Joi.string().valid('SEMANTIC', 'TEMPORAL', 'CAUSAL', 'CONTEXTUAL', 'HIERARCHICAL'))
+    .single()
+    .optional(),
+  minStrength: Joi.number().min(0).max(1).default(0),
+  direction: Joi.string().valid('out', 'in', 'both').default('both'),
+};
+
+const neighborhoodSchema = Joi.object({
+  ...graphTraversalSchema,
+  depth: Joi.number().integer().min(1).max(5).default(2),
+  maxNodes: Joi.number().integer().min(1).max(2000).optional(),
+});
+
+const getMemorySchema = Joi.object({
+  includeDeleted: Joi.boolean().default(false),
+});
+
+const trashSchema = Joi.object({
+  agentId: Joi.string().uuid().required(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const pinSchema = Joi.object({
+  actor: Joi.string().max(200).optional(),
+  reason: Joi.string().max(500).optional(),
+});
+
+const auditSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const createStepSchema = Joi.object({
+  action: Joi.string().min(1).max(1000).required(),
+  parameters: Joi.object().optional(),
+  result: Joi.string().max(5000).optional(),
+  position: Joi.number().integer().min(1).optional(),
+  actor: Joi.string().max(200).optional(),
+});
+
+const updateStepSchema = Joi.object({
+  action: Joi.string().min(1).max(1000).optional(),
+  parameters: Joi.object().allow(null).optional(),
+  result: Joi.string().max(5000).allow(null).optional(),
+  actor: Joi.string().max(200).optional(),
+}).or('action', 'parameters', 'result');
+
+const reorderStepsSchema = Joi.object({
+  stepIds: Joi.array().items(Joi.string().uuid()).min(1).unique().required(),
+  actor: Joi.string().max(200).optional(),
+});
+
+const recordExecutionSchema = Joi.object({
+  status: Joi.string().valid('SUCCESS', 'FAILURE').required(),
+  durationMs: Joi.number().integer().min(0).optional(),
+  error: Joi.string().max(5000).optional(),
+  sessionId: Joi.string().uuid().optional(),
+  metadata: Joi.object().optional(),
+  steps: Joi.array().items(Joi.object({
+    stepId: Joi.string().uuid(),
+    stepNumber: Joi.number().integer().min(1),
+    status: Joi.string().valid('SUCCESS', 'FAILURE', 'SKIPPED').required(),
+    durationMs: Joi.number().integer().min(0).optional(),
+    error: Joi.string().max(5000).optional(),
+    output: Joi.any().optional(),
+  }).xor('stepId', 'stepNumber')).max(500).default([]),
+});
+
+const listExecutionsSchema = Joi.object({
+  status: Joi.string().valid('SUCCESS', 'FAILURE').optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const addTagsSchema = Joi.object({
+  tags: Joi.array().items(tagSchema).min(1).max(20).required(),
+  actor: Joi.string().max(200).optional(),
 });
 
+const pathSchema = Joi.object({
+  ...graphTraversalSchema,
+  maxDepth: Joi.number().integer().min(1).max(10).default(6),
+});
+
+// Session an access is made in, from the optional X-Session-Id header. It only attributes
+// access log entries, so a malformed value is ignored rather than rejected
+function accessSessionId(req) {
+  const sessionId = req.get('X-Session-Id');
+  return sessionId && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(sessionId)
+    ? sessionId
+    : null;
+}
+
 // Create a new memory
-router.post('/', async (req, res) => {
+router.post('/', idempotency, async (req, res) => {
   try {
     const { error, value } = createMemorySchema.validate(req.body);
     if (error) {
@@ -44,13 +203,21 @@ router.post('/', async (req, res) => {
     }
 
     const memory = await memoryService.createMemory(value.agentId, value);
-    
-    res.status(201).json({
+    const merged = memory.dedup && memory.dedup.action === 'merged';
+
+    res.status(merged ? 200 : 201).json({
       success: true,
       data: memory,
-      message: 'Memory created successfully',
+      message: merged ? 'Memory merged into an existing duplicate' : 'Memory created successfully',
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     logger.error('Error creating memory:', error);
     res.status(500).json({
       success: false,
@@ -60,7 +227,71 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get memory by ID
+// Create many memories in one request; responds 207 when only some items were created
+router.post('/bulk', idempotency, async (req, res) => {
+  try {
+    const { error, value } = bulkCreateMemoriesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const result = await memoryService.createMemories(value.agentId, value.memories, value);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found',
+      });
+    }
+
+    res.status(result.failed > 0 ? 207 : 201).json({
+      success: result.failed === 0,
+      data: result,
+      message: `Created ${result.created} of ${result.total} memories`,
+    });
+  } catch (error) {
+    logger.error('Error bulk creating memories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create memories',
+      message: error.message,
+    });
+  }
+});
+
+// List an agent's trashed memories, most recently deleted first
+router.get('/trash', async (req, res) => {
+  try {
+    const { error, value } = trashSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const result = await memoryService.listTrash(value.agentId, value);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error listing trashed memories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list trashed memories',
+      message: error.message,
+    });
+  }
+});
+
+// Get memory by ID; trashed memories are only returned with includeDeleted=true
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
@@ -72,7 +303,16 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    const memory = await memoryService.getMemoryById(id);
+    const { error, value } = getMemorySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const memory = await memoryService.getMemoryById(id, { ...value, sessionId: accessSessionId(req) });
     
     if (!memory) {
       return res.status(404).json({
@@ -81,6 +321,7 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    res.set('ETag', formatETag(memory.version));
     res.json({
       success: true,
       data: memory,
@@ -95,11 +336,11 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Update memory
-router.put('/:id', async (req, res) => {
+// Get the k-hop neighborhood of a memory in the link graph
+router.get('/:id/neighborhood', async (req, res) => {
   try {
     const { id } = req.params;
-    
+
     if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
       return res.status(400).json({
         success: false,
@@ -107,7 +348,7 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    const { error, value } = updateMemorySchema.validate(req.body);
+    const { error, value } = neighborhoodSchema.validate(req.query);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -116,28 +357,78 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    const memory = await memoryService.updateMemory(id, value);
-    
+    const graph = await memoryGraphService.getNeighborhood(id, value);
+
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
     res.json({
       success: true,
-      data: memory,
-      message: 'Memory updated successfully',
+      data: graph,
     });
   } catch (error) {
-    logger.error('Error updating memory:', error);
+    logger.error('Error getting memory neighborhood:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update memory',
+      error: 'Failed to get memory neighborhood',
       message: error.message,
     });
   }
 });
 
-// Delete memory
-router.delete('/:id', async (req, res) => {
+// Find the shortest link path between two memories
+router.get('/:id/path/:targetId', async (req, res) => {
+  try {
+    const { id, targetId } = req.params;
+
+    if (![id, targetId].every(memoryId => memoryId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = pathSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const result = await memoryGraphService.findShortestPath(id, targetId, value);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error finding memory path:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find memory path',
+      message: error.message,
+    });
+  }
+});
+
+// List a memory's revisions, newest first
+router.get('/:id/revisions', async (req, res) => {
   try {
     const { id } = req.params;
-    
+
     if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
       return res.status(400).json({
         success: false,
@@ -145,35 +436,36 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    await memoryService.deleteMemory(id);
-    
+    const revisions = await memoryRevisionService.listRevisions(id);
+
     res.json({
       success: true,
-      message: 'Memory deleted successfully',
+      data: revisions,
     });
   } catch (error) {
-    logger.error('Error deleting memory:', error);
+    logger.error('Error listing memory revisions:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete memory',
+      error: 'Failed to list memory revisions',
       message: error.message,
     });
   }
 });
 
-// Search memories
-router.post('/search', async (req, res) => {
+// Diff two revisions of a memory
+router.get('/:id/revisions/diff', async (req, res) => {
   try {
-    const { error, value } = searchMemoriesSchema.validate(req.body);
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = revisionDiffSchema.validate(req.query);
     if (error) {
-      // Check if agentId is missing
-      if (error.details.some(d => d.path.includes('agentId'))) {
-        return res.status(400).json({
-          success: false,
-          error: 'Agent ID is required for memory search',
-        });
-      }
-      
       return res.status(400).json({
         success: false,
         error: 'Validation error',
@@ -181,9 +473,889 @@ router.post('/search', async (req, res) => {
       });
     }
 
-    const { agentId, ...searchOptions } = value;
+    const diff = await memoryRevisionService.diffRevisions(id, value.from, value.to);
+
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diff,
+    });
+  } catch (error) {
+    logger.error('Error diffing memory revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff memory revisions',
+      message: error.message,
+    });
+  }
+});
+
+// Get a single revision
+router.get('/:id/revisions/:revision(\\d+)', async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const memoryRevision = await memoryRevisionService.getRevision(id, parseInt(revision));
+
+    if (!memoryRevision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: memoryRevision,
+    });
+  } catch (error) {
+    logger.error('Error getting memory revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get memory revision',
+      message: error.message,
+    });
+  }
+});
+
+// Restore a prior revision (recorded as a new revision)
+router.post('/:id/revisions/:revision(\\d+)/restore', async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = restoreRevisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const memory = await memoryService.restoreRevision(id, parseInt(revision), {
+      ...value,
+      expectedVersions: parseIfMatch(req.get('If-Match')),
+    });
 
-    const results = await memoryService.searchMemories(agentId, value.query, searchOptions);
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+      });
+    }
+
+    res.set('ETag', formatETag(memory.version));
+    res.json({
+      success: true,
+      data: memory,
+      message: `Revision ${revision} restored successfully`,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error restoring memory revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore memory revision',
+      message: error.message,
+    });
+  }
+});
+
+// Read a memory as it was at a point in time
+router.get('/:id/as-of', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = asOfSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const memoryRevision = await memoryRevisionService.getMemoryAsOf(id, value.at);
+
+    if (!memoryRevision) {
+      return res.status(404).json({
+        success: false,
+        error: 'No revision of this memory exists at that time',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: memoryRevision,
+    });
+  } catch (error) {
+    logger.error('Error getting memory as of timestamp:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get memory as of timestamp',
+      message: error.message,
+    });
+  }
+});
+
+// Update memory; send the ETag from a previous read as If-Match to avoid overwriting
+// concurrent changes (412 when the memory has moved on)
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = updateMemorySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const memory = await memoryService.updateMemory(id, value, {
+      expectedVersions: parseIfMatch(req.get('If-Match')),
+      sessionId: accessSessionId(req),
+    });
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
+    res.set('ETag', formatETag(memory.version));
+    res.json({
+      success: true,
+      data: memory,
+      message: 'Memory updated successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
+    logger.error('Error updating memory:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update memory',
+      message: error.message,
+    });
+  }
+});
+
+// Delete memory
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const result = await memoryService.deleteMemory(id, { sessionId: accessSessionId(req) });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Memory deleted successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error deleting memory:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete memory',
+      message: error.message,
+    });
+  }
+});
+
+// Restore a trashed memory
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const memory = await memoryService.restoreMemory(id);
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found in trash',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: memory,
+      message: 'Memory restored successfully',
+    });
+  } catch (error) {
+    logger.error('Error restoring memory:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore memory',
+      message: error.message,
+    });
+  }
+});
+
+// Pin or unpin a memory; pinned memories are exempt from decay, expiry, consolidation and deletion
+router.post('/:id/:action(pin|unpin)', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = pinSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const memory = await memoryService.setPinned(id, action === 'pin', value);
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
+    res.set('ETag', formatETag(memory.version));
+    res.json({
+      success: true,
+      data: memory,
+      message: action === 'pin' ? 'Memory pinned successfully' : 'Memory unpinned successfully',
+    });
+  } catch (error) {
+    logger.error(`Error updating memory pin (${req.params.action}):`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${req.params.action} memory`,
+      message: error.message,
+    });
+  }
+});
+
+// Audit trail of changes made to a memory while it was pinned, newest first
+router.get('/:id/audit', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = auditSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const result = await memoryAuditService.listEntries(id, value);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error listing memory audit entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list memory audit entries',
+      message: error.message,
+    });
+  }
+});
+
+// List a procedural memory's steps in order
+router.get('/:id/steps', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const steps = await proceduralStepService.listSteps(id);
+
+    res.json({
+      success: true,
+      data: steps,
+    });
+  } catch (error) {
+    logger.error('Error listing procedural steps:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list procedural steps',
+      message: error.message,
+    });
+  }
+});
+
+// Add a step to a procedural memory, at `position` or at the end
+router.post('/:id/steps', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = createStepSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const step = await proceduralStepService.addStep(id, value, value);
+
+    if (!step) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: step,
+      message: 'Step added successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error adding procedural step:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add procedural step',
+      message: error.message,
+    });
+  }
+});
+
+// Reorder all steps of a procedural memory at once
+router.put('/:id/steps/order', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = reorderStepsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const steps = await proceduralStepService.reorderSteps(id, value.stepIds, value);
+
+    if (!steps) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: steps,
+      message: 'Steps reordered successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error reordering procedural steps:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reorder procedural steps',
+      message: error.message,
+    });
+  }
+});
+
+// Update a step's action, parameters or result
+router.put('/:id/steps/:stepId', async (req, res) => {
+  try {
+    const { id, stepId } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    if (!stepId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid step ID format',
+      });
+    }
+
+    const { error, value } = updateStepSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const step = await proceduralStepService.updateStep(id, stepId, value, value);
+
+    if (!step) {
+      return res.status(404).json({
+        success: false,
+        error: 'Step not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: step,
+      message: 'Step updated successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error updating procedural step:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update procedural step',
+      message: error.message,
+    });
+  }
+});
+
+// Delete a step; the steps after it move up one
+router.delete('/:id/steps/:stepId', async (req, res) => {
+  try {
+    const { id, stepId } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    if (!stepId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid step ID format',
+      });
+    }
+
+    const steps = await proceduralStepService.deleteStep(id, stepId);
+
+    if (!steps) {
+      return res.status(404).json({
+        success: false,
+        error: 'Step not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: steps,
+      message: 'Step deleted successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error deleting procedural step:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete procedural step',
+      message: error.message,
+    });
+  }
+});
+
+// Record a run of a procedural memory; its success rate feeds back into its importance
+router.post('/:id/executions', idempotency, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = recordExecutionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const execution = await procedureExecutionService.recordExecution(id, value);
+
+    if (!execution) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: execution,
+      message: 'Execution recorded successfully',
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Error recording procedure execution:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record procedure execution',
+      message: error.message,
+    });
+  }
+});
+
+// List a procedure's recorded runs, newest first
+router.get('/:id/executions', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = listExecutionsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const result = await procedureExecutionService.listExecutions(id, value);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error listing procedure executions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list procedure executions',
+      message: error.message,
+    });
+  }
+});
+
+// Success rates and durations of a procedure and each of its steps
+router.get('/:id/executions/stats', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const stats = await procedureExecutionService.getProcedureStats(id);
+
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    logger.error('Error getting procedure stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get procedure statistics',
+      message: error.message,
+    });
+  }
+});
+
+// Get a memory's tags
+router.get('/:id/tags', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const tags = await tagService.getMemoryTags(id);
+
+    res.json({
+      success: true,
+      data: tags,
+    });
+  } catch (error) {
+    logger.error('Error getting memory tags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get memory tags',
+      message: error.message,
+    });
+  }
+});
+
+// Add tags to a memory; tags it already has are left as they are
+router.post('/:id/tags', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const { error, value } = addTagsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const tags = await tagService.addTags(id, value.tags, value);
+
+    if (!tags) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tags,
+      message: 'Tags added successfully',
+    });
+  } catch (error) {
+    logger.error('Error adding memory tags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add memory tags',
+      message: error.message,
+    });
+  }
+});
+
+// Remove a tag from a memory
+router.delete('/:id/tags/:tag', async (req, res) => {
+  try {
+    const { id, tag } = req.params;
+
+    if (!id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid memory ID format',
+      });
+    }
+
+    const removed = await tagService.removeTag(id, tag);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found on memory',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag removed successfully',
+    });
+  } catch (error) {
+    logger.error('Error removing memory tag:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove memory tag',
+      message: error.message,
+    });
+  }
+});
+
+// Search memories
+router.post('/search', async (req, res) => {
+  try {
+    const { error, value } = searchMemoriesSchema.validate(req.body);
+    if (error) {
+      // Check if agentId is missing
+      if (error.details.some(d => d.path.includes('agentId'))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Agent ID is required for memory search',
+        });
+      }
+      
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(d => d.message),
+      });
+    }
+
+    const { agentId, ...searchOptions } = value;
+
+    const results = await memoryService.searchMemories(agentId, value.query, {
+      ...searchOptions,
+      sessionId: accessSessionId(req),
+    });
     
     res.json({
       success: true,
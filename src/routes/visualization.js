@@ -1,5 +1,5 @@
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -10,25 +10,16 @@ router.get('/network', async (req, res) => {
   try {
     const { agentId, maxNodes = 100, minSimilarity = 0.5 } = req.query;
 
-    const whereClause = {
-      embedding: { not: null },
-      ...(agentId && { agentId }),
-    };
-
     // Get memories with their basic info
-    const memories = await prisma.memory.findMany({
-      where: whereClause,
-      select: {
-        id: true,
-        content: true,
-        type: true,
-        importance: true,
-        accessCount: true,
-        createdAt: true,
-      },
-      take: parseInt(maxNodes),
-      orderBy: { importance: 'desc' },
-    });
+    const memories = await prisma.$queryRaw`
+      SELECT id, content, type, importance, "accessCount", "createdAt"
+      FROM memories
+      WHERE embedding IS NOT NULL
+        AND "deletedAt" IS NULL
+        ${agentId ? Prisma.sql`AND "agentId" = ${agentId}` : Prisma.empty}
+      ORDER BY importance DESC
+      LIMIT ${parseInt(maxNodes)}
+    `;
 
     // Get links between these memories
     const memoryIds = memories.map(m => m.id);
@@ -37,7 +28,13 @@ router.get('/network', async (req, res) => {
         AND: [
           { sourceId: { in: memoryIds } },
           { targetId: { in: memoryIds } },
-          { similarity: { gte: parseFloat(minSimilarity) } },
+          // Links without a similarity (temporal, manual) aren't subject to the threshold
+          {
+            OR: [
+              { similarity: { gte: parseFloat(minSimilarity) } },
+              { similarity: null },
+            ],
+          },
         ],
       },
       select: {
@@ -106,6 +103,7 @@ router.get('/timeline', async (req, res) => {
 
     const whereClause = {
       createdAt: { gte: startDate },
+      deletedAt: null,
       ...(agentId && { agentId }),
     };
 
@@ -171,36 +169,26 @@ router.get('/clusters', async (req, res) => {
   try {
     const { agentId, limit = 500 } = req.query;
 
-    const whereClause = {
-      embedding: { not: null },
-      ...(agentId && { agentId }),
-    };
-
-    // Get memories with embeddings
-    const memories = await prisma.memory.findMany({
-      where: whereClause,
-      select: {
-        id: true,
-        content: true,
-        type: true,
-        importance: true,
-        embedding: true,
-        accessCount: true,
-        createdAt: true,
-      },
-      take: parseInt(limit),
-    });
+    // Get memories with embeddings; only the first two dimensions are needed for positioning
+    const memories = await prisma.$queryRaw`
+      SELECT id, content, type, importance, "accessCount", "createdAt",
+             (embedding::real[])[1:2] AS coordinates
+      FROM memories
+      WHERE embedding IS NOT NULL
+        AND "deletedAt" IS NULL
+        ${agentId ? Prisma.sql`AND "agentId" = ${agentId}` : Prisma.empty}
+      LIMIT ${parseInt(limit)}
+    `;
 
     // Simple 2D projection (in a real implementation, you'd use t-SNE or UMAP)
     // Calculate positions based on embeddings using t-SNE-like projection
     const projectedMemories = memories.map((memory, index) => {
       let x, y;
       
-      if (memory.embedding && memory.embedding.length > 0) {
+      if (memory.coordinates && memory.coordinates.length > 0) {
         // Use first two dimensions of embedding for positioning
-        const embedding = JSON.parse(memory.embedding);
-        x = (embedding[0] + 1) * 500; // Normalize to 0-1000 range
-        y = (embedding[1] + 1) * 500; // Normalize to 0-1000 range
+        x = (memory.coordinates[0] + 1) * 500; // Normalize to 0-1000 range
+        y = (memory.coordinates[1] + 1) * 500; // Normalize to 0-1000 range
       } else {
         // Fallback to circular distribution for memories without embeddings
         const angle = (index / memories.length) * 2 * Math.PI;
@@ -250,6 +238,7 @@ router.get('/heatmap', async (req, res) => {
 
     const whereClause = {
       createdAt: { gte: startDate },
+      deletedAt: null,
       ...(agentId && { agentId }),
     };
 
@@ -0,0 +1,139 @@
+const { PrismaClient } = require('@prisma/client');
+const { EMBEDDING_DIMENSIONS } = require('../utils/vector');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = parseInt(process.env.EMBEDDING_MIGRATION_BATCH_SIZE) || 500;
+
+// Every vector written before embeddings carried a model tag came from this model
+const LEGACY_MODEL_TAG = `openai/text-embedding-3-small@${EMBEDDING_DIMENSIONS}`;
+
+// Idempotent: converts the legacy JSON-string embedding column to a native pgvector
+// column, tags untagged vectors with their model and creates the ANN and full-text indexes. Run it before `prisma migrate deploy`/`db push` when
+// upgrading an existing database (otherwise Prisma drops the old column), and after it on
+// fresh databases so the index exists.
+async function migrateEmbeddings() {
+  try {
+    logger.info('Starting embedding migration...');
+
+    await prisma.$executeRawUnsafe('CREATE EXTENSION IF NOT EXISTS vector');
+
+    const [column] = await prisma.$queryRaw`
+      SELECT udt_name
+      FROM information_schema.columns
+      WHERE table_schema = current_schema()
+        AND table_name = 'memories'
+        AND column_name = 'embedding'
+    `;
+
+    if (!column) {
+      logger.info('memories.embedding does not exist yet, nothing to migrate');
+      return { converted: 0, skipped: 0 };
+    }
+
+    let converted = 0;
+    let skipped = 0;
+
+    if (column.udt_name !== 'vector') {
+      await prisma.$executeRawUnsafe(
+        `ALTER TABLE memories ADD COLUMN IF NOT EXISTS embedding_vector vector(${EMBEDDING_DIMENSIONS})`
+      );
+
+      // Backfill in batches so a large table isn't locked by one giant UPDATE
+      let batchCount;
+      do {
+        batchCount = await prisma.$executeRaw`
+          UPDATE memories
+          SET embedding_vector = embedding::vector
+          WHERE id IN (
+            SELECT id FROM memories
+            WHERE embedding_vector IS NULL
+              AND embedding IS NOT NULL
+              AND embedding LIKE '[%'
+              AND json_array_length(embedding::json) = ${EMBEDDING_DIMENSIONS}
+            LIMIT ${BATCH_SIZE}
+          )
+        `;
+        converted += batchCount;
+        if (batchCount > 0) {
+          logger.info(`Backfilled ${converted} embeddings`);
+        }
+      } while (batchCount > 0);
+
+      const [{ count }] = await prisma.$queryRaw`
+        SELECT count(*)::int AS count
+        FROM memories
+        WHERE embedding IS NOT NULL AND embedding_vector IS NULL
+      `;
+      skipped = count;
+      if (skipped > 0) {
+        logger.warn(`${skipped} embeddings were malformed or had the wrong dimensions and were dropped; re-embed those memories`);
+      }
+
+      await prisma.$transaction([
+        prisma.$executeRawUnsafe('ALTER TABLE memories DROP COLUMN embedding'),
+        prisma.$executeRawUnsafe('ALTER TABLE memories RENAME COLUMN embedding_vector TO embedding'),
+      ]);
+
+      logger.info('Converted memories.embedding to a vector column');
+    }
+
+    const [modelColumn] = await prisma.$queryRaw`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = current_schema()
+        AND table_name = 'memories'
+        AND column_name = 'embeddingModel'
+    `;
+
+    if (modelColumn) {
+      const tagged = await prisma.$executeRaw`
+        UPDATE memories
+        SET "embeddingModel" = ${LEGACY_MODEL_TAG}
+        WHERE embedding IS NOT NULL AND "embeddingModel" IS NULL
+      `;
+      if (tagged > 0) {
+        logger.info(`Tagged ${tagged} legacy embeddings as ${LEGACY_MODEL_TAG}`);
+      }
+    }
+
+    // Cosine-distance HNSW index used by every `ORDER BY embedding <=> $1 LIMIT k` query.
+    // An index scan returns at most hnsw.ef_search neighbours and filters such as agentId
+    // or type are applied to those afterwards, so a selective filter can yield fewer than k
+    // rows. Queries raise ef_search to at least k (see withEfSearch in utils/vector.js), which
+    // doesn't help once most neighbours belong to other agents; on pgvector 0.8+ set
+    // hnsw.iterative_scan = strict_order on the database to keep scanning until k rows match
+    await prisma.$executeRawUnsafe(
+      'CREATE INDEX IF NOT EXISTS memories_embedding_hnsw_idx ON memories USING hnsw (embedding vector_cosine_ops)'
+    );
+
+    // Expression index for lexical search; must match to_tsvector('english', content) in MemoryService
+    await prisma.$executeRawUnsafe(
+      "CREATE INDEX IF NOT EXISTS memories_content_fts_idx ON memories USING gin (to_tsvector('english', content))"
+    );
+
+    logger.info(`Embedding migration completed: ${converted} converted, ${skipped} skipped`);
+    return { converted, skipped };
+  } catch (error) {
+    logger.error('Error migrating embeddings:', error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  migrateEmbeddings()
+    .then(() => {
+      logger.info('Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateEmbeddings;
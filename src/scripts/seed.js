@@ -1,8 +1,10 @@
 const { PrismaClient } = require('@prisma/client');
-const embeddingService = require('../services/embeddingService');
+const EmbeddingService = require('../services/embeddingService');
+const { toVectorSql } = require('../utils/vector');
 const logger = require('../utils/logger');
 
 const prisma = new PrismaClient();
+const embeddingService = new EmbeddingService();
 
 const sampleData = {
   agents: [
@@ -126,6 +128,7 @@ async function seedDatabase() {
 
     // Create memories with embeddings
     const memories = [];
+    const embeddings = new Map();
     for (let i = 0; i < sampleData.memories.length; i++) {
       const memoryData = sampleData.memories[i];
       const agentId = agents[i % agents.length].id;
@@ -140,7 +143,6 @@ async function seedDatabase() {
             ...memoryData,
             agentId,
             sessionId,
-            embedding,
             accessCount: Math.floor(Math.random() * 10),
             metadata: {
               source: 'seed_data',
@@ -149,7 +151,14 @@ async function seedDatabase() {
           },
         });
 
+        await prisma.$executeRaw`
+          UPDATE memories
+          SET embedding = ${toVectorSql(embedding)}, "embeddingModel" = ${embeddingService.modelTag}
+          WHERE id = ${memory.id}
+        `;
+
         memories.push(memory);
+        embeddings.set(memory.id, embedding);
         logger.info(`Created memory: ${memory.content.substring(0, 50)}...`);
       } catch (error) {
         logger.error(`Failed to create memory: ${memoryData.content}`, error);
@@ -160,11 +169,11 @@ async function seedDatabase() {
     let linksCreated = 0;
     for (let i = 0; i < memories.length; i++) {
       for (let j = i + 1; j < memories.length; j++) {
-        if (memories[i].embedding && memories[j].embedding) {
+        if (embeddings.has(memories[i].id) && embeddings.has(memories[j].id)) {
           try {
             const similarity = embeddingService.calculateSimilarity(
-              memories[i].embedding,
-              memories[j].embedding
+              embeddings.get(memories[i].id),
+              embeddings.get(memories[j].id)
             );
 
             if (similarity > 0.7) {
@@ -230,7 +239,7 @@ async function seedDatabase() {
     const metrics = [
       { metricType: 'response_time', value: 150, metadata: { endpoint: '/memories' } },
       { metricType: 'memory_access_latency', value: 25, metadata: { operation: 'search' } },
-      { metricType: 'embedding_generation_time', value: 1200, metadata: { model: 'text-embedding-3-small' } },
+      { metricType: 'embedding_generation_time', value: 1200, metadata: { model: embeddingService.model } },
       { metricType: 'memory_count', value: memories.length, metadata: { type: 'total' } },
       { metricType: 'link_count', value: linksCreated, metadata: { type: 'semantic' } },
     ];
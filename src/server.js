@@ -11,9 +11,11 @@ const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const memoryRoutes = require('./routes/memory');
 const agentRoutes = require('./routes/agent');
+const linkRoutes = require('./routes/link');
 const analyticsRoutes = require('./routes/analytics');
 const visualizationRoutes = require('./routes/visualization');
 const configRoutes = require('./routes/config');
+const accessLogService = require('./services/accessLogService');
 
 // Initialize Prisma client
 const prisma = new PrismaClient();
@@ -77,6 +79,7 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/v1/agents', agentRoutes);
 app.use('/api/v1/memories', memoryRoutes);
+app.use('/api/v1/links', linkRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
 app.use('/api/v1/visualization', visualizationRoutes);
 app.use('/api/v1/config', configRoutes);
@@ -106,12 +109,14 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Received SIGINT, shutting down gracefully...');
+  await accessLogService.flush();
   await prisma.$disconnect();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down gracefully...');
+  await accessLogService.flush();
   await prisma.$disconnect();
   process.exit(0);
 });
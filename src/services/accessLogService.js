@@ -0,0 +1,102 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+// Buffers memory access events and writes them in batches, so logging an access never adds a
+// database round trip to the request that caused it. Shared by every MemoryService instance
+class AccessLogService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.enabled = process.env.ACCESS_LOG_ENABLED !== 'false';
+    this.batchSize = parseInt(process.env.ACCESS_LOG_BATCH_SIZE) || 100;
+    this.flushIntervalMs = parseInt(process.env.ACCESS_LOG_FLUSH_INTERVAL_MS) || 5000;
+    this.maxBuffered = parseInt(process.env.ACCESS_LOG_MAX_BUFFER) || 10000;
+    this.buffer = [];
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  // Queue access events ({ memoryId, agentId, accessType, sessionId, query, rank }). Never
+  // throws or waits: a full batch is written in the background, anything less on the next tick
+  // of the flush interval
+  record(events) {
+    if (!this.enabled || events.length === 0) {
+      return;
+    }
+
+    const timestamp = new Date();
+    this.buffer.push(...events.map(event => ({
+      memoryId: event.memoryId,
+      agentId: event.agentId,
+      accessType: event.accessType,
+      sessionId: event.sessionId || null,
+      query: event.query || null,
+      rank: event.rank || null,
+      timestamp,
+    })));
+    this.dropOverflow();
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+  }
+
+  // Write everything buffered so far. Concurrent calls share one pass; a batch that fails goes
+  // back into the buffer for the next attempt
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.writeBuffered().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async writeBuffered() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    let written = 0;
+    while (this.buffer.length > 0) {
+      const batch = this.buffer.splice(0, this.batchSize);
+
+      try {
+        await this.prisma.memoryAccess.createMany({ data: batch });
+        written += batch.length;
+      } catch (error) {
+        logger.error('Error writing memory access events:', error);
+        this.buffer.unshift(...batch);
+        this.dropOverflow();
+        this.scheduleFlush();
+        break;
+      }
+    }
+
+    return written;
+  }
+
+  scheduleFlush() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.flushIntervalMs);
+    // Don't keep the process alive just to write access events; shutdown flushes explicitly
+    this.timer.unref();
+  }
+
+  // While the database is unreachable, drop the oldest events rather than grow without bound
+  dropOverflow() {
+    const overflow = this.buffer.length - this.maxBuffered;
+    if (overflow > 0) {
+      this.buffer.splice(0, overflow);
+      logger.warn(`Access log buffer full; dropped ${overflow} events`);
+    }
+  }
+}
+
+module.exports = new AccessLogService();
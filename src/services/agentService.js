@@ -1,14 +1,25 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const memoryEvolutionService = require('./memoryEvolutionService');
+const { MEMORY_TYPES, resolvePolicy } = require('../utils/evolutionPolicy');
+const createHttpError = require('../utils/httpError');
 const logger = require('../utils/logger');
 
 class AgentService {
   constructor() {
     this.prisma = new PrismaClient();
+    this.sessionEndWorkingMemories = process.env.SESSION_END_WORKING_MEMORIES || 'keep';
   }
 
   async createAgent(agentData) {
     try {
-      const { name, type = 'AI_AGENT', description = '', metadata = {} } = agentData;
+      const {
+        name,
+        type = 'AI_AGENT',
+        description = '',
+        metadata = {},
+        retrievalScoring,
+        evolutionPolicy,
+      } = agentData;
 
       const agent = await this.prisma.agent.create({
         data: {
@@ -16,6 +27,8 @@ class AgentService {
           type,
           description,
           metadata,
+          ...(retrievalScoring && { retrievalScoring }),
+          ...(evolutionPolicy && { evolutionPolicy }),
         },
       });
 
@@ -33,6 +46,7 @@ class AgentService {
         where: { id: agentId },
         include: {
           memories: {
+            where: { deletedAt: null },
             orderBy: { createdAt: 'desc' },
             take: 10,
           },
@@ -54,27 +68,75 @@ class AgentService {
     }
   }
 
-  async updateAgent(agentId, updateData) {
+  // With `expectedVersions` (from If-Match) the update only applies if the agent is still at
+  // one of those versions; otherwise it fails with 412
+  async updateAgent(agentId, updateData, options = {}) {
     try {
-      const { name, description, metadata } = updateData;
+      const { name, description, metadata, retrievalScoring, evolutionPolicy } = updateData;
+      const { expectedVersions = null } = options;
 
       const agent = await this.prisma.agent.update({
-        where: { id: agentId },
+        where: {
+          id: agentId,
+          ...(expectedVersions && { version: { in: expectedVersions } }),
+        },
         data: {
           ...(name && { name }),
           ...(description && { description }),
           ...(metadata && { metadata }),
+          // null clears the agent's defaults
+          ...(retrievalScoring !== undefined && { retrievalScoring: retrievalScoring ?? Prisma.DbNull }),
+          ...(evolutionPolicy !== undefined && { evolutionPolicy: evolutionPolicy ?? Prisma.DbNull }),
+          version: { increment: 1 },
         },
       });
 
       logger.info(`Updated agent ${agent.id}`);
       return agent;
     } catch (error) {
+      // A missed version match looks like a missing record; tell the two apart
+      if (error.code === 'P2025' && options.expectedVersions) {
+        const current = await this.prisma.agent.findUnique({
+          where: { id: agentId },
+          select: { version: true },
+        });
+        if (current) {
+          throw createHttpError(412, `Agent was modified concurrently; current version is ${current.version}`);
+        }
+      }
+
       logger.error('Error updating agent:', error);
       throw error;
     }
   }
 
+  // The agent's stored evolution policy next to the settings it results in for each memory type
+  async getEvolutionPolicy(agentId) {
+    try {
+      const agent = await this.prisma.agent.findUnique({
+        where: { id: agentId },
+        select: { evolutionPolicy: true },
+      });
+      if (!agent) {
+        return null;
+      }
+
+      const defaults = memoryEvolutionService.defaultPolicy();
+
+      return {
+        policy: agent.evolutionPolicy,
+        defaults,
+        effective: Object.fromEntries(MEMORY_TYPES.map(type => [
+          type,
+          resolvePolicy(defaults, agent.evolutionPolicy, type),
+        ])),
+      };
+    } catch (error) {
+      logger.error('Error getting evolution policy:', error);
+      throw error;
+    }
+  }
+
   async deleteAgent(agentId) {
     try {
       await this.prisma.agent.delete({
@@ -101,7 +163,7 @@ class AgentService {
           include: {
             _count: {
               select: {
-                memories: true,
+                memories: { where: { deletedAt: null } },
                 sessions: true,
               },
             },
@@ -146,8 +208,15 @@ class AgentService {
     }
   }
 
-  async endSession(sessionId) {
+  // `workingMemories` decides what happens to the session's WORKING memories: 'keep' them
+  // until they expire on their own, 'expire' them now, or 'promote' them to `promoteTo`
+  async endSession(sessionId, options = {}) {
     try {
+      const {
+        workingMemories = this.sessionEndWorkingMemories,
+        promoteTo = 'EPISODIC',
+      } = options;
+
       const session = await this.prisma.session.update({
         where: { id: sessionId },
         data: {
@@ -155,8 +224,18 @@ class AgentService {
         },
       });
 
+      let count = 0;
+      if (workingMemories === 'expire') {
+        count = await memoryEvolutionService.expireSessionWorkingMemories(sessionId);
+      } else if (workingMemories === 'promote') {
+        count = await memoryEvolutionService.promoteSessionWorkingMemories(sessionId, promoteTo);
+      }
+
       logger.info(`Ended session ${sessionId}`);
-      return session;
+      return {
+        ...session,
+        workingMemories: { action: workingMemories, count },
+      };
     } catch (error) {
       logger.error('Error ending session:', error);
       throw error;
@@ -176,7 +255,7 @@ class AgentService {
           include: {
             _count: {
               select: {
-                memories: true,
+                memories: { where: { deletedAt: null } },
               },
             },
           },
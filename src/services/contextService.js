@@ -0,0 +1,223 @@
+const { PrismaClient } = require('@prisma/client');
+const MemoryService = require('./memoryService');
+const { estimateTokens } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+const CONTEXT_TYPES = ['WORKING', 'EPISODIC', 'SEMANTIC', 'PROCEDURAL'];
+
+// Separator between items in the rendered context block
+const ITEM_SEPARATOR = '\n\n';
+
+class ContextService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.memoryService = new MemoryService();
+  }
+
+  // Pack the memories most relevant to `query` into a prompt-ready block of at most
+  // `tokenBudget` tokens: search each memory type, pull in strongly linked memories as
+  // supporting context, dedupe, then fill the budget in score order
+  async assembleContext(agentId, query, options = {}) {
+    try {
+      const {
+        tokenBudget,
+        sessionId = null,
+        types = CONTEXT_TYPES,
+        perTypeLimit = 5,
+        mode = 'hybrid',
+        minSimilarity,
+        minLinkStrength = 0.7,
+        maxLinkedPerMemory = 3,
+        diversify = true,
+      } = options;
+
+      const agent = await this.prisma.agent.findUnique({ where: { id: agentId } });
+      if (!agent) {
+        return null;
+      }
+
+      const candidates = await this.searchByType(agent, query, {
+        sessionId,
+        types,
+        perTypeLimit,
+        mode,
+        minSimilarity,
+        diversify,
+      });
+      const linked = await this.findLinkedMemories(candidates, { minLinkStrength, maxLinkedPerMemory });
+      const steps = await this.getProceduralSteps([...candidates, ...linked]);
+
+      // Deduplicate by id (a memory can be both a search hit and a linked memory) and by
+      // content, keeping the highest scoring copy
+      const seenIds = new Set();
+      const seenContent = new Set();
+      const items = [...candidates, ...linked]
+        .sort((a, b) => b.score - a.score)
+        .filter(memory => {
+          const key = memory.content.trim().toLowerCase();
+          if (seenIds.has(memory.id) || seenContent.has(key)) {
+            return false;
+          }
+          seenIds.add(memory.id);
+          seenContent.add(key);
+          return true;
+        })
+        .map(memory => this.renderItem(memory, steps.get(memory.id)));
+
+      const { included, omitted, tokensUsed } = this.fitToBudget(items, tokenBudget);
+
+      // Only what made it into the context counts as accessed, in context order
+      await this.memoryService.recordSearchAccess(
+        included.map(item => ({ id: item.memoryId, agentId })),
+        { sessionId, query, firstRank: 1 }
+      );
+
+      return {
+        query,
+        tokenBudget,
+        tokensUsed,
+        context: included.map(item => item.text).join(ITEM_SEPARATOR),
+        items: included,
+        omitted,
+        citations: included.map(item => item.memoryId),
+        timestamp: new Date(),
+      };
+    } catch (error) {
+      logger.error('Error assembling context:', error);
+      throw error;
+    }
+  }
+
+  async searchByType(agent, query, options) {
+    const { sessionId, types, perTypeLimit, mode, minSimilarity, diversify } = options;
+
+    // Embed the query (unless the search is lexical) and resolve the agent's scoring once for all types
+    const embeddingService = this.memoryService.embeddingServiceForAgent(agent);
+    const queryEmbedding = mode === 'lexical' ? null : await embeddingService.generateEmbedding(query);
+    const retrievalScoring = this.memoryService.retrievalScoringFor(agent);
+
+    // One search per type so a flood of episodic hits can't crowd out working memory or
+    // procedures; working memory is scoped to the current session when one is given
+    const results = await Promise.all(types.map(type => this.memoryService.rankMemories(agent.id, query, queryEmbedding, {
+      type,
+      limit: perTypeLimit,
+      mode,
+      diversify,
+      retrievalScoring,
+      modelTag: embeddingService.modelTag,
+      ...(minSimilarity !== undefined && { minSimilarity }),
+      ...(type === 'WORKING' && sessionId && { filters: { sessionIds: [sessionId] } }),
+    })));
+
+    return results.flatMap(result => result.memories.map(memory => ({
+      ...memory,
+      source: 'search',
+    })));
+  }
+
+  async findLinkedMemories(candidates, options) {
+    const { minLinkStrength, maxLinkedPerMemory } = options;
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const scores = new Map(candidates.map(memory => [memory.id, memory.score]));
+
+    const links = await this.prisma.memoryLink.findMany({
+      where: {
+        sourceId: { in: [...scores.keys()] },
+        strength: { gte: minLinkStrength },
+        target: {
+          type: { not: 'ARCHIVED' },
+          deletedAt: null,
+          OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+        },
+      },
+      include: { target: true },
+      orderBy: { strength: 'desc' },
+    });
+
+    const perSource = new Map();
+
+    return links
+      .filter(link => {
+        const count = perSource.get(link.sourceId) || 0;
+        perSource.set(link.sourceId, count + 1);
+        return count < maxLinkedPerMemory;
+      })
+      .map(link => ({
+        ...link.target,
+        // Supporting context ranks below the memory that pulled it in
+        score: scores.get(link.sourceId) * link.strength,
+        source: 'link',
+        via: {
+          memoryId: link.sourceId,
+          linkType: link.linkType,
+          strength: link.strength,
+        },
+      }));
+  }
+
+  async getProceduralSteps(memories) {
+    const procedureIds = memories
+      .filter(memory => memory.type === 'PROCEDURAL')
+      .map(memory => memory.id);
+
+    if (procedureIds.length === 0) {
+      return new Map();
+    }
+
+    const steps = await this.prisma.proceduralStep.findMany({
+      where: { memoryId: { in: procedureIds } },
+      orderBy: [{ memoryId: 'asc' }, { stepNumber: 'asc' }],
+    });
+
+    return steps.reduce((byMemory, step) => {
+      byMemory.set(step.memoryId, [...(byMemory.get(step.memoryId) || []), step]);
+      return byMemory;
+    }, new Map());
+  }
+
+  renderItem(memory, steps = []) {
+    const lines = [`[memory:${memory.id}] (${memory.type}) ${memory.content}`];
+    steps.forEach(step => {
+      lines.push(`  ${step.stepNumber}. ${step.action}`);
+    });
+    const text = lines.join('\n');
+
+    return {
+      memoryId: memory.id,
+      type: memory.type,
+      text,
+      tokens: estimateTokens(text),
+      score: memory.score,
+      source: memory.source,
+      via: memory.via || null,
+      steps: steps.length,
+    };
+  }
+
+  // Greedy fill in score order; an item that doesn't fit is skipped so smaller,
+  // lower-ranked items can still use the remaining budget
+  fitToBudget(items, tokenBudget) {
+    const separatorTokens = estimateTokens(ITEM_SEPARATOR);
+    const included = [];
+    const omitted = [];
+    let used = 0;
+
+    items.forEach(item => {
+      const cost = item.tokens + (included.length > 0 ? separatorTokens : 0);
+      if (used + cost <= tokenBudget) {
+        included.push(item);
+        used += cost;
+      } else {
+        omitted.push({ memoryId: item.memoryId, tokens: item.tokens, score: item.score });
+      }
+    });
+
+    return { included, omitted, tokensUsed: used };
+  }
+}
+
+module.exports = ContextService;
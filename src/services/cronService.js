@@ -1,11 +1,13 @@
 const cron = require('node-cron');
 const memoryEvolutionService = require('./memoryEvolutionService');
+const IdempotencyService = require('./idempotencyService');
 const logger = require('../utils/logger');
 
 class CronService {
   constructor() {
     this.jobs = new Map();
     this.isRunning = false;
+    this.idempotencyService = new IdempotencyService();
   }
 
   start() {
@@ -61,6 +63,37 @@ class CronService {
       }
     });
 
+    // Trash purge - permanently delete memories past the retention window, daily at 4 AM by default
+    this.scheduleJob('trash-purge', process.env.TRASH_PURGE_CRON || '0 4 * * *', async () => {
+      try {
+        logger.info('Running scheduled trash purge...');
+        const result = await memoryEvolutionService.purgeTrash();
+        logger.info('Trash purge completed:', result);
+      } catch (error) {
+        logger.error('Error in scheduled trash purge:', error);
+      }
+    });
+
+    // Memory expiry - trash or archive memories past their expiresAt, every 5 minutes by default
+    this.scheduleJob('memory-expiry', process.env.MEMORY_EXPIRY_CRON || '*/5 * * * *', async () => {
+      try {
+        const result = await memoryEvolutionService.expireMemories();
+        logger.info('Memory expiry completed:', result);
+      } catch (error) {
+        logger.error('Error in scheduled memory expiry:', error);
+      }
+    });
+
+    // Expired idempotency keys - run hourly
+    this.scheduleJob('idempotency-purge', '30 * * * *', async () => {
+      try {
+        const result = await this.idempotencyService.purgeExpired();
+        logger.info('Idempotency key purge completed:', result);
+      } catch (error) {
+        logger.error('Error in scheduled idempotency key purge:', error);
+      }
+    });
+
     logger.info('Cron service started successfully');
   }
 
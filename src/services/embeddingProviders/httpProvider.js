@@ -0,0 +1,44 @@
+const axios = require('axios');
+
+// Any server exposing the OpenAI `POST /embeddings` contract (vLLM, Ollama, LocalAI, TEI, ...)
+class HttpEmbeddingProvider {
+  constructor({
+    url = process.env.EMBEDDING_API_URL,
+    apiKey = process.env.EMBEDDING_API_KEY,
+    model = 'text-embedding-3-small',
+    dimensions,
+    timeout = parseInt(process.env.EMBEDDING_API_TIMEOUT_MS) || 30000,
+  } = {}) {
+    if (!url) {
+      throw new Error('EMBEDDING_API_URL is required for the http embedding provider');
+    }
+
+    this.name = 'http';
+    this.url = `${url.replace(/\/+$/, '')}/embeddings`;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.dimensions = dimensions;
+    this.timeout = timeout;
+  }
+
+  async embed(texts) {
+    const response = await axios.post(
+      this.url,
+      {
+        model: this.model,
+        input: texts,
+      },
+      {
+        timeout: this.timeout,
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      }
+    );
+
+    // Compatible servers don't all preserve input order, but they do report the index
+    return [...response.data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = HttpEmbeddingProvider;
@@ -0,0 +1,29 @@
+const OpenAIEmbeddingProvider = require('./openaiProvider');
+const HttpEmbeddingProvider = require('./httpProvider');
+const LocalEmbeddingProvider = require('./localProvider');
+
+// A provider is any object with `name`, `model`, `dimensions` and
+// `async embed(texts) -> number[][]` returning one vector per input, in order.
+const providers = new Map([
+  ['openai', options => new OpenAIEmbeddingProvider(options)],
+  ['http', options => new HttpEmbeddingProvider(options)],
+  ['local', options => new LocalEmbeddingProvider(options)],
+]);
+
+function registerEmbeddingProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+function createEmbeddingProvider(name, options = {}) {
+  const factory = providers.get(name);
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}" (available: ${[...providers.keys()].join(', ')})`);
+  }
+
+  return factory(options);
+}
+
+module.exports = {
+  registerEmbeddingProvider,
+  createEmbeddingProvider,
+};
@@ -0,0 +1,78 @@
+// Offline provider: feature hashing of word unigrams, word bigrams and character trigrams.
+// Vectors are deterministic, so texts sharing vocabulary score as similar without any
+// network access, which is what tests, CI and local development need.
+const WORD_WEIGHT = 1.0;
+const BIGRAM_WEIGHT = 0.75;
+const TRIGRAM_WEIGHT = 0.5;
+
+// 32-bit FNV-1a
+function hash(value) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+class LocalEmbeddingProvider {
+  constructor({ model = 'hashed-ngram-v1', dimensions } = {}) {
+    this.name = 'local';
+    this.model = model;
+    this.dimensions = dimensions;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  embedText(text) {
+    const features = this.extractFeatures(text);
+    const vector = new Array(this.dimensions).fill(0);
+
+    features.forEach(({ count, weight }, feature) => {
+      const h = hash(feature);
+      // A second hash picks the sign so that bucket collisions tend to cancel out
+      const sign = hash(`#${feature}`) & 1 ? -1 : 1;
+      vector[h % this.dimensions] += sign * weight * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  extractFeatures(text) {
+    const features = new Map();
+    const add = (feature, weight) => {
+      const existing = features.get(feature);
+      features.set(feature, { count: existing ? existing.count + 1 : 1, weight });
+    };
+
+    const tokens = tokenize(text);
+    tokens.forEach((token, i) => {
+      add(`w:${token}`, WORD_WEIGHT);
+
+      if (i > 0) {
+        add(`b:${tokens[i - 1]} ${token}`, BIGRAM_WEIGHT);
+      }
+
+      const padded = ` ${token} `;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        add(`c:${padded.slice(j, j + 3)}`, TRIGRAM_WEIGHT);
+      }
+    });
+
+    // Text without any word characters (e.g. "???") still needs a non-zero vector
+    if (features.size === 0) {
+      add(`t:${text.trim()}`, WORD_WEIGHT);
+    }
+
+    return features;
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -0,0 +1,23 @@
+const OpenAI = require('openai');
+
+class OpenAIEmbeddingProvider {
+  constructor({ model = 'text-embedding-3-small', dimensions, apiKey = process.env.OPENAI_API_KEY } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.dimensions = dimensions;
+    this.openai = new OpenAI({ apiKey });
+  }
+
+  async embed(texts) {
+    // Only the text-embedding-3 models can shorten their vectors; older models reject the parameter
+    const response = await this.openai.embeddings.create({
+      model: this.model,
+      input: texts,
+      ...(this.model.startsWith('text-embedding-3-') && { dimensions: this.dimensions }),
+    });
+
+    return response.data.map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
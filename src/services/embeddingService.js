@@ -1,13 +1,20 @@
-const OpenAI = require('openai');
+const { createEmbeddingProvider } = require('./embeddingProviders');
+const { EMBEDDING_DIMENSIONS } = require('../utils/vector');
 const logger = require('../utils/logger');
 
 class EmbeddingService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.model = 'text-embedding-3-small'; // Latest embedding model
-    this.dimensions = 1536;
+  constructor(options = {}) {
+    const {
+      provider = process.env.EMBEDDING_PROVIDER || 'openai',
+      model = process.env.EMBEDDING_MODEL,
+    } = options;
+
+    // Vectors are stored in a fixed-size column, so every provider must produce this size
+    this.dimensions = EMBEDDING_DIMENSIONS;
+    this.provider = createEmbeddingProvider(provider, { model, dimensions: this.dimensions });
+    this.model = this.provider.model;
+    // Stored with every embedding; vectors are only compared when their tags match
+    this.modelTag = `${this.provider.name}/${this.model}@${this.dimensions}`;
   }
 
   async generateEmbedding(text) {
@@ -16,13 +23,10 @@ class EmbeddingService {
         throw new Error('Invalid text input for embedding generation');
       }
 
-      const response = await this.openai.embeddings.create({
-        model: this.model,
-        input: text.trim(),
-        dimensions: this.dimensions,
-      });
+      const [embedding] = await this.provider.embed([text.trim()]);
+      this.validateDimensions(embedding);
 
-      return response.data[0].embedding;
+      return embedding;
     } catch (error) {
       logger.error('Error generating embedding:', error);
       throw new Error(`Failed to generate embedding: ${error.message}`);
@@ -35,19 +39,23 @@ class EmbeddingService {
         throw new Error('Invalid texts array for embedding generation');
       }
 
-      const response = await this.openai.embeddings.create({
-        model: this.model,
-        input: texts.map(text => text.trim()),
-        dimensions: this.dimensions,
-      });
+      const embeddings = await this.provider.embed(texts.map(text => text.trim()));
+      embeddings.forEach(embedding => this.validateDimensions(embedding));
 
-      return response.data.map(item => item.embedding);
+      return embeddings;
     } catch (error) {
       logger.error('Error generating embeddings:', error);
       throw new Error(`Failed to generate embeddings: ${error.message}`);
     }
   }
 
+  validateDimensions(embedding) {
+    if (!Array.isArray(embedding) || embedding.length !== this.dimensions) {
+      const actual = Array.isArray(embedding) ? embedding.length : typeof embedding;
+      throw new Error(`${this.provider.name} provider returned ${actual} dimensions, expected ${this.dimensions}`);
+    }
+  }
+
   calculateSimilarity(embedding1, embedding2) {
     if (!embedding1 || !embedding2) {
       return 0;
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+class IdempotencyService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.ttlHours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+    this.processingTimeoutSeconds = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS) || 300;
+  }
+
+  hashRequest(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+  }
+
+  // Claim the key for this request. Returns { record } when the caller should process the
+  // request, or { replay: record } when a finished response for the same request exists
+  async begin(key, scope, requestHash) {
+    try {
+      const expiresAt = new Date(Date.now() + this.ttlHours * 60 * 60 * 1000);
+
+      try {
+        const record = await this.prisma.idempotencyKey.create({
+          data: { key, scope, requestHash, expiresAt },
+        });
+        return { record };
+      } catch (error) {
+        // Unique violation: the key was used before
+        if (error.code !== 'P2002') {
+          throw error;
+        }
+      }
+
+      const existing = await this.prisma.idempotencyKey.findUnique({
+        where: { key_scope: { key, scope } },
+      });
+
+      // Released or expired in the meantime; start over with a fresh claim
+      if (!existing || existing.expiresAt <= new Date()) {
+        await this.prisma.idempotencyKey.deleteMany({ where: { key, scope, expiresAt: { lte: new Date() } } });
+        return this.begin(key, scope, requestHash);
+      }
+
+      // A claim that never completed within the processing timeout was abandoned (e.g. the
+      // process died mid-request); take it over rather than answering 409 until it expires
+      const staleBefore = new Date(Date.now() - this.processingTimeoutSeconds * 1000);
+      if (existing.statusCode === null && existing.createdAt <= staleBefore) {
+        logger.warn(`Reclaiming idempotency key ${key} abandoned since ${existing.createdAt.toISOString()}`);
+        await this.prisma.idempotencyKey.deleteMany({ where: { id: existing.id, statusCode: null } });
+        return this.begin(key, scope, requestHash);
+      }
+
+      if (existing.requestHash !== requestHash) {
+        throw createHttpError(422, 'Idempotency-Key was already used with a different request body');
+      }
+
+      if (existing.statusCode === null) {
+        throw createHttpError(409, 'A request with this Idempotency-Key is still being processed');
+      }
+
+      return { replay: existing };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error claiming idempotency key:', error);
+      }
+      throw error;
+    }
+  }
+
+  async complete(recordId, statusCode, response) {
+    try {
+      const { count } = await this.prisma.idempotencyKey.updateMany({
+        where: { id: recordId, statusCode: null },
+        // Round-trip through JSON so dates are stored exactly as they were sent
+        data: { statusCode, response: JSON.parse(JSON.stringify(response)) },
+      });
+
+      // The claim outlived the processing timeout and was taken over by a retry
+      if (count === 0) {
+        logger.warn(`Idempotency claim ${recordId} was reclaimed before its response was stored`);
+      }
+    } catch (error) {
+      logger.error('Error storing idempotent response:', error);
+      throw error;
+    }
+  }
+
+  // Forget a key whose request failed, so a retry is processed again
+  async release(recordId) {
+    try {
+      await this.prisma.idempotencyKey.deleteMany({ where: { id: recordId } });
+    } catch (error) {
+      logger.error('Error releasing idempotency key:', error);
+      throw error;
+    }
+  }
+
+  async purgeExpired() {
+    try {
+      const { count } = await this.prisma.idempotencyKey.deleteMany({
+        where: { expiresAt: { lte: new Date() } },
+      });
+
+      logger.info(`Purged ${count} expired idempotency keys`);
+      return { purged: count };
+    } catch (error) {
+      logger.error('Error purging idempotency keys:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,50 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+class MemoryAuditService {
+  constructor() {
+    this.prisma = new PrismaClient();
+  }
+
+  // Append an entry for a change to a protected memory
+  async record(memoryId, options = {}) {
+    try {
+      const { action, actor = null, details = null } = options;
+
+      return await this.prisma.memoryAuditEntry.create({
+        data: {
+          memoryId,
+          action,
+          actor,
+          ...(details && { details }),
+        },
+      });
+    } catch (error) {
+      logger.error('Error recording memory audit entry:', error);
+      throw error;
+    }
+  }
+
+  async listEntries(memoryId, options = {}) {
+    try {
+      const { limit = 50, offset = 0 } = options;
+
+      const [entries, total] = await Promise.all([
+        this.prisma.memoryAuditEntry.findMany({
+          where: { memoryId },
+          orderBy: { createdAt: 'desc' },
+          skip: offset,
+          take: limit,
+        }),
+        this.prisma.memoryAuditEntry.count({ where: { memoryId } }),
+      ]);
+
+      return { entries, total, limit, offset };
+    } catch (error) {
+      logger.error('Error listing memory audit entries:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MemoryAuditService;
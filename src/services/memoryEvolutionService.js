@@ -1,95 +1,179 @@
-const { PrismaClient } = require('@prisma/client');
-const embeddingService = require('./embeddingService');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const MemoryRevisionService = require('./memoryRevisionService');
+const MemoryAuditService = require('./memoryAuditService');
+const { resolvePolicy, policyScopes } = require('../utils/evolutionPolicy');
+const { withEfSearch } = require('../utils/vector');
 const logger = require('../utils/logger');
 
 class MemoryEvolutionService {
   constructor() {
     this.prisma = new PrismaClient();
+    this.memoryRevisionService = new MemoryRevisionService();
+    this.memoryAuditService = new MemoryAuditService();
     this.decayRate = parseFloat(process.env.MEMORY_DECAY_RATE) || 0.01;
+    this.archiveThreshold = parseFloat(process.env.MEMORY_ARCHIVE_THRESHOLD) || 0.1;
     this.maxMemoryAge = parseInt(process.env.MAX_MEMORY_AGE_DAYS) || 365;
     this.similarityThreshold = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.7;
+    this.trashRetentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+    this.expiryPolicy = process.env.MEMORY_EXPIRY_POLICY === 'archive' ? 'archive' : 'delete';
+  }
+
+  // Global settings that agents' evolution policies override
+  defaultPolicy() {
+    return {
+      decayRate: this.decayRate,
+      archiveThreshold: this.archiveThreshold,
+      maxAgeDays: this.maxMemoryAge,
+      similarityThreshold: this.similarityThreshold,
+    };
+  }
+
+  // Evolution policies by agent id, for one agent or all; agents without one are left out
+  async loadPolicies(agentId = null) {
+    const agents = await this.prisma.agent.findMany({
+      where: {
+        evolutionPolicy: { not: Prisma.DbNull },
+        ...(agentId && { id: agentId }),
+      },
+      select: { id: true, evolutionPolicy: true },
+    });
+
+    return new Map(agents.map(agent => [agent.id, agent.evolutionPolicy]));
+  }
+
+  // Similarity a memory's neighbours need under its agent's policy for its type
+  similarityThresholdFor(policies, memory) {
+    return resolvePolicy(this.defaultPolicy(), policies.get(memory.agentId), memory.type).similarityThreshold;
   }
 
   async decayMemories() {
     try {
       logger.info('Starting memory decay process...');
 
-      // Calculate decay for all memories
+      const scopes = policyScopes(this.defaultPolicy(), await this.loadPolicies());
+      const { decayed, archived } = await this.decayAndArchive(scopes);
+
+      // Move very old memories that haven't been accessed to the trash; the purge job
+      // removes them for good after the retention window
+      let trashed = 0;
+      for (const { where, settings } of scopes) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - settings.maxAgeDays);
+
+        const trashedMemories = await this.prisma.memory.updateMany({
+          where: {
+            AND: [
+              where,
+              { createdAt: { lt: cutoffDate } },
+              { lastAccessed: { lt: cutoffDate } },
+              { accessCount: { lte: 1 } },
+              { importance: { lte: 0.05 } },
+              { deletedAt: null },
+              { pinned: false },
+            ],
+          },
+          data: {
+            deletedAt: new Date(),
+            version: { increment: 1 },
+          },
+        });
+        trashed += trashedMemories.count;
+      }
+
+      logger.info(`Memory decay completed: ${decayed} decayed, ${archived} archived, ${trashed} trashed`);
+
+      return {
+        decayed,
+        archived,
+        trashed,
+      };
+    } catch (error) {
+      logger.error('Error in memory decay process:', error);
+      throw error;
+    }
+  }
+
+  // Lower importance by each scope's decay rate, then archive memories at or below its archive
+  // threshold. Every scope decays before anything is archived, so a memory archived out of one
+  // scope is never decayed again under another
+  async decayAndArchive(scopes = null) {
+    if (!scopes) {
+      scopes = policyScopes(this.defaultPolicy(), await this.loadPolicies());
+    }
+
+    let decayed = 0;
+    for (const { where, settings } of scopes) {
+      if (settings.decayRate === 0) continue;
+
       const decayedMemories = await this.prisma.memory.updateMany({
         where: {
+          ...where,
           importance: { gt: 0 },
+          deletedAt: null,
+          pinned: false,
         },
         data: {
           importance: {
-            decrement: this.decayRate,
+            decrement: settings.decayRate,
           },
         },
       });
+      decayed += decayedMemories.count;
+    }
 
-      // Archive memories with very low importance
-      const archivedMemories = await this.prisma.memory.updateMany({
-        where: {
-          importance: { lte: 0.1 },
-          type: { not: 'ARCHIVED' },
-        },
-        data: {
-          type: 'ARCHIVED',
-        },
-      });
-
-      // Remove very old memories that haven't been accessed
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - this.maxMemoryAge);
-
-      const deletedMemories = await this.prisma.memory.deleteMany({
+    // Archive memories with very low importance; archival is versioned, the gradual
+    // importance decay above is not and leaves ETags valid
+    const archiveIds = [];
+    for (const { where, settings } of scopes) {
+      const toArchive = await this.prisma.memory.findMany({
         where: {
           AND: [
-            { createdAt: { lt: cutoffDate } },
-            { lastAccessed: { lt: cutoffDate } },
-            { accessCount: { lte: 1 } },
-            { importance: { lte: 0.05 } },
+            where,
+            { importance: { lte: settings.archiveThreshold } },
+            { type: { not: 'ARCHIVED' } },
+            { deletedAt: null },
+            { pinned: false },
           ],
         },
+        select: { id: true },
       });
-
-      logger.info(`Memory decay completed: ${decayedMemories.count} decayed, ${archivedMemories.count} archived, ${deletedMemories.count} deleted`);
-
-      return {
-        decayed: decayedMemories.count,
-        archived: archivedMemories.count,
-        deleted: deletedMemories.count,
-      };
-    } catch (error) {
-      logger.error('Error in memory decay process:', error);
-      throw error;
+      archiveIds.push(...toArchive.map(memory => memory.id));
     }
+
+    await this.memoryRevisionService.ensureBaseline(archiveIds);
+    const archivedMemories = await this.prisma.memory.updateMany({
+      where: {
+        id: { in: archiveIds },
+      },
+      data: {
+        type: 'ARCHIVED',
+        version: { increment: 1 },
+      },
+    });
+    await this.memoryRevisionService.recordRevisions(archiveIds, { actor: 'system', reason: 'decay' });
+
+    return { decayed, archived: archivedMemories.count };
   }
 
   async consolidateSimilarMemories(agentId = null) {
     try {
       logger.info('Starting memory consolidation process...');
 
-      const whereClause = {
-        type: { not: 'ARCHIVED' },
-        embedding: { not: null },
-        ...(agentId && { agentId }),
-      };
+      const policies = await this.loadPolicies(agentId);
 
       // Get all memories with embeddings
-      const memories = await this.prisma.memory.findMany({
-        where: whereClause,
-        select: {
-          id: true,
-          content: true,
-          type: true,
-          importance: true,
-          embedding: true,
-          createdAt: true,
-          accessCount: true,
-        },
-        orderBy: { importance: 'desc' },
-      });
-
+      const memories = await this.prisma.$queryRaw`
+        SELECT id, "agentId", content, type, importance, "accessCount", "createdAt", metadata, version
+        FROM memories
+        WHERE embedding IS NOT NULL
+          AND type <> 'ARCHIVED'
+          AND "deletedAt" IS NULL
+          AND NOT pinned
+          ${agentId ? Prisma.sql`AND "agentId" = ${agentId}` : Prisma.empty}
+        ORDER BY importance DESC
+      `;
+
+      const memoriesById = new Map(memories.map(memory => [memory.id, memory]));
       const consolidated = [];
       const processed = new Set();
 
@@ -97,24 +181,19 @@ class MemoryEvolutionService {
         if (processed.has(memories[i].id)) continue;
 
         const memory = memories[i];
-        const similarMemories = [];
 
-        // Find similar memories
-        for (let j = i + 1; j < memories.length; j++) {
-          if (processed.has(memories[j].id)) continue;
-
-          const similarity = embeddingService.calculateSimilarity(
-            memory.embedding,
-            memories[j].embedding
-          );
-
-          if (similarity >= this.similarityThreshold) {
-            similarMemories.push({
-              ...memories[j],
-              similarity,
-            });
-          }
-        }
+        // Find similar memories of the same agent through the vector index
+        const neighbours = await this.findSimilarMemories(
+          memory.id,
+          memory.agentId,
+          this.similarityThresholdFor(policies, memory)
+        );
+        const similarMemories = neighbours
+          .filter(similar => !processed.has(similar.id) && memoriesById.has(similar.id))
+          .map(similar => ({
+            ...memoriesById.get(similar.id),
+            similarity: similar.similarity,
+          }));
 
         if (similarMemories.length > 0) {
           // Consolidate similar memories
@@ -123,7 +202,9 @@ class MemoryEvolutionService {
             ...similarMemories,
           ]);
 
-          consolidated.push(consolidatedMemory);
+          if (consolidatedMemory) {
+            consolidated.push(consolidatedMemory);
+          }
 
           // Mark all memories in the group as processed
           processed.add(memory.id);
@@ -167,9 +248,12 @@ class MemoryEvolutionService {
       // Calculate new access count
       const newAccessCount = sortedMemories.reduce((sum, m) => sum + m.accessCount, 0);
 
-      // Update primary memory
-      const updatedMemory = await this.prisma.memory.update({
-        where: { id: primaryMemory.id },
+      // Keep the pre-consolidation content of every memory in the group
+      await this.memoryRevisionService.ensureBaseline(sortedMemories.map(m => m.id));
+
+      // Update primary memory, unless someone changed or pinned it since it was read
+      const { count } = await this.prisma.memory.updateMany({
+        where: { id: primaryMemory.id, version: primaryMemory.version, deletedAt: null, pinned: false },
         data: {
           content: combinedContent,
           importance: newImportance,
@@ -180,9 +264,17 @@ class MemoryEvolutionService {
             originalCount: sortedMemories.length,
             consolidatedAt: new Date(),
           },
+          version: { increment: 1 },
         },
       });
 
+      if (count === 0) {
+        logger.warn(`Skipping consolidation into memory ${primaryMemory.id}: it changed since it was read`);
+        return null;
+      }
+
+      const updatedMemory = await this.prisma.memory.findUnique({ where: { id: primaryMemory.id } });
+
       // Create links to secondary memories
       const links = secondaryMemories.map(memory => ({
         sourceId: primaryMemory.id,
@@ -199,18 +291,29 @@ class MemoryEvolutionService {
         });
       }
 
-      // Archive secondary memories
-      await this.prisma.memory.updateMany({
-        where: {
-          id: { in: secondaryMemories.map(m => m.id) },
-        },
-        data: {
-          type: 'ARCHIVED',
-          metadata: {
-            consolidatedInto: primaryMemory.id,
-            consolidatedAt: new Date(),
+      // Archive secondary memories; any changed or pinned since they were read are left as they
+      // are and get no revision
+      const archivedIds = [];
+      for (const memory of secondaryMemories) {
+        const archived = await this.prisma.memory.updateMany({
+          where: { id: memory.id, version: memory.version, deletedAt: null, pinned: false },
+          data: {
+            type: 'ARCHIVED',
+            metadata: {
+              consolidatedInto: primaryMemory.id,
+              consolidatedAt: new Date(),
+            },
+            version: { increment: 1 },
           },
-        },
+        });
+        if (archived.count === 1) {
+          archivedIds.push(memory.id);
+        }
+      }
+
+      await this.memoryRevisionService.recordRevisions([primaryMemory.id, ...archivedIds], {
+        actor: 'system',
+        reason: `consolidation into ${primaryMemory.id}`,
       });
 
       return updatedMemory;
@@ -246,6 +349,7 @@ class MemoryEvolutionService {
           agentId: sourceAgentId,
           type: { in: memoryTypes },
           importance: { gte: 0.5 }, // Only transfer important memories
+          deletedAt: null,
         },
         select: {
           id: true,
@@ -259,46 +363,31 @@ class MemoryEvolutionService {
       let transferred = 0;
 
       for (const memory of sourceMemories) {
-        // Check if similar memory already exists in target agent
-        const existingMemories = await this.prisma.memory.findMany({
-          where: {
-            agentId: targetAgentId,
-            type: memory.type,
-          },
-          select: {
-            id: true,
-            content: true,
-            embedding: true,
-          },
-        });
+        const sourceEmbedding = Prisma.sql`(SELECT embedding FROM memories WHERE id = ${memory.id})`;
 
-        // Generate embedding for source memory
-        const sourceEmbedding = await embeddingService.generateEmbedding(memory.content);
-
-        // Check for similar memories
-        let isSimilar = false;
-        for (const existing of existingMemories) {
-          if (existing.embedding) {
-            const similarity = embeddingService.calculateSimilarity(
-              sourceEmbedding,
-              existing.embedding
-            );
-            if (similarity >= this.similarityThreshold) {
-              isSimilar = true;
-              break;
-            }
-          }
-        }
+        // Check if similar memory already exists in target agent
+        const [closest] = await this.prisma.$queryRaw`
+          SELECT 1 - (embedding <=> ${sourceEmbedding}) AS similarity
+          FROM memories
+          WHERE "agentId" = ${targetAgentId}
+            AND type = ${memory.type}::"MemoryType"
+            AND embedding IS NOT NULL
+            AND "deletedAt" IS NULL
+            AND "embeddingModel" = (SELECT "embeddingModel" FROM memories WHERE id = ${memory.id})
+          ORDER BY embedding <=> ${sourceEmbedding}
+          LIMIT 1
+        `;
+
+        const isSimilar = Boolean(closest && closest.similarity >= this.similarityThreshold);
 
         // If no similar memory exists, transfer it
         if (!isSimilar) {
-          await this.prisma.memory.create({
+          const transferredMemory = await this.prisma.memory.create({
             data: {
               agentId: targetAgentId,
               content: memory.content,
               type: memory.type,
               importance: memory.importance * 0.8, // Reduce importance for transferred memory
-              embedding: sourceEmbedding,
               metadata: {
                 ...memory.metadata,
                 transferred: true,
@@ -309,6 +398,19 @@ class MemoryEvolutionService {
             },
           });
 
+          // Reuse the source vector instead of embedding the same content again
+          await this.prisma.$executeRaw`
+            UPDATE memories
+            SET embedding = source.embedding, "embeddingModel" = source."embeddingModel"
+            FROM (SELECT embedding, "embeddingModel" FROM memories WHERE id = ${memory.id}) AS source
+            WHERE memories.id = ${transferredMemory.id}
+          `;
+
+          await this.memoryRevisionService.recordRevision(transferredMemory.id, {
+            actor: 'system',
+            reason: `transferred from ${memory.id}`,
+          });
+
           transferred++;
         }
       }
@@ -329,26 +431,28 @@ class MemoryEvolutionService {
     try {
       logger.info('Starting memory link update process...');
 
+      const policies = await this.loadPolicies();
+
       // Get all memories with embeddings
-      const memories = await this.prisma.memory.findMany({
-        where: {
-          embedding: { not: null },
-          type: { not: 'ARCHIVED' },
-        },
-        select: {
-          id: true,
-          embedding: true,
-        },
-      });
+      const memories = await this.prisma.$queryRaw`
+        SELECT id, "agentId", type
+        FROM memories
+        WHERE embedding IS NOT NULL AND type <> 'ARCHIVED' AND "deletedAt" IS NULL
+      `;
 
       let linksCreated = 0;
       let linksUpdated = 0;
+      let linksSkipped = 0;
 
       for (let i = 0; i < memories.length; i++) {
         const memory = memories[i];
         
         // Find similar memories
-        const similarMemories = await this.findSimilarMemories(memory.embedding, memory.id);
+        const similarMemories = await this.findSimilarMemories(
+          memory.id,
+          memory.agentId,
+          this.similarityThresholdFor(policies, memory)
+        );
 
         for (const similar of similarMemories) {
           // Check if link already exists
@@ -362,7 +466,10 @@ class MemoryEvolutionService {
             },
           });
 
-          if (existingLink) {
+          if (existingLink && existingLink.origin === 'MANUAL') {
+            // Links curated through the API keep their strength
+            linksSkipped++;
+          } else if (existingLink) {
             // Update existing link
             await this.prisma.memoryLink.update({
               where: { id: existingLink.id },
@@ -389,11 +496,12 @@ class MemoryEvolutionService {
         }
       }
 
-      logger.info(`Memory link update completed: ${linksCreated} created, ${linksUpdated} updated`);
+      logger.info(`Memory link update completed: ${linksCreated} created, ${linksUpdated} updated, ${linksSkipped} manual skipped`);
 
       return {
         linksCreated,
         linksUpdated,
+        linksSkipped,
       };
     } catch (error) {
       logger.error('Error updating memory links:', error);
@@ -401,35 +509,166 @@ class MemoryEvolutionService {
     }
   }
 
-  async findSimilarMemories(embedding, excludeId) {
+  async findSimilarMemories(memoryId, agentId, similarityThreshold = this.similarityThreshold) {
+    try {
+      // The source vector stays in the database: an uncorrelated subquery is evaluated
+      // once, so pgvector can still serve the ORDER BY from the HNSW index
+      const source = Prisma.sql`(SELECT embedding FROM memories WHERE id = ${memoryId})`;
+
+      const memories = await withEfSearch(this.prisma, 10, tx => tx.$queryRaw`
+        SELECT id, 1 - (embedding <=> ${source}) AS similarity
+        FROM memories
+        WHERE embedding IS NOT NULL
+          AND id <> ${memoryId}
+          AND "agentId" = ${agentId}
+          AND type <> 'ARCHIVED'
+          AND "deletedAt" IS NULL
+          AND "embeddingModel" = (SELECT "embeddingModel" FROM memories WHERE id = ${memoryId})
+        ORDER BY embedding <=> ${source}
+        LIMIT 10
+      `);
+
+      return memories.filter(memory => memory.similarity >= similarityThreshold);
+    } catch (error) {
+      logger.error('Error finding similar memories:', error);
+      throw error;
+    }
+  }
+
+  // Permanently delete memories that have been in the trash longer than the retention
+  // window; their links, steps and revisions go with them through the cascades
+  async purgeTrash() {
     try {
-      const memories = await this.prisma.memory.findMany({
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - this.trashRetentionDays);
+
+      const purged = await this.prisma.memory.deleteMany({
         where: {
-          embedding: { not: null },
-          id: { not: excludeId },
-          type: { not: 'ARCHIVED' },
+          deletedAt: { lt: cutoffDate },
         },
-        select: {
-          id: true,
-          embedding: true,
+      });
+
+      logger.info(`Trash purge completed: ${purged.count} memories permanently deleted`);
+
+      return {
+        purged: purged.count,
+        cutoff: cutoffDate,
+      };
+    } catch (error) {
+      logger.error('Error purging trashed memories:', error);
+      throw error;
+    }
+  }
+
+  // Retire memories whose expiresAt has passed, per MEMORY_EXPIRY_POLICY
+  async expireMemories() {
+    try {
+      const expired = await this.prisma.memory.findMany({
+        where: {
+          expiresAt: { lte: new Date() },
+          deletedAt: null,
+          pinned: false,
         },
+        select: { id: true },
       });
 
-      const similarities = memories.map(memory => ({
-        ...memory,
-        similarity: embeddingService.calculateSimilarity(embedding, memory.embedding),
-      }));
+      const count = await this.retireMemories(expired.map(memory => memory.id), this.expiryPolicy);
+
+      logger.info(`Memory expiry completed: ${count} memories expired (${this.expiryPolicy})`);
 
-      return similarities
-        .filter(memory => memory.similarity >= this.similarityThreshold)
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, 10); // Limit to top 10 similar memories
+      return {
+        expired: count,
+        policy: this.expiryPolicy,
+      };
     } catch (error) {
-      logger.error('Error finding similar memories:', error);
+      logger.error('Error expiring memories:', error);
+      throw error;
+    }
+  }
+
+  // Expire a session's unpinned WORKING memories right away, whatever their expiresAt
+  async expireSessionWorkingMemories(sessionId, policy = this.expiryPolicy) {
+    try {
+      const working = await this.prisma.memory.findMany({
+        where: { sessionId, type: 'WORKING', deletedAt: null, pinned: false },
+        select: { id: true },
+      });
+
+      return await this.retireMemories(working.map(memory => memory.id), policy);
+    } catch (error) {
+      logger.error('Error expiring session working memories:', error);
+      throw error;
+    }
+  }
+
+  // Keep a session's WORKING memories as long-term memories of another type, without expiry.
+  // Pinned ones are promoted too, with an audit entry
+  async promoteSessionWorkingMemories(sessionId, type = 'EPISODIC') {
+    try {
+      const working = await this.prisma.memory.findMany({
+        where: { sessionId, type: 'WORKING', deletedAt: null },
+        select: { id: true, pinned: true },
+      });
+      const ids = working.map(memory => memory.id);
+
+      await this.memoryRevisionService.ensureBaseline(ids);
+      const promoted = await this.prisma.memory.updateMany({
+        where: { id: { in: ids } },
+        data: {
+          type,
+          expiresAt: null,
+          version: { increment: 1 },
+        },
+      });
+      await this.memoryRevisionService.recordRevisions(ids, { actor: 'system', reason: 'promoted' });
+
+      for (const memory of working.filter(m => m.pinned)) {
+        await this.memoryAuditService.record(memory.id, {
+          action: 'promoted',
+          actor: 'system',
+          details: { type, sessionId },
+        });
+      }
+
+      return promoted.count;
+    } catch (error) {
+      logger.error('Error promoting session working memories:', error);
       throw error;
     }
   }
 
+  // Trash ('delete') or archive expired memories. The expiry is cleared either way, so a
+  // memory restored from the trash isn't expired again on the next run
+  async retireMemories(ids, policy) {
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    if (policy === 'archive') {
+      await this.memoryRevisionService.ensureBaseline(ids);
+      const archived = await this.prisma.memory.updateMany({
+        where: { id: { in: ids } },
+        data: {
+          type: 'ARCHIVED',
+          expiresAt: null,
+          version: { increment: 1 },
+        },
+      });
+      await this.memoryRevisionService.recordRevisions(ids, { actor: 'system', reason: 'expired' });
+      return archived.count;
+    }
+
+    const trashed = await this.prisma.memory.updateMany({
+      where: { id: { in: ids }, deletedAt: null },
+      data: {
+        deletedAt: new Date(),
+        expiresAt: null,
+        version: { increment: 1 },
+      },
+    });
+    return trashed.count;
+  }
+
   async runEvolutionCycle() {
     try {
       logger.info('Starting memory evolution cycle...');
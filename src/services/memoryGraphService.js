@@ -0,0 +1,176 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+// Edge fields returned with every subgraph
+const LINK_SELECT = {
+  id: true,
+  sourceId: true,
+  targetId: true,
+  linkType: true,
+  strength: true,
+  similarity: true,
+};
+
+class MemoryGraphService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.maxNodes = parseInt(process.env.GRAPH_MAX_NODES) || 500;
+  }
+
+  // Links leaving (out), entering (in) or touching (both) the frontier that pass the filters;
+  // links to trashed memories are skipped
+  async expandFrontier(frontier, options) {
+    const { direction = 'both', linkTypes = null, minStrength = 0 } = options;
+
+    const ends = [];
+    if (direction !== 'in') {
+      ends.push({ sourceId: { in: frontier } });
+    }
+    if (direction !== 'out') {
+      ends.push({ targetId: { in: frontier } });
+    }
+
+    return this.prisma.memoryLink.findMany({
+      where: {
+        OR: ends,
+        strength: { gte: minStrength },
+        source: { deletedAt: null },
+        target: { deletedAt: null },
+        ...(linkTypes && { linkType: { in: linkTypes } }),
+      },
+      select: LINK_SELECT,
+      orderBy: { strength: 'desc' },
+    });
+  }
+
+  // Breadth-first expansion up to `depth` hops from the memory; every node is annotated
+  // with its hop distance. Stops adding nodes at maxNodes and reports `truncated`
+  async getNeighborhood(memoryId, options = {}) {
+    try {
+      const { depth = 2, maxNodes = this.maxNodes } = options;
+
+      const root = await this.prisma.memory.findFirst({ where: { id: memoryId, deletedAt: null } });
+      if (!root) {
+        return null;
+      }
+
+      const depths = new Map([[memoryId, 0]]);
+      const edges = new Map();
+      let frontier = [memoryId];
+      let truncated = false;
+
+      for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+        const links = await this.expandFrontier(frontier, options);
+        const next = [];
+
+        for (const link of links) {
+          const neighbors = [link.sourceId, link.targetId].filter(id => !depths.has(id));
+          if (depths.size + neighbors.length > maxNodes) {
+            truncated = true;
+            continue;
+          }
+
+          neighbors.forEach(id => {
+            depths.set(id, hop);
+            next.push(id);
+          });
+          edges.set(link.id, link);
+        }
+
+        frontier = next;
+      }
+
+      const nodes = await this.getNodes(depths);
+
+      return {
+        rootId: memoryId,
+        depth,
+        nodes,
+        edges: [...edges.values()],
+        truncated,
+      };
+    } catch (error) {
+      logger.error('Error getting memory neighborhood:', error);
+      throw error;
+    }
+  }
+
+  // Fewest-hop path between two memories (ties go to the strongest links, since each
+  // hop's links are visited in strength order), or `path: null` if none within maxDepth
+  async findShortestPath(sourceId, targetId, options = {}) {
+    try {
+      const { maxDepth = 6 } = options;
+
+      const endpoints = await this.prisma.memory.findMany({
+        where: { id: { in: [sourceId, targetId] }, deletedAt: null },
+        select: { id: true },
+      });
+      if (endpoints.length < new Set([sourceId, targetId]).size) {
+        return null;
+      }
+
+      // Parent pointers: node -> link used to reach it
+      const reachedBy = new Map([[sourceId, null]]);
+      let frontier = [sourceId];
+      let depth = 0;
+
+      while (!reachedBy.has(targetId) && frontier.length > 0 && depth < maxDepth) {
+        depth += 1;
+        const links = await this.expandFrontier(frontier, options);
+        const frontierIds = new Set(frontier);
+        const next = [];
+
+        for (const link of links) {
+          // A link touching two frontier nodes is visited from its source
+          const from = frontierIds.has(link.sourceId) ? link.sourceId : link.targetId;
+          const to = from === link.sourceId ? link.targetId : link.sourceId;
+          if (!reachedBy.has(to)) {
+            reachedBy.set(to, link);
+            next.push(to);
+          }
+        }
+
+        frontier = next;
+      }
+
+      if (!reachedBy.has(targetId)) {
+        return { sourceId, targetId, path: null, edges: [], hops: null };
+      }
+
+      const edges = [];
+      const ids = [targetId];
+      for (let id = targetId; reachedBy.get(id); ) {
+        const link = reachedBy.get(id);
+        edges.unshift(link);
+        id = link.sourceId === id ? link.targetId : link.sourceId;
+        ids.unshift(id);
+      }
+
+      const nodes = await this.getNodes(new Map(ids.map((id, index) => [id, index])));
+
+      return {
+        sourceId,
+        targetId,
+        path: nodes,
+        edges,
+        hops: edges.length,
+      };
+    } catch (error) {
+      logger.error('Error finding memory path:', error);
+      throw error;
+    }
+  }
+
+  // Load memories for a Map of id -> depth, ordered by depth
+  async getNodes(depths) {
+    const memories = await this.prisma.memory.findMany({
+      where: { id: { in: [...depths.keys()] }, deletedAt: null },
+    });
+
+    return memories
+      .map(memory => ({ ...memory, depth: depths.get(memory.id) }))
+      .sort((a, b) => a.depth - b.depth);
+  }
+}
+
+module.exports = MemoryGraphService;
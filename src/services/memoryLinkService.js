@@ -0,0 +1,170 @@
+const { PrismaClient } = require('@prisma/client');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+class MemoryLinkService {
+  constructor() {
+    this.prisma = new PrismaClient();
+  }
+
+  // Links may only connect memories of the same agent
+  async getEndpoints(sourceId, targetId) {
+    if (sourceId === targetId) {
+      throw createHttpError(400, 'A memory cannot be linked to itself');
+    }
+
+    const memories = await this.prisma.memory.findMany({
+      where: { id: { in: [sourceId, targetId] }, deletedAt: null },
+      select: { id: true, agentId: true },
+    });
+    const source = memories.find(memory => memory.id === sourceId);
+    const target = memories.find(memory => memory.id === targetId);
+
+    if (!source) {
+      throw createHttpError(404, 'Source memory not found');
+    }
+    if (!target) {
+      throw createHttpError(404, 'Target memory not found');
+    }
+    if (source.agentId !== target.agentId) {
+      throw createHttpError(400, 'Linked memories must belong to the same agent');
+    }
+
+    return { source, target };
+  }
+
+  async createLink(linkData) {
+    try {
+      const { sourceId, targetId, linkType, strength = 1.0 } = linkData;
+
+      await this.getEndpoints(sourceId, targetId);
+
+      const existing = await this.prisma.memoryLink.findUnique({
+        where: { sourceId_targetId_linkType: { sourceId, targetId, linkType } },
+      });
+      if (existing) {
+        throw createHttpError(409, `A ${linkType} link between these memories already exists (${existing.id})`);
+      }
+
+      const link = await this.prisma.memoryLink.create({
+        data: {
+          sourceId,
+          targetId,
+          linkType,
+          strength,
+          origin: 'MANUAL',
+        },
+      });
+
+      logger.info(`Created ${linkType} link ${link.id} from ${sourceId} to ${targetId}`);
+      return link;
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error creating memory link:', error);
+      }
+      throw error;
+    }
+  }
+
+  async getLink(linkId) {
+    try {
+      return await this.prisma.memoryLink.findUnique({
+        where: { id: linkId },
+      });
+    } catch (error) {
+      logger.error('Error getting memory link:', error);
+      throw error;
+    }
+  }
+
+  async listLinks(options = {}) {
+    try {
+      const {
+        memoryId,
+        agentId,
+        linkType,
+        origin,
+        direction = 'both',
+        minStrength,
+        limit = 50,
+        offset = 0,
+      } = options;
+
+      const ends = [];
+      if (memoryId && direction !== 'in') {
+        ends.push({ sourceId: memoryId });
+      }
+      if (memoryId && direction !== 'out') {
+        ends.push({ targetId: memoryId });
+      }
+
+      // Links touching trashed memories stay hidden until the memory is restored
+      const where = {
+        ...(ends.length > 0 && { OR: ends }),
+        source: { deletedAt: null, ...(agentId && { agentId }) },
+        target: { deletedAt: null },
+        ...(linkType && { linkType }),
+        ...(origin && { origin }),
+        ...(minStrength !== undefined && { strength: { gte: minStrength } }),
+      };
+
+      const [links, total] = await Promise.all([
+        this.prisma.memoryLink.findMany({
+          where,
+          orderBy: [{ strength: 'desc' }, { createdAt: 'desc' }],
+          skip: offset,
+          take: limit,
+        }),
+        this.prisma.memoryLink.count({ where }),
+      ]);
+
+      return { links, total, limit, offset };
+    } catch (error) {
+      logger.error('Error listing memory links:', error);
+      throw error;
+    }
+  }
+
+  // Editing a system link turns it into a manual one, so evolution jobs stop rewriting it
+  async updateLink(linkId, updateData) {
+    try {
+      const existing = await this.prisma.memoryLink.findUnique({ where: { id: linkId } });
+      if (!existing) {
+        return null;
+      }
+
+      const link = await this.prisma.memoryLink.update({
+        where: { id: linkId },
+        data: {
+          strength: updateData.strength,
+          origin: 'MANUAL',
+        },
+      });
+
+      logger.info(`Updated link ${linkId}`);
+      return link;
+    } catch (error) {
+      logger.error('Error updating memory link:', error);
+      throw error;
+    }
+  }
+
+  async deleteLink(linkId) {
+    try {
+      const existing = await this.prisma.memoryLink.findUnique({ where: { id: linkId } });
+      if (!existing) {
+        return false;
+      }
+
+      await this.prisma.memoryLink.delete({ where: { id: linkId } });
+
+      logger.info(`Deleted link ${linkId}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting memory link:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MemoryLinkService;
@@ -0,0 +1,179 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { diffLines } = require('../utils/diff');
+const logger = require('../utils/logger');
+
+// Memory fields captured by each revision
+const REVISION_FIELDS = ['content', 'type', 'importance', 'metadata'];
+
+// Attempts at numbering a batch of revisions before giving up on concurrent writers
+const MAX_REVISION_ATTEMPTS = 5;
+
+class MemoryRevisionService {
+  constructor() {
+    this.prisma = new PrismaClient();
+  }
+
+  // Snapshot the current state of the given memories as their next revision. Called after
+  // a change is written, so the snapshot always matches what is stored
+  async recordRevisions(memoryIds, options = {}) {
+    try {
+      if (memoryIds.length === 0) {
+        return 0;
+      }
+
+      // A concurrent write to the same memory can take the revision number first and fail
+      // the batch on the (memoryId, revision) unique constraint; renumber and try again
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await this.writeRevisions(memoryIds, options);
+        } catch (error) {
+          if (error.code !== 'P2002' || attempt === MAX_REVISION_ATTEMPTS) {
+            throw error;
+          }
+          logger.warn(`Revision number taken by a concurrent write, retrying (attempt ${attempt})`);
+        }
+      }
+    } catch (error) {
+      logger.error('Error recording memory revisions:', error);
+      throw error;
+    }
+  }
+
+  async writeRevisions(memoryIds, options) {
+    const { actor = null, reason = null } = options;
+
+    const [memories, latest] = await Promise.all([
+      this.prisma.memory.findMany({
+        where: { id: { in: memoryIds } },
+        select: { id: true, content: true, type: true, importance: true, metadata: true },
+      }),
+      this.prisma.memoryRevision.groupBy({
+        by: ['memoryId'],
+        where: { memoryId: { in: memoryIds } },
+        _max: { revision: true },
+      }),
+    ]);
+
+    const lastRevision = new Map(latest.map(row => [row.memoryId, row._max.revision]));
+
+    const { count } = await this.prisma.memoryRevision.createMany({
+      data: memories.map(memory => ({
+        memoryId: memory.id,
+        revision: (lastRevision.get(memory.id) || 0) + 1,
+        content: memory.content,
+        type: memory.type,
+        importance: memory.importance,
+        metadata: memory.metadata ?? Prisma.DbNull,
+        actor,
+        reason,
+      })),
+    });
+
+    return count;
+  }
+
+  async recordRevision(memoryId, options = {}) {
+    return this.recordRevisions([memoryId], options);
+  }
+
+  // Memories written before revisions existed (or inserted directly) have no history;
+  // snapshot them before they change so the previous state isn't lost
+  async ensureBaseline(memoryIds) {
+    try {
+      if (memoryIds.length === 0) {
+        return 0;
+      }
+
+      const versioned = await this.prisma.memoryRevision.findMany({
+        where: { memoryId: { in: memoryIds } },
+        distinct: ['memoryId'],
+        select: { memoryId: true },
+      });
+      const versionedIds = new Set(versioned.map(row => row.memoryId));
+
+      return await this.recordRevisions(
+        memoryIds.filter(id => !versionedIds.has(id)),
+        { actor: 'system', reason: 'baseline' }
+      );
+    } catch (error) {
+      logger.error('Error recording baseline revisions:', error);
+      throw error;
+    }
+  }
+
+  async listRevisions(memoryId) {
+    try {
+      return await this.prisma.memoryRevision.findMany({
+        where: { memoryId },
+        orderBy: { revision: 'desc' },
+      });
+    } catch (error) {
+      logger.error('Error listing memory revisions:', error);
+      throw error;
+    }
+  }
+
+  async getRevision(memoryId, revision) {
+    try {
+      return await this.prisma.memoryRevision.findUnique({
+        where: { memoryId_revision: { memoryId, revision } },
+      });
+    } catch (error) {
+      logger.error('Error getting memory revision:', error);
+      throw error;
+    }
+  }
+
+  // The memory as it was at `timestamp`: the latest revision recorded at or before it
+  async getMemoryAsOf(memoryId, timestamp) {
+    try {
+      return await this.prisma.memoryRevision.findFirst({
+        where: {
+          memoryId,
+          createdAt: { lte: timestamp },
+        },
+        orderBy: { revision: 'desc' },
+      });
+    } catch (error) {
+      logger.error('Error getting memory as of timestamp:', error);
+      throw error;
+    }
+  }
+
+  // Changed fields between two revisions; content also gets a line diff
+  async diffRevisions(memoryId, fromRevision, toRevision) {
+    try {
+      const [from, to] = await Promise.all([
+        this.getRevision(memoryId, fromRevision),
+        this.getRevision(memoryId, toRevision),
+      ]);
+
+      if (!from || !to) {
+        return null;
+      }
+
+      const changes = {};
+      REVISION_FIELDS.forEach(field => {
+        if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+          changes[field] = { from: from[field], to: to[field] };
+        }
+      });
+
+      if (changes.content) {
+        changes.content.lines = diffLines(from.content, to.content);
+      }
+
+      return {
+        memoryId,
+        from: { revision: from.revision, createdAt: from.createdAt, actor: from.actor, reason: from.reason },
+        to: { revision: to.revision, createdAt: to.createdAt, actor: to.actor, reason: to.reason },
+        changes,
+      };
+    } catch (error) {
+      logger.error('Error diffing memory revisions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MemoryRevisionService;
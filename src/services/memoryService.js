@@ -1,21 +1,167 @@
 const { PrismaClient, Prisma } = require('@prisma/client');
 const EmbeddingService = require('./embeddingService');
+const MemoryRevisionService = require('./memoryRevisionService');
+const TagService = require('./tagService');
+const MemoryAuditService = require('./memoryAuditService');
+const accessLogService = require('./accessLogService');
+const memoryEvolutionService = require('./memoryEvolutionService');
+const { toVectorSql, fromVectorSql, withEfSearch } = require('../utils/vector');
+const { buildFilterSql } = require('../utils/searchFilters');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const {
+  reciprocalRankFusion,
+  weightedFusion,
+  resolveScoring,
+  compositeRank,
+  maximalMarginalRelevance,
+} = require('../utils/ranking');
+const createHttpError = require('../utils/httpError');
 const logger = require('../utils/logger');
 
+// Columns returned for memories found by search and similarity queries
+const MEMORY_COLUMNS = Prisma.sql`
+  id, "agentId", "sessionId", content, type, importance, "accessCount",
+  "lastAccessed", "createdAt", metadata
+`;
+
+// Full-text search uses the same expression as the GIN index created by
+// src/scripts/migrateEmbeddings.js, otherwise PostgreSQL can't use the index
+const CONTENT_TSVECTOR = Prisma.sql`to_tsvector('english', content)`;
+
+// Sort options of listMemories and the columns they order by
+const LIST_SORT_FIELDS = {
+  created: 'createdAt',
+  accessed: 'lastAccessed',
+  importance: 'importance',
+  accessCount: 'accessCount',
+};
+
 class MemoryService {
   constructor() {
     this.prisma = new PrismaClient();
     this.embeddingService = new EmbeddingService();
+    // Services for agents switched to another embedding model, keyed by provider and model
+    this.agentEmbeddingServices = new Map();
+    this.memoryRevisionService = new MemoryRevisionService();
+    this.tagService = new TagService();
+    this.memoryAuditService = new MemoryAuditService();
+    this.accessLogService = accessLogService;
     this.similarityThreshold = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.3;
-    this.decayRate = parseFloat(process.env.MEMORY_DECAY_RATE) || 0.01;
+    this.maxSemanticLinks = parseInt(process.env.MAX_SEMANTIC_LINKS) || 10;
+    this.searchCandidateLimit = parseInt(process.env.SEARCH_CANDIDATE_LIMIT) || 200;
+    this.linkPreviousSession = process.env.TEMPORAL_LINK_PREVIOUS_SESSION === 'true';
+    this.bulkEmbeddingBatchSize = parseInt(process.env.BULK_EMBEDDING_BATCH_SIZE) || 100;
+    this.dedupMode = process.env.DEDUP_MODE || 'off';
+    this.dedupThreshold = parseFloat(process.env.DEDUP_SIMILARITY_THRESHOLD) || 0.95;
+    this.dedupImportanceBoost = parseFloat(process.env.DEDUP_IMPORTANCE_BOOST) || 0.1;
+    this.workingMemoryTtl = parseInt(process.env.WORKING_MEMORY_TTL_SECONDS) || 0;
+  }
+
+  // The embedding service for an agent's memories and queries: the model its last completed
+  // re-embedding job switched it to, otherwise the process-wide default
+  async embeddingServiceFor(agentId) {
+    const agent = await this.prisma.agent.findUnique({
+      where: { id: agentId },
+      select: { embeddingProvider: true, embeddingModel: true },
+    });
+
+    return this.embeddingServiceForAgent(agent);
+  }
+
+  embeddingServiceForAgent(agent) {
+    if (!agent || !agent.embeddingProvider) {
+      return this.embeddingService;
+    }
+
+    const key = `${agent.embeddingProvider}/${agent.embeddingModel}`;
+    if (!this.agentEmbeddingServices.has(key)) {
+      this.agentEmbeddingServices.set(key, new EmbeddingService({
+        provider: agent.embeddingProvider,
+        model: agent.embeddingModel,
+      }));
+    }
+
+    return this.agentEmbeddingServices.get(key);
+  }
+
+  // An absolute expiry wins over a TTL; WORKING memories without either fall back to
+  // WORKING_MEMORY_TTL_SECONDS when it is set
+  resolveExpiresAt({ type = 'EPISODIC', expiresAt = null, ttlSeconds = null }) {
+    if (expiresAt) {
+      return new Date(expiresAt);
+    }
+
+    const ttl = ttlSeconds || (type === 'WORKING' ? this.workingMemoryTtl : 0);
+    return ttl ? new Date(Date.now() + ttl * 1000) : null;
+  }
+
+  // Queue one access event per memory; written in the background by AccessLogService.
+  // Writes belong to the session the memory was written in, other accesses to the caller's
+  // session. Search results are logged with the query and their 1-based rank from `firstRank`
+  logAccess(accessType, memories, context = {}) {
+    const { sessionId = null, query = null, firstRank = null } = context;
+
+    this.accessLogService.record(memories.map((memory, i) => ({
+      memoryId: memory.id,
+      agentId: memory.agentId,
+      accessType,
+      sessionId: accessType === 'WRITE' ? memory.sessionId : sessionId,
+      query,
+      rank: firstRank && firstRank + i,
+    })));
   }
 
   async createMemory(agentId, memoryData) {
     try {
-      const { content, type = 'EPISODIC', sessionId = null, metadata = {} } = memoryData;
+      const {
+        content,
+        type = 'EPISODIC',
+        sessionId = null,
+        metadata = {},
+        tags = [],
+        pinned = false,
+        linkPreviousSession = this.linkPreviousSession,
+        actor = null,
+        dedup = this.dedupMode,
+        dedupThreshold = this.dedupThreshold,
+      } = memoryData;
 
       // Generate embedding for the content
-      const embedding = await this.embeddingService.generateEmbedding(content);
+      const embeddingService = await this.embeddingServiceFor(agentId);
+      const embedding = await embeddingService.generateEmbedding(content);
+      const { modelTag } = embeddingService;
+
+      // Near-duplicate of an existing memory of the same agent, if write-time dedup is on
+      let duplicate = null;
+      if (dedup !== 'off') {
+        [duplicate = null] = await this.findSimilarMemories(embedding, {
+          agentId,
+          modelTag,
+          limit: 1,
+          minSimilarity: dedupThreshold,
+        });
+      }
+
+      if (duplicate && dedup === 'reject') {
+        throw createHttpError(
+          409,
+          `Memory is a near-duplicate of ${duplicate.id} (similarity ${duplicate.similarity.toFixed(3)})`
+        );
+      }
+
+      if (duplicate && dedup === 'merge') {
+        const merged = await this.mergeDuplicate(duplicate, { content, sessionId, metadata, actor });
+        if (tags.length > 0) {
+          merged.tags = await this.tagService.addTags(merged.id, tags, { actor });
+        }
+        this.logAccess('WRITE', [{ id: merged.id, agentId, sessionId }]);
+        return {
+          ...merged,
+          dedup: { action: 'merged', duplicateOf: duplicate.id, similarity: duplicate.similarity },
+        };
+      }
+
+      const expiresAt = this.resolveExpiresAt(memoryData);
 
       // Create the memory
       const memory = await this.prisma.memory.create({
@@ -24,8 +170,9 @@ class MemoryService {
           sessionId,
           content,
           type,
-          embedding: JSON.stringify(embedding),
           metadata,
+          ...(expiresAt && { expiresAt }),
+          ...(pinned && { pinned }),
         },
         include: {
           agent: true,
@@ -33,21 +180,243 @@ class MemoryService {
         },
       });
 
+      await this.setEmbedding(memory.id, embedding, modelTag);
+      await this.memoryRevisionService.recordRevision(memory.id, { actor, reason: 'created' });
+
+      if (tags.length > 0) {
+        memory.tags = await this.tagService.addTags(memory.id, tags, { actor });
+      }
+
       // Find and create semantic links
-      await this.createSemanticLinks(memory.id, embedding);
+      await this.createSemanticLinks(memory.id, embedding, agentId, modelTag);
 
+      // In 'link' mode the duplicate is usually linked above already; make sure it is even
+      // when the dedup threshold is below SIMILARITY_THRESHOLD
+      if (duplicate) {
+        await this.prisma.memoryLink.createMany({
+          data: [{
+            sourceId: memory.id,
+            targetId: duplicate.id,
+            linkType: 'SEMANTIC',
+            strength: duplicate.similarity,
+            similarity: duplicate.similarity,
+          }],
+          skipDuplicates: true,
+        });
+      }
+
+      if (sessionId) {
+        await this.createTemporalLink(memory, { linkPreviousSession });
+      }
+
+      this.logAccess('WRITE', [memory]);
       logger.info(`Created memory ${memory.id} for agent ${agentId}`);
-      return memory;
+
+      if (dedup === 'off') {
+        return memory;
+      }
+
+      return {
+        ...memory,
+        dedup: duplicate
+          ? { action: 'linked', duplicateOf: duplicate.id, similarity: duplicate.similarity }
+          : { action: 'created', duplicateOf: null, similarity: null },
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error creating memory:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Fold a re-stored observation into the existing memory: it gains importance and an access,
+  // and the new write is appended to metadata.provenance
+  async mergeDuplicate(duplicate, incoming) {
+    const existing = await this.prisma.memory.findUnique({ where: { id: duplicate.id } });
+    const existingMetadata = existing.metadata || {};
+
+    await this.memoryRevisionService.ensureBaseline([existing.id]);
+
+    const memory = await this.prisma.memory.update({
+      where: { id: existing.id },
+      data: {
+        importance: Math.min(1, existing.importance + this.dedupImportanceBoost),
+        accessCount: { increment: 1 },
+        version: { increment: 1 },
+        lastAccessed: new Date(),
+        metadata: {
+          ...existingMetadata,
+          provenance: [
+            ...(existingMetadata.provenance || []),
+            {
+              content: incoming.content,
+              sessionId: incoming.sessionId,
+              metadata: incoming.metadata,
+              actor: incoming.actor,
+              similarity: duplicate.similarity,
+              mergedAt: new Date(),
+            },
+          ],
+        },
+      },
+      include: {
+        agent: true,
+        session: true,
+      },
+    });
+
+    await this.memoryRevisionService.recordRevision(memory.id, {
+      actor: incoming.actor,
+      reason: 'merged duplicate',
+    });
+
+    if (memory.pinned) {
+      await this.memoryAuditService.record(memory.id, {
+        action: 'merged',
+        actor: incoming.actor,
+        details: { version: memory.version, similarity: duplicate.similarity },
+      });
+    }
+
+    logger.info(`Merged duplicate write into memory ${memory.id}`);
+    return memory;
+  }
+
+  // Create many memories for one agent. Contents are embedded in batches and semantic links
+  // are written in a single pass at the end; a failing item (or embedding batch) is reported
+  // in its result entry without aborting the rest
+  async createMemories(agentId, items, options = {}) {
+    try {
+      const { actor = null, linkPreviousSession = this.linkPreviousSession } = options;
+
+      const agent = await this.prisma.agent.findUnique({ where: { id: agentId } });
+      if (!agent) {
+        return null;
+      }
+
+      const embeddingService = this.embeddingServiceForAgent(agent);
+      const results = new Array(items.length);
+      const created = [];
+
+      for (let start = 0; start < items.length; start += this.bulkEmbeddingBatchSize) {
+        const batch = items.slice(start, start + this.bulkEmbeddingBatchSize);
+
+        let embeddings;
+        try {
+          embeddings = await embeddingService.generateEmbeddings(batch.map(item => item.content));
+        } catch (error) {
+          batch.forEach((item, i) => {
+            results[start + i] = { index: start + i, success: false, error: error.message };
+          });
+          continue;
+        }
+
+        for (let i = 0; i < batch.length; i++) {
+          const index = start + i;
+          const { content, type = 'EPISODIC', sessionId = null, metadata = {} } = batch[i];
+          const expiresAt = this.resolveExpiresAt(batch[i]);
+          let memory = null;
+
+          try {
+            memory = await this.prisma.memory.create({
+              data: { agentId, sessionId, content, type, metadata, ...(expiresAt && { expiresAt }) },
+              // The session's start time is needed to link back to the previous session
+              include: { session: true },
+            });
+
+            await this.setEmbedding(memory.id, embeddings[i], embeddingService.modelTag);
+            await this.memoryRevisionService.recordRevision(memory.id, { actor, reason: 'created' });
+
+            if (sessionId) {
+              await this.createTemporalLink(memory, { linkPreviousSession });
+            }
+
+            created.push({ memory, embedding: embeddings[i], index });
+            results[index] = { index, success: true, memory };
+          } catch (error) {
+            // Don't leave a half-written memory behind
+            if (memory) {
+              await this.prisma.memory.delete({ where: { id: memory.id } }).catch(() => {});
+            }
+            logger.warn(`Bulk item ${index} for agent ${agentId} failed: ${error.message}`);
+            results[index] = { index, success: false, error: error.message };
+          }
+        }
+      }
+
+      const linksCreated = await this.createBulkSemanticLinks(agentId, created, embeddingService.modelTag);
+      this.logAccess('WRITE', created.map(item => item.memory));
+
+      const failed = results.filter(result => !result.success).length;
+      logger.info(`Bulk created ${created.length}/${items.length} memories for agent ${agentId}`);
+
+      return {
+        total: items.length,
+        created: created.length,
+        failed,
+        linksCreated,
+        results,
+      };
     } catch (error) {
-      logger.error('Error creating memory:', error);
+      logger.error('Error bulk creating memories:', error);
       throw error;
     }
   }
 
-  async createSemanticLinks(memoryId, embedding) {
+  // Semantic links for a bulk insert, written with one createMany. Within the batch only
+  // later items link to earlier ones, as if the memories had been created one by one
+  async createBulkSemanticLinks(agentId, created, modelTag) {
+    const batchIndex = new Map(created.map(entry => [entry.memory.id, entry.index]));
+    const links = [];
+
+    for (const { memory, embedding, index } of created) {
+      const similarMemories = await this.findSimilarMemories(embedding, {
+        excludeId: memory.id,
+        agentId,
+        modelTag,
+      });
+
+      similarMemories
+        .filter(similar => !batchIndex.has(similar.id) || batchIndex.get(similar.id) < index)
+        .forEach(similar => links.push({
+          sourceId: memory.id,
+          targetId: similar.id,
+          linkType: 'SEMANTIC',
+          strength: similar.similarity,
+          similarity: similar.similarity,
+        }));
+    }
+
+    if (links.length === 0) {
+      return 0;
+    }
+
+    const { count } = await this.prisma.memoryLink.createMany({
+      data: links,
+      skipDuplicates: true,
+    });
+
+    return count;
+  }
+
+  async setEmbedding(memoryId, embedding, modelTag) {
+    // The vector column is invisible to the Prisma client, so it is written separately
+    await this.prisma.$executeRaw`
+      UPDATE memories
+      SET embedding = ${toVectorSql(embedding)}, "embeddingModel" = ${modelTag}
+      WHERE id = ${memoryId}
+    `;
+  }
+
+  async createSemanticLinks(memoryId, embedding, agentId, modelTag) {
     try {
       // Find similar memories
-      const similarMemories = await this.findSimilarMemories(embedding, memoryId);
+      const similarMemories = await this.findSimilarMemories(embedding, {
+        excludeId: memoryId,
+        agentId,
+        modelTag,
+      });
 
       // Create links for similar memories
       const links = similarMemories.map(similar => ({
@@ -72,83 +441,283 @@ class MemoryService {
     }
   }
 
-  async findSimilarMemories(embedding, excludeId = null) {
+  // Chain the memory after the previous one in its session, pointing from earlier to later.
+  // The first memory of a session can continue from the last memory of the agent's
+  // previous session
+  async createTemporalLink(memory, options = {}) {
     try {
-      // Get all memories with embeddings
-      const memories = await this.prisma.memory.findMany({
+      const { linkPreviousSession = false } = options;
+
+      let previous = await this.prisma.memory.findFirst({
         where: {
-          embedding: { not: null },
-          ...(excludeId && { id: { not: excludeId } }),
+          sessionId: memory.sessionId,
+          id: { not: memory.id },
+          createdAt: { lte: memory.createdAt },
+          deletedAt: null,
         },
-        select: {
-          id: true,
-          content: true,
-          embedding: true,
-          type: true,
-          importance: true,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        select: { id: true },
+      });
+
+      if (!previous && linkPreviousSession && memory.session) {
+        previous = await this.prisma.memory.findFirst({
+          where: {
+            agentId: memory.agentId,
+            deletedAt: null,
+            session: {
+              id: { not: memory.sessionId },
+              startTime: { lte: memory.session.startTime },
+            },
+          },
+          orderBy: [{ session: { startTime: 'desc' } }, { createdAt: 'desc' }, { id: 'desc' }],
+          select: { id: true },
+        });
+      }
+
+      if (!previous) {
+        return null;
+      }
+
+      const link = await this.prisma.memoryLink.create({
+        data: {
+          sourceId: previous.id,
+          targetId: memory.id,
+          linkType: 'TEMPORAL',
+          strength: 1.0,
         },
       });
 
-      // Calculate similarities
-      const similarities = memories.map(memory => ({
-        ...memory,
-        similarity: this.embeddingService.calculateSimilarity(embedding, JSON.parse(memory.embedding || '[]')),
-      }));
+      logger.info(`Created temporal link from ${previous.id} to ${memory.id}`);
+      return link;
+    } catch (error) {
+      logger.error('Error creating temporal link:', error);
+      throw error;
+    }
+  }
 
-      // Filter by threshold and sort by similarity
-      return similarities
-        .filter(memory => memory.similarity >= this.similarityThreshold)
-        .sort((a, b) => b.similarity - a.similarity);
+  async findSimilarMemories(embedding, options = {}) {
+    try {
+      const {
+        excludeId = null,
+        agentId = null,
+        type = null,
+        limit = this.maxSemanticLinks,
+        minSimilarity = this.similarityThreshold,
+        lexicalQuery = null,
+        filters = null,
+        modelTag = this.embeddingService.modelTag,
+      } = options;
+
+      const vector = toVectorSql(embedding);
+
+      // Ordering by cosine distance with a LIMIT lets pgvector answer from the HNSW index;
+      // the similarity threshold is applied to the nearest neighbours afterwards. Only
+      // vectors from the model that embedded the query are comparable
+      const memories = await withEfSearch(this.prisma, limit, tx => tx.$queryRaw`
+        SELECT ${MEMORY_COLUMNS},
+               1 - (embedding <=> ${vector}) AS similarity
+               ${lexicalQuery ? Prisma.sql`, ts_rank_cd(${CONTENT_TSVECTOR}, websearch_to_tsquery('english', ${lexicalQuery}), 32) AS "lexicalScore"` : Prisma.empty}
+        FROM memories
+        WHERE embedding IS NOT NULL
+          AND "embeddingModel" = ${modelTag}
+          AND "deletedAt" IS NULL
+          AND ("expiresAt" IS NULL OR "expiresAt" > now())
+          ${excludeId ? Prisma.sql`AND id <> ${excludeId}` : Prisma.empty}
+          ${agentId ? Prisma.sql`AND "agentId" = ${agentId}` : Prisma.empty}
+          ${type ? Prisma.sql`AND type = ${type}::"MemoryType"` : Prisma.empty}
+          ${buildFilterSql(filters)}
+        ORDER BY embedding <=> ${vector}
+        LIMIT ${limit}
+      `);
+
+      return memories.filter(memory => memory.similarity >= minSimilarity);
     } catch (error) {
       logger.error('Error finding similar memories:', error);
       throw error;
     }
   }
 
-  async searchMemories(agentId, query, options = {}) {
+  async findLexicalMatches(query, embedding, options = {}) {
     try {
       const {
+        agentId = null,
         type = null,
+        limit = this.searchCandidateLimit,
+        filters = null,
+        modelTag = this.embeddingService.modelTag,
+      } = options;
+
+      // ts_rank_cd normalization 32 maps the rank into [0, 1) so it can be weighted against
+      // cosine similarity; similarity is only reported for vectors from the query's model, and
+      // not at all when the query wasn't embedded
+      const similarity = embedding
+        ? Prisma.sql`CASE WHEN "embeddingModel" = ${modelTag}
+                          THEN 1 - (embedding <=> ${toVectorSql(embedding)}) END`
+        : Prisma.sql`NULL::float8`;
+
+      return await this.prisma.$queryRaw`
+        SELECT ${MEMORY_COLUMNS},
+               ${similarity} AS similarity,
+               ts_rank_cd(${CONTENT_TSVECTOR}, tsquery, 32) AS "lexicalScore"
+        FROM memories, websearch_to_tsquery('english', ${query}) AS tsquery
+        WHERE ${CONTENT_TSVECTOR} @@ tsquery
+          AND "deletedAt" IS NULL
+          AND ("expiresAt" IS NULL OR "expiresAt" > now())
+          ${agentId ? Prisma.sql`AND "agentId" = ${agentId}` : Prisma.empty}
+          ${type ? Prisma.sql`AND type = ${type}::"MemoryType"` : Prisma.empty}
+          ${buildFilterSql(filters)}
+        ORDER BY "lexicalScore" DESC
+        LIMIT ${limit}
+      `;
+    } catch (error) {
+      logger.error('Error finding lexical matches:', error);
+      throw error;
+    }
+  }
+
+  async rankCandidates(agentId, query, queryEmbedding, options) {
+    const { type, filters, limit, mode, fusion, lexicalWeight, rrfK, minSimilarity, modelTag } = options;
+
+    if (mode === 'semantic') {
+      const semantic = await this.findSimilarMemories(queryEmbedding, {
+        agentId,
+        modelTag,
+        type,
+        filters,
+        limit,
+        minSimilarity,
+        lexicalQuery: query,
+      });
+      return semantic.map(memory => this.withScores(memory, memory.similarity));
+    }
+
+    // Hybrid mode keeps semantic candidates regardless of minSimilarity: a memory can
+    // qualify through its lexical match alone
+    const [semantic, lexical] = await Promise.all([
+      mode === 'hybrid'
+        ? this.findSimilarMemories(queryEmbedding, {
+          agentId,
+          modelTag,
+          type,
+          filters,
+          limit,
+          minSimilarity: -1,
+          lexicalQuery: query,
+        })
+        : [],
+      this.findLexicalMatches(query, queryEmbedding, { agentId, modelTag, type, filters, limit }),
+    ]);
+
+    const candidates = new Map([...lexical, ...semantic].map(memory => [memory.id, memory]));
+    const rrfScores = reciprocalRankFusion([semantic.map(m => m.id), lexical.map(m => m.id)], rrfK);
+
+    return [...candidates.values()]
+      .map(memory => {
+        let score;
+        if (mode === 'lexical') {
+          score = memory.lexicalScore;
+        } else if (fusion === 'weighted') {
+          score = weightedFusion(
+            { lexical: memory.lexicalScore, semantic: memory.similarity },
+            { lexical: lexicalWeight, semantic: 1 - lexicalWeight }
+          );
+        } else {
+          score = rrfScores.get(memory.id);
+        }
+        return this.withScores(memory, score);
+      })
+      .sort((a, b) => b.score - a.score || (b.similarity || 0) - (a.similarity || 0));
+  }
+
+  // Vectors for the given memories, keyed by id; memories embedded by another model are
+  // left out since their vectors aren't comparable
+  async getEmbeddings(memoryIds, modelTag = this.embeddingService.modelTag) {
+    if (memoryIds.length === 0) {
+      return new Map();
+    }
+
+    const rows = await this.prisma.$queryRaw`
+      SELECT id, embedding::text AS embedding
+      FROM memories
+      WHERE id = ANY(${memoryIds}::text[])
+        AND embedding IS NOT NULL
+        AND "embeddingModel" = ${modelTag}
+    `;
+
+    return new Map(rows.map(row => [row.id, fromVectorSql(row.embedding)]));
+  }
+
+  withScores(memory, score) {
+    const { lexicalScore = null, ...rest } = memory;
+
+    return {
+      ...rest,
+      score,
+      scores: {
+        semantic: memory.similarity ?? null,
+        lexical: lexicalScore,
+      },
+    };
+  }
+
+  async resolveRetrievalScoring(agentId, requested) {
+    // `false` opts out of the agent's defaults; `true` uses them or the global defaults
+    if (requested === false) {
+      return null;
+    }
+
+    const agent = await this.prisma.agent.findUnique({
+      where: { id: agentId },
+      select: { retrievalScoring: true },
+    });
+
+    return this.retrievalScoringFor(agent, requested);
+  }
+
+  retrievalScoringFor(agent, requested) {
+    const agentDefaults = agent ? agent.retrievalScoring : null;
+
+    if (requested === false || (!requested && !agentDefaults)) {
+      return null;
+    }
+
+    return resolveScoring(agentDefaults, typeof requested === 'object' ? requested : null);
+  }
+
+  async searchMemories(agentId, query, options = {}) {
+    try {
+      const {
         limit = 10,
         offset = 0,
-        includeSimilar = true,
-        minSimilarity = this.similarityThreshold,
+        mode = 'semantic',
+        scoring,
+        sessionId = null,
       } = options;
 
-      // Generate embedding for the query
-      const queryEmbedding = await this.embeddingService.generateEmbedding(query);
+      // Generate embedding for the query with the model the agent's memories are embedded with;
+      // lexical search doesn't need one
+      const embeddingService = await this.embeddingServiceFor(agentId);
+      const queryEmbedding = mode === 'lexical' ? null : await embeddingService.generateEmbedding(query);
 
-      // Find similar memories using vector similarity
-      const similarMemories = await this.findSimilarMemories(queryEmbedding);
+      // Blend relevance with recency, importance and access frequency when requested
+      // or when the agent has default retrieval weights
+      const retrievalScoring = await this.resolveRetrievalScoring(agentId, scoring);
 
-      // Filter by agent and type if specified
-      let filteredMemories = similarMemories.filter(memory => {
-        if (memory.agentId !== agentId) return false;
-        if (type && memory.type !== type) return false;
-        if (memory.similarity < minSimilarity) return false;
-        return true;
+      const { memories, total, diversity } = await this.rankMemories(agentId, query, queryEmbedding, {
+        ...options,
+        modelTag: embeddingService.modelTag,
+        retrievalScoring,
       });
 
-      // Apply pagination
-      const paginatedMemories = filteredMemories.slice(offset, offset + limit);
-
-      // Update access count and last accessed
-      if (paginatedMemories.length > 0) {
-        await this.prisma.memory.updateMany({
-          where: {
-            id: { in: paginatedMemories.map(m => m.id) },
-          },
-          data: {
-            accessCount: { increment: 1 },
-            lastAccessed: new Date(),
-          },
-        });
-      }
+      await this.recordSearchAccess(memories, { sessionId, query, firstRank: offset + 1 });
 
       return {
-        memories: paginatedMemories,
-        total: filteredMemories.length,
+        memories,
+        total,
         query,
+        mode,
+        scoring: retrievalScoring,
+        diversity,
         timestamp: new Date(),
       };
     } catch (error) {
@@ -157,19 +726,104 @@ class MemoryService {
     }
   }
 
-  async getMemoryById(memoryId) {
+  // Rank and page memories for an already embedded query without recording any access, so
+  // callers that search several times for one query embed it once and record only what they use
+  async rankMemories(agentId, query, queryEmbedding, options = {}) {
+    const {
+      type = null,
+      limit = 10,
+      offset = 0,
+      minSimilarity = this.similarityThreshold,
+      mode = 'semantic',
+      fusion = 'rrf',
+      lexicalWeight = 0.5,
+      rrfK = 60,
+      retrievalScoring = null,
+      filters = null,
+      diversify = false,
+      mmrLambda = 0.5,
+      modelTag = this.embeddingService.modelTag,
+    } = options;
+
+    // Rank candidates by vector similarity, full-text rank or both; the candidate pool
+    // bounds how far each index scan goes and therefore the reported total. Structured
+    // filters are part of the SQL, so they narrow the pool before anything is ranked
+    let filteredMemories = await this.rankCandidates(agentId, query, queryEmbedding, {
+      type,
+      filters,
+      mode,
+      fusion,
+      lexicalWeight,
+      rrfK,
+      minSimilarity,
+      modelTag,
+      limit: Math.max(this.searchCandidateLimit, offset + limit),
+    });
+
+    if (retrievalScoring) {
+      filteredMemories = compositeRank(filteredMemories, retrievalScoring);
+    }
+
+    // Re-rank for diversity so near-duplicates don't crowd out the page
+    let diversity = null;
+    if (diversify) {
+      const embeddings = await this.getEmbeddings(filteredMemories.map(m => m.id), modelTag);
+      const { selected, suppressed } = maximalMarginalRelevance(
+        filteredMemories,
+        embeddings,
+        (a, b) => this.embeddingService.calculateSimilarity(a, b),
+        { lambda: mmrLambda, limit: offset + limit }
+      );
+      const selectedIds = new Set(selected.map(m => m.id));
+      filteredMemories = [...selected, ...filteredMemories.filter(m => !selectedIds.has(m.id))];
+      diversity = { lambda: mmrLambda, suppressed };
+    }
+
+    return {
+      memories: filteredMemories.slice(offset, offset + limit),
+      total: filteredMemories.length,
+      diversity,
+    };
+  }
+
+  // Update access count and last accessed for memories returned to a caller
+  async recordSearchAccess(memories, context = {}) {
+    if (memories.length === 0) {
+      return;
+    }
+
+    await this.prisma.memory.updateMany({
+      where: {
+        id: { in: memories.map(m => m.id) },
+      },
+      data: {
+        accessCount: { increment: 1 },
+        lastAccessed: new Date(),
+      },
+    });
+    this.logAccess('SEARCH', memories, context);
+  }
+
+  async getMemoryById(memoryId, options = {}) {
     try {
-      const memory = await this.prisma.memory.findUnique({
-        where: { id: memoryId },
+      const { includeDeleted = false, sessionId = null } = options;
+
+      const memory = await this.prisma.memory.findFirst({
+        where: {
+          id: memoryId,
+          ...(!includeDeleted && { deletedAt: null }),
+        },
         include: {
           agent: true,
           session: true,
           sourceLinks: {
+            where: { target: { deletedAt: null } },
             include: {
               target: true,
             },
           },
           targetLinks: {
+            where: { source: { deletedAt: null } },
             include: {
               source: true,
             },
@@ -177,10 +831,17 @@ class MemoryService {
           steps: {
             orderBy: { stepNumber: 'asc' },
           },
+          tags: {
+            select: { tag: { select: { name: true } } },
+          },
         },
       });
 
       if (memory) {
+        memory.tags = memory.tags.map(memoryTag => memoryTag.tag.name).sort();
+      }
+
+      if (memory && !memory.deletedAt) {
         // Update access count
         await this.prisma.memory.update({
           where: { id: memoryId },
@@ -189,6 +850,7 @@ class MemoryService {
             lastAccessed: new Date(),
           },
         });
+        this.logAccess('READ', [memory], { sessionId });
       }
 
       return memory;
@@ -198,111 +860,363 @@ class MemoryService {
     }
   }
 
-  async updateMemory(memoryId, updateData) {
+  // With `expectedVersions` (from If-Match) the update only applies if the memory is still at
+  // one of those versions; otherwise it fails with 412, or returns null if the memory is gone
+  async updateMemory(memoryId, updateData, options = {}) {
     try {
-      const { content, type, importance, metadata } = updateData;
+      const { content, type, importance, metadata, expiresAt, actor = null, reason = null } = updateData;
+      const { expectedVersions = null, sessionId = null } = options;
 
-      // If content is being updated, regenerate embedding
+      // Check the precondition before paying for an embedding; the version-gated update
+      // below still catches a change that lands in between
+      let current = null;
+      if (content || type || expectedVersions) {
+        current = await this.prisma.memory.findFirst({
+          where: { id: memoryId, deletedAt: null },
+          select: { agentId: true, version: true, type: true },
+        });
+        if (!current) {
+          return null;
+        }
+        if (expectedVersions && !expectedVersions.includes(current.version)) {
+          throw createHttpError(412, `Memory was modified concurrently; current version is ${current.version}`);
+        }
+      }
+
+      // Steps only belong to procedures, so a procedure has to be emptied before it can change type
+      if (type && type !== 'PROCEDURAL' && current.type === 'PROCEDURAL') {
+        const steps = await this.prisma.proceduralStep.count({ where: { memoryId } });
+        if (steps > 0) {
+          throw createHttpError(409, 'Delete the memory\'s procedural steps before changing its type');
+        }
+      }
+
+      // If content is being updated, regenerate embedding with the agent's model
       let embedding = null;
+      let embeddingService = null;
       if (content) {
-        embedding = await this.embeddingService.generateEmbedding(content);
+        embeddingService = await this.embeddingServiceFor(current.agentId);
+        embedding = await embeddingService.generateEmbedding(content);
       }
 
-      const memory = await this.prisma.memory.update({
-        where: { id: memoryId },
-        data: {
-          ...(content && { content }),
-          ...(type && { type }),
-          ...(importance !== undefined && { importance }),
-          ...(metadata && { metadata }),
-          ...(embedding && { embedding: JSON.stringify(embedding) }),
-          updatedAt: new Date(),
-        },
-        include: {
-          agent: true,
-          session: true,
+      await this.memoryRevisionService.ensureBaseline([memoryId]);
+
+      const data = {
+        ...(content && { content }),
+        ...(type && { type }),
+        ...(importance !== undefined && { importance }),
+        ...(metadata && { metadata }),
+        // null clears the expiry
+        ...(expiresAt !== undefined && { expiresAt }),
+        version: { increment: 1 },
+        updatedAt: new Date(),
+      };
+      const include = {
+        agent: true,
+        session: true,
+      };
+
+      // Trashed memories can't be updated; they have to be restored first
+      const { count } = await this.prisma.memory.updateMany({
+        where: {
+          id: memoryId,
+          deletedAt: null,
+          ...(expectedVersions && { version: { in: expectedVersions } }),
         },
+        data,
       });
 
-      // If content was updated, recreate semantic links
+      if (count === 0) {
+        const latest = expectedVersions && await this.prisma.memory.findFirst({
+          where: { id: memoryId, deletedAt: null },
+          select: { version: true },
+        });
+        if (!latest) {
+          return null;
+        }
+        throw createHttpError(412, `Memory was modified concurrently; current version is ${latest.version}`);
+      }
+
+      const memory = await this.prisma.memory.findUnique({ where: { id: memoryId }, include });
+
+      // If content was updated, store the new embedding and recreate semantic links
       if (content && embedding) {
-        // Remove existing semantic links
+        await this.setEmbedding(memoryId, embedding, embeddingService.modelTag);
+
+        // Remove existing system-generated semantic links; manual links stay
         await this.prisma.memoryLink.deleteMany({
           where: {
             OR: [
               { sourceId: memoryId, linkType: 'SEMANTIC' },
               { targetId: memoryId, linkType: 'SEMANTIC' },
             ],
+            origin: 'SYSTEM',
           },
         });
 
         // Create new semantic links
-        await this.createSemanticLinks(memoryId, embedding);
+        await this.createSemanticLinks(memoryId, embedding, memory.agentId, embeddingService.modelTag);
+      }
+
+      await this.memoryRevisionService.recordRevision(memoryId, { actor, reason: reason || 'updated' });
+
+      if (memory.pinned) {
+        await this.memoryAuditService.record(memoryId, {
+          action: 'updated',
+          actor,
+          details: {
+            version: memory.version,
+            fields: Object.keys(data).filter(field => field !== 'version' && field !== 'updatedAt'),
+            reason,
+          },
+        });
       }
 
+      this.logAccess('UPDATE', [memory], { sessionId });
       logger.info(`Updated memory ${memoryId}`);
       return memory;
     } catch (error) {
-      logger.error('Error updating memory:', error);
+      if (!error.statusCode) {
+        logger.error('Error updating memory:', error);
+      }
       throw error;
     }
   }
 
-  async deleteMemory(memoryId) {
+  // Write a prior revision's fields back as a new revision; history is never rewritten
+  async restoreRevision(memoryId, revisionNumber, options = {}) {
     try {
-      // Delete associated links first
-      await this.prisma.memoryLink.deleteMany({
-        where: {
-          OR: [
-            { sourceId: memoryId },
-            { targetId: memoryId },
-          ],
-        },
+      const { actor = null, reason = `restored revision ${revisionNumber}`, expectedVersions = null } = options;
+
+      const revision = await this.memoryRevisionService.getRevision(memoryId, revisionNumber);
+      if (!revision) {
+        return null;
+      }
+
+      return await this.updateMemory(memoryId, {
+        content: revision.content,
+        type: revision.type,
+        importance: revision.importance,
+        metadata: revision.metadata || {},
+        actor,
+        reason,
+      }, { expectedVersions });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error restoring memory revision:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Move the memory to the trash. Links, steps and revisions are kept so a restore is
+  // lossless; the purge job removes them with the memory once the retention window passes
+  // Pinned memories can't be trashed until they are unpinned (409)
+  async deleteMemory(memoryId, options = {}) {
+    try {
+      const { sessionId = null } = options;
+      const deletedAt = new Date();
+      const { count } = await this.prisma.memory.updateMany({
+        where: { id: memoryId, deletedAt: null, pinned: false },
+        data: { deletedAt, version: { increment: 1 } },
+      });
+
+      if (count === 0) {
+        const pinned = await this.prisma.memory.findFirst({
+          where: { id: memoryId, deletedAt: null, pinned: true },
+          select: { id: true },
+        });
+        if (pinned) {
+          throw createHttpError(409, 'Memory is pinned; unpin it before deleting');
+        }
+        return null;
+      }
+
+      const memory = await this.prisma.memory.findUnique({
+        where: { id: memoryId },
+        select: { id: true, agentId: true, sessionId: true },
       });
+      this.logAccess('DELETE', [memory], { sessionId });
 
-      // Delete procedural steps
-      await this.prisma.proceduralStep.deleteMany({
-        where: { memoryId },
+      logger.info(`Moved memory ${memoryId} to trash`);
+      return { success: true, deletedAt };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error deleting memory:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Pin (protect) or unpin a memory. Both count as changes to a protected memory and are
+  // audited; setting the flag it already has is a no-op
+  async setPinned(memoryId, pinned, options = {}) {
+    try {
+      const { actor = null, reason = null } = options;
+
+      const memory = await this.prisma.memory.findFirst({
+        where: { id: memoryId, deletedAt: null },
       });
+      if (!memory || memory.pinned === pinned) {
+        return memory;
+      }
 
-      // Delete the memory
-      await this.prisma.memory.delete({
+      const updated = await this.prisma.memory.update({
         where: { id: memoryId },
+        data: { pinned, version: { increment: 1 } },
       });
 
-      logger.info(`Deleted memory ${memoryId}`);
-      return { success: true };
+      await this.memoryAuditService.record(memoryId, {
+        action: pinned ? 'pinned' : 'unpinned',
+        actor,
+        details: { version: updated.version, ...(reason && { reason }) },
+      });
+
+      logger.info(`${pinned ? 'Pinned' : 'Unpinned'} memory ${memoryId}`);
+      return updated;
     } catch (error) {
-      logger.error('Error deleting memory:', error);
+      logger.error('Error pinning memory:', error);
       throw error;
     }
   }
 
-  async decayMemories() {
+  async restoreMemory(memoryId) {
     try {
-      const decayedMemories = await this.prisma.memory.updateMany({
-        where: {
-          importance: { gt: 0 },
-        },
-        data: {
+      const { count } = await this.prisma.memory.updateMany({
+        where: { id: memoryId, deletedAt: { not: null } },
+        data: { deletedAt: null, version: { increment: 1 } },
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      logger.info(`Restored memory ${memoryId} from trash`);
+      return await this.prisma.memory.findUnique({ where: { id: memoryId } });
+    } catch (error) {
+      logger.error('Error restoring memory:', error);
+      throw error;
+    }
+  }
+
+  // Page through an agent's memories without a query. Pages are keyset-based on the sort
+  // field plus id, so rows inserted while paging don't shift later pages
+  async listMemories(agentId, options = {}) {
+    try {
+      const {
+        type,
+        sessionId,
+        minImportance,
+        maxImportance,
+        createdAfter,
+        createdBefore,
+        tags,
+        sort = 'created',
+        order = 'desc',
+        limit = 50,
+        cursor,
+      } = options;
+
+      const agent = await this.prisma.agent.findUnique({ where: { id: agentId } });
+      if (!agent) {
+        return null;
+      }
+
+      const field = LIST_SORT_FIELDS[sort];
+      const comparison = order === 'desc' ? 'lt' : 'gt';
+
+      // Expired memories stay hidden until the expiry job retires them
+      const where = {
+        agentId,
+        deletedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+        ...(type && { type }),
+        ...(sessionId && { sessionId }),
+        ...((minImportance !== undefined || maxImportance !== undefined) && {
           importance: {
-            decrement: this.decayRate,
+            ...(minImportance !== undefined && { gte: minImportance }),
+            ...(maxImportance !== undefined && { lte: maxImportance }),
           },
-        },
-      });
+        }),
+        ...((createdAfter || createdBefore) && {
+          createdAt: {
+            ...(createdAfter && { gte: createdAfter }),
+            ...(createdBefore && { lte: createdBefore }),
+          },
+        }),
+      };
 
-      // Archive memories with very low importance
-      const archivedMemories = await this.prisma.memory.updateMany({
-        where: {
-          importance: { lte: 0.1 },
-        },
-        data: {
-          type: 'ARCHIVED',
-        },
+      // Every listed tag must be present
+      const conditions = (tags || []).map(name => ({ tags: { some: { tag: { name } } } }));
+
+      if (cursor) {
+        const after = decodeCursor(cursor, { sort, order });
+        conditions.push({
+          OR: [
+            { [field]: { [comparison]: after.value } },
+            { [field]: after.value, id: { [comparison]: after.id } },
+          ],
+        });
+      }
+
+      if (conditions.length > 0) {
+        where.AND = conditions;
+      }
+
+      const rows = await this.prisma.memory.findMany({
+        where,
+        orderBy: [{ [field]: order }, { id: order }],
+        take: limit + 1,
       });
 
-      logger.info(`Decayed ${decayedMemories.count} memories, archived ${archivedMemories.count} memories`);
-      return { decayed: decayedMemories.count, archived: archivedMemories.count };
+      const memories = rows.slice(0, limit);
+      const last = memories[memories.length - 1];
+
+      return {
+        memories,
+        nextCursor: rows.length > limit ? encodeCursor(last[field], last.id, { sort, order }) : null,
+        limit,
+        sort,
+        order,
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error listing memories:', error);
+      }
+      throw error;
+    }
+  }
+
+  async listTrash(agentId, options = {}) {
+    try {
+      const { limit = 50, offset = 0 } = options;
+      const where = { agentId, deletedAt: { not: null } };
+
+      const [memories, total] = await Promise.all([
+        this.prisma.memory.findMany({
+          where,
+          orderBy: { deletedAt: 'desc' },
+          skip: offset,
+          take: limit,
+        }),
+        this.prisma.memory.count({ where }),
+      ]);
+
+      return { memories, total, limit, offset };
+    } catch (error) {
+      logger.error('Error listing trashed memories:', error);
+      throw error;
+    }
+  }
+
+  // Decay and archive under each agent's evolution policy; unlike the scheduled decay job this
+  // doesn't trash stale memories
+  async decayMemories() {
+    try {
+      const { decayed, archived } = await memoryEvolutionService.decayAndArchive();
+
+      logger.info(`Decayed ${decayed} memories, archived ${archived} memories`);
+      return { decayed, archived };
     } catch (error) {
       logger.error('Error decaying memories:', error);
       throw error;
@@ -311,7 +1225,7 @@ class MemoryService {
 
   async getMemoryStats(agentId = null) {
     try {
-      const whereClause = agentId ? { agentId } : {};
+      const whereClause = agentId ? { agentId, deletedAt: null } : { deletedAt: null };
 
       const stats = await this.prisma.memory.groupBy({
         by: ['type'],
@@ -330,11 +1244,13 @@ class MemoryService {
       });
 
       const totalLinks = await this.prisma.memoryLink.count();
+      const byTag = await this.tagService.getTagBreakdown(agentId);
 
       return {
         totalMemories,
         totalLinks,
         byType: stats,
+        byTag,
         timestamp: new Date(),
       };
     } catch (error) {
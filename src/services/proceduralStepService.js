@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const MemoryAuditService = require('./memoryAuditService');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+// Steps can only be managed on PROCEDURAL memories; passes null (missing or trashed) through
+function checkProcedure(memory) {
+  if (memory && memory.type !== 'PROCEDURAL') {
+    throw createHttpError(422, 'Steps can only be attached to PROCEDURAL memories');
+  }
+
+  return memory;
+}
+
+class ProceduralStepService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.memoryAuditService = new MemoryAuditService();
+  }
+
+  // The memory steps are managed on: null when missing or trashed, 422 unless PROCEDURAL
+  async getProcedure(memoryId) {
+    const memory = await this.prisma.memory.findFirst({
+      where: { id: memoryId, deletedAt: null },
+      select: { id: true, type: true, pinned: true },
+    });
+
+    return checkProcedure(memory);
+  }
+
+  // Like getProcedure, but holds a lock on the memory row until the transaction ends, so
+  // concurrent changes to the numbering of one procedure run one after the other and each
+  // reads the steps the previous one left
+  async lockProcedure(tx, memoryId) {
+    const [memory = null] = await tx.$queryRaw`
+      SELECT id, type::text AS type, pinned
+      FROM memories
+      WHERE id = ${memoryId} AND "deletedAt" IS NULL
+      FOR UPDATE
+    `;
+
+    return checkProcedure(memory);
+  }
+
+  async listSteps(memoryId, client = this.prisma) {
+    try {
+      return await client.proceduralStep.findMany({
+        where: { memoryId },
+        orderBy: { stepNumber: 'asc' },
+      });
+    } catch (error) {
+      logger.error('Error listing procedural steps:', error);
+      throw error;
+    }
+  }
+
+  // Insert a step at `position` (1-based, default last); later steps move down one
+  async addStep(memoryId, stepData, options = {}) {
+    try {
+      const { action, parameters, result = null, position } = stepData;
+      const { actor = null } = options;
+      const id = crypto.randomUUID();
+
+      const added = await this.prisma.$transaction(async tx => {
+        const memory = await this.lockProcedure(tx, memoryId);
+        if (!memory) {
+          return null;
+        }
+
+        const steps = await this.listSteps(memoryId, tx);
+        const index = position ? Math.min(position, steps.length + 1) - 1 : steps.length;
+        const order = steps.map(step => step.id);
+        order.splice(index, 0, id);
+
+        await this.parkSteps(tx, memoryId);
+        await tx.proceduralStep.create({
+          data: {
+            id,
+            memoryId,
+            stepNumber: 0,
+            action,
+            parameters: parameters === undefined ? Prisma.DbNull : parameters,
+            result,
+          },
+        });
+        await this.numberSteps(tx, order);
+        await this.touchMemory(tx, memoryId);
+
+        return { memory, stepNumber: index + 1 };
+      });
+      if (!added) {
+        return null;
+      }
+
+      await this.auditIfPinned(added.memory, actor, { change: 'added', stepId: id, stepNumber: added.stepNumber });
+
+      return await this.prisma.proceduralStep.findUnique({ where: { id } });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error adding procedural step:', error);
+      }
+      throw error;
+    }
+  }
+
+  async updateStep(memoryId, stepId, stepData, options = {}) {
+    try {
+      const { action, parameters, result } = stepData;
+      const { actor = null } = options;
+
+      const memory = await this.getProcedure(memoryId);
+      if (!memory) {
+        return null;
+      }
+
+      const { count } = await this.prisma.proceduralStep.updateMany({
+        where: { id: stepId, memoryId },
+        data: {
+          ...(action && { action }),
+          ...(parameters !== undefined && { parameters: parameters === null ? Prisma.DbNull : parameters }),
+          ...(result !== undefined && { result }),
+        },
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      await this.touchMemory(this.prisma, memoryId);
+      await this.auditIfPinned(memory, actor, { change: 'updated', stepId });
+
+      return await this.prisma.proceduralStep.findUnique({ where: { id: stepId } });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error updating procedural step:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Remove a step and close the gap in the numbering
+  async deleteStep(memoryId, stepId, options = {}) {
+    try {
+      const { actor = null } = options;
+
+      const memory = await this.prisma.$transaction(async tx => {
+        const procedure = await this.lockProcedure(tx, memoryId);
+        if (!procedure) {
+          return null;
+        }
+
+        const steps = await this.listSteps(memoryId, tx);
+        if (!steps.some(step => step.id === stepId)) {
+          return null;
+        }
+
+        await tx.proceduralStep.delete({ where: { id: stepId } });
+        await this.parkSteps(tx, memoryId);
+        await this.numberSteps(tx, steps.map(step => step.id).filter(id => id !== stepId));
+        await this.touchMemory(tx, memoryId);
+
+        return procedure;
+      });
+      if (!memory) {
+        return null;
+      }
+
+      await this.auditIfPinned(memory, actor, { change: 'deleted', stepId });
+
+      return await this.listSteps(memoryId);
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error deleting procedural step:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Renumber all steps in the given order in one transaction; `stepIds` must list every step
+  // of the memory exactly once
+  async reorderSteps(memoryId, stepIds, options = {}) {
+    try {
+      const { actor = null } = options;
+
+      const memory = await this.prisma.$transaction(async tx => {
+        const procedure = await this.lockProcedure(tx, memoryId);
+        if (!procedure) {
+          return null;
+        }
+
+        const steps = await this.listSteps(memoryId, tx);
+        const current = new Set(steps.map(step => step.id));
+        if (stepIds.length !== current.size || !stepIds.every(id => current.has(id))) {
+          throw createHttpError(400, 'stepIds must list every step of the memory exactly once');
+        }
+
+        await this.parkSteps(tx, memoryId);
+        await this.numberSteps(tx, stepIds);
+        await this.touchMemory(tx, memoryId);
+
+        return procedure;
+      });
+      if (!memory) {
+        return null;
+      }
+
+      await this.auditIfPinned(memory, actor, { change: 'reordered', stepIds });
+
+      return await this.listSteps(memoryId);
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error reordering procedural steps:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Step numbers are unique per memory, so they are first moved out of the way (negated)
+  // and then assigned their final values
+  parkSteps(tx, memoryId) {
+    return tx.proceduralStep.updateMany({
+      where: { memoryId, stepNumber: { gt: 0 } },
+      data: { stepNumber: { multiply: -1 } },
+    });
+  }
+
+  async numberSteps(tx, stepIds) {
+    for (const [i, id] of stepIds.entries()) {
+      await tx.proceduralStep.update({
+        where: { id },
+        data: { stepNumber: i + 1 },
+      });
+    }
+  }
+
+  // Steps are part of the memory, so changing them is a new version of it
+  touchMemory(client, memoryId) {
+    return client.memory.update({
+      where: { id: memoryId },
+      data: { version: { increment: 1 } },
+    });
+  }
+
+  async auditIfPinned(memory, actor, details) {
+    if (memory.pinned) {
+      await this.memoryAuditService.record(memory.id, { action: 'steps', actor, details });
+    }
+  }
+}
+
+module.exports = ProceduralStepService;
@@ -0,0 +1,255 @@
+const { PrismaClient } = require('@prisma/client');
+const MemoryRevisionService = require('./memoryRevisionService');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+// Run or step counts by outcome from groupBy rows. successRate ignores skipped steps and is
+// null until something succeeded or failed
+function summarize(groups) {
+  const count = status => groups
+    .filter(group => group.status === status)
+    .reduce((sum, group) => sum + group._count.id, 0);
+
+  const successes = count('SUCCESS');
+  const failures = count('FAILURE');
+  const skipped = count('SKIPPED');
+
+  const timed = groups.filter(group => group._avg.durationMs !== null);
+  const timedCount = timed.reduce((sum, group) => sum + group._count.id, 0);
+
+  return {
+    runs: successes + failures + skipped,
+    successes,
+    failures,
+    skipped,
+    successRate: successes + failures > 0 ? successes / (successes + failures) : null,
+    avgDurationMs: timedCount > 0
+      ? timed.reduce((sum, group) => sum + group._avg.durationMs * group._count.id, 0) / timedCount
+      : null,
+  };
+}
+
+class ProcedureExecutionService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.memoryRevisionService = new MemoryRevisionService();
+    this.importanceWeight = parseFloat(process.env.PROCEDURE_IMPORTANCE_WEIGHT) || 0.2;
+  }
+
+  // Record a run of a procedural memory with the outcome of each step it reached. Steps are
+  // referenced by id or by their current number
+  async recordExecution(memoryId, executionData) {
+    try {
+      const {
+        status,
+        durationMs = null,
+        error = null,
+        sessionId = null,
+        metadata,
+        steps = [],
+      } = executionData;
+
+      const memory = await this.prisma.memory.findFirst({
+        where: { id: memoryId, deletedAt: null },
+        include: { steps: true },
+      });
+      if (!memory) {
+        return null;
+      }
+      if (memory.type !== 'PROCEDURAL') {
+        throw createHttpError(422, 'Executions can only be recorded for PROCEDURAL memories');
+      }
+
+      const stepsById = new Map(memory.steps.map(step => [step.id, step]));
+      const stepsByNumber = new Map(memory.steps.map(step => [step.stepNumber, step]));
+
+      const stepRuns = steps.map(stepRun => {
+        const step = stepRun.stepId ? stepsById.get(stepRun.stepId) : stepsByNumber.get(stepRun.stepNumber);
+        if (!step) {
+          throw createHttpError(400, `Unknown step ${stepRun.stepId || stepRun.stepNumber} for memory ${memoryId}`);
+        }
+
+        return {
+          stepId: step.id,
+          stepNumber: step.stepNumber,
+          status: stepRun.status,
+          durationMs: stepRun.durationMs ?? null,
+          error: stepRun.error ?? null,
+          ...(stepRun.output !== undefined && { output: stepRun.output }),
+        };
+      });
+
+      const execution = await this.prisma.procedureExecution.create({
+        data: {
+          memoryId,
+          sessionId,
+          status,
+          durationMs,
+          error,
+          ...(metadata && { metadata }),
+          steps: { create: stepRuns },
+        },
+        include: {
+          steps: { orderBy: { stepNumber: 'asc' } },
+        },
+      });
+
+      const importance = await this.applySuccessRate(memory);
+
+      logger.info(`Recorded ${status} execution ${execution.id} of procedure ${memoryId}`);
+      return { ...execution, importance };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error recording procedure execution:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Move the procedure's importance a step (PROCEDURE_IMPORTANCE_WEIGHT) towards its smoothed
+  // success rate, so reliable procedures rank higher in search. Pinned memories keep theirs
+  async applySuccessRate(memory) {
+    if (memory.pinned) {
+      return memory.importance;
+    }
+
+    const groups = await this.prisma.procedureExecution.groupBy({
+      by: ['status'],
+      where: { memoryId: memory.id },
+      _count: { id: true },
+      _avg: { durationMs: true },
+    });
+    const { successes, failures } = summarize(groups);
+
+    // Laplace smoothing keeps a single run from pinning importance to 0 or 1
+    const rate = (successes + 1) / (successes + failures + 2);
+    const importance = Math.min(1, Math.max(0, memory.importance + this.importanceWeight * (rate - memory.importance)));
+
+    await this.memoryRevisionService.ensureBaseline([memory.id]);
+    await this.prisma.memory.update({
+      where: { id: memory.id },
+      data: {
+        importance,
+        version: { increment: 1 },
+      },
+    });
+    await this.memoryRevisionService.recordRevision(memory.id, {
+      actor: 'system',
+      reason: 'execution success rate',
+    });
+
+    return importance;
+  }
+
+  async listExecutions(memoryId, options = {}) {
+    try {
+      const { status, limit = 20, offset = 0 } = options;
+      const where = { memoryId, ...(status && { status }) };
+
+      const [executions, total] = await Promise.all([
+        this.prisma.procedureExecution.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip: offset,
+          take: limit,
+          include: {
+            steps: { orderBy: { stepNumber: 'asc' } },
+          },
+        }),
+        this.prisma.procedureExecution.count({ where }),
+      ]);
+
+      return { executions, total, limit, offset };
+    } catch (error) {
+      logger.error('Error listing procedure executions:', error);
+      throw error;
+    }
+  }
+
+  // Success rates and durations of a procedure overall and per current step
+  async getProcedureStats(memoryId) {
+    try {
+      const memory = await this.prisma.memory.findFirst({
+        where: { id: memoryId, deletedAt: null },
+        include: { steps: { orderBy: { stepNumber: 'asc' } } },
+      });
+      if (!memory) {
+        return null;
+      }
+
+      const [runGroups, lastRun, stepGroups] = await Promise.all([
+        this.prisma.procedureExecution.groupBy({
+          by: ['status'],
+          where: { memoryId },
+          _count: { id: true },
+          _avg: { durationMs: true },
+        }),
+        this.prisma.procedureExecution.findFirst({
+          where: { memoryId },
+          orderBy: { createdAt: 'desc' },
+          select: { createdAt: true, status: true },
+        }),
+        this.prisma.procedureStepExecution.groupBy({
+          by: ['stepId', 'status'],
+          where: { execution: { memoryId }, stepId: { not: null } },
+          _count: { id: true },
+          _avg: { durationMs: true },
+        }),
+      ]);
+
+      return {
+        memoryId,
+        importance: memory.importance,
+        ...summarize(runGroups),
+        lastRunAt: lastRun ? lastRun.createdAt : null,
+        lastStatus: lastRun ? lastRun.status : null,
+        steps: memory.steps.map(step => ({
+          stepId: step.id,
+          stepNumber: step.stepNumber,
+          action: step.action,
+          ...summarize(stepGroups.filter(group => group.stepId === step.id)),
+        })),
+      };
+    } catch (error) {
+      logger.error('Error getting procedure stats:', error);
+      throw error;
+    }
+  }
+
+  // Every executed procedure of an agent with its success rate, most reliable first
+  async getAgentProcedureStats(agentId) {
+    try {
+      const agent = await this.prisma.agent.findUnique({ where: { id: agentId } });
+      if (!agent) {
+        return null;
+      }
+
+      const groups = await this.prisma.procedureExecution.groupBy({
+        by: ['memoryId', 'status'],
+        where: { memory: { agentId, deletedAt: null } },
+        _count: { id: true },
+        _avg: { durationMs: true },
+      });
+
+      const memoryIds = [...new Set(groups.map(group => group.memoryId))];
+      const memories = await this.prisma.memory.findMany({
+        where: { id: { in: memoryIds } },
+        select: { id: true, content: true, importance: true },
+      });
+
+      return memories
+        .map(memory => ({
+          memoryId: memory.id,
+          content: memory.content,
+          importance: memory.importance,
+          ...summarize(groups.filter(group => group.memoryId === memory.id)),
+        }))
+        .sort((a, b) => (b.successRate ?? -1) - (a.successRate ?? -1) || b.runs - a.runs);
+    } catch (error) {
+      logger.error('Error getting agent procedure stats:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ProcedureExecutionService;
@@ -0,0 +1,269 @@
+const { PrismaClient } = require('@prisma/client');
+const EmbeddingService = require('./embeddingService');
+const { toVectorSql } = require('../utils/vector');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+class ReembeddingService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.defaultBatchSize = parseInt(process.env.REEMBED_BATCH_SIZE) || 50;
+    // Jobs executing in this process; a RUNNING job missing here was interrupted by a restart
+    this.activeJobs = new Set();
+  }
+
+  // Untrashed memories of the agent whose embedding was not produced by the target model.
+  // Trashed ones are skipped; a memory restored from the trash afterwards keeps its old
+  // embedding until another job for the agent's model picks it up
+  staleMemoriesWhere(job) {
+    return {
+      agentId: job.agentId,
+      deletedAt: null,
+      OR: [
+        { embeddingModel: null },
+        { embeddingModel: { not: job.targetModel } },
+      ],
+    };
+  }
+
+  async startJob(agentId, options = {}) {
+    try {
+      const agent = await this.prisma.agent.findUnique({ where: { id: agentId } });
+      if (!agent) {
+        return null;
+      }
+
+      const {
+        provider = process.env.EMBEDDING_PROVIDER || 'openai',
+        model,
+        batchSize = this.defaultBatchSize,
+      } = options;
+
+      // Fail fast on unknown providers or missing provider configuration
+      let embeddingService;
+      try {
+        embeddingService = new EmbeddingService({ provider, model });
+      } catch (error) {
+        throw createHttpError(400, error.message);
+      }
+
+      const running = await this.prisma.embeddingJob.findFirst({
+        where: { agentId, status: { in: ['PENDING', 'RUNNING'] } },
+      });
+      if (running) {
+        throw createHttpError(409, `Embedding job ${running.id} is already in progress for this agent`);
+      }
+
+      const draft = {
+        agentId,
+        targetModel: embeddingService.modelTag,
+      };
+      const total = await this.prisma.memory.count({ where: this.staleMemoriesWhere(draft) });
+
+      const job = await this.prisma.embeddingJob.create({
+        data: {
+          ...draft,
+          provider,
+          model: embeddingService.model,
+          batchSize,
+          total,
+        },
+      });
+
+      logger.info(`Created embedding job ${job.id} for agent ${agentId}: ${total} memories to ${job.targetModel}`);
+      this.runInBackground(job.id);
+      return this.withProgress(job);
+    } catch (error) {
+      logger.error('Error starting embedding job:', error);
+      throw error;
+    }
+  }
+
+  async resumeJob(jobId) {
+    try {
+      const job = await this.prisma.embeddingJob.findUnique({ where: { id: jobId } });
+      if (!job) {
+        return null;
+      }
+
+      if (job.status === 'COMPLETED') {
+        throw createHttpError(409, 'Embedding job is already completed');
+      }
+
+      if (this.activeJobs.has(jobId)) {
+        throw createHttpError(409, 'Embedding job is already running');
+      }
+
+      const resumed = await this.prisma.embeddingJob.update({
+        where: { id: jobId },
+        data: { status: 'PENDING', error: null },
+      });
+
+      logger.info(`Resuming embedding job ${jobId} after ${job.processed}/${job.total} memories`);
+      this.runInBackground(jobId);
+      return this.withProgress(resumed);
+    } catch (error) {
+      logger.error('Error resuming embedding job:', error);
+      throw error;
+    }
+  }
+
+  async pauseJob(jobId) {
+    try {
+      const job = await this.prisma.embeddingJob.findUnique({ where: { id: jobId } });
+      if (!job) {
+        return null;
+      }
+
+      if (!['PENDING', 'RUNNING'].includes(job.status)) {
+        throw createHttpError(409, `Cannot pause a ${job.status.toLowerCase()} embedding job`);
+      }
+
+      // The worker checks the status between batches and stops after the current one
+      const paused = await this.prisma.embeddingJob.update({
+        where: { id: jobId },
+        data: { status: 'PAUSED' },
+      });
+
+      logger.info(`Paused embedding job ${jobId}`);
+      return this.withProgress(paused);
+    } catch (error) {
+      logger.error('Error pausing embedding job:', error);
+      throw error;
+    }
+  }
+
+  async getJob(jobId) {
+    try {
+      const job = await this.prisma.embeddingJob.findUnique({ where: { id: jobId } });
+      return job ? this.withProgress(job) : null;
+    } catch (error) {
+      logger.error('Error getting embedding job:', error);
+      throw error;
+    }
+  }
+
+  async listJobs(agentId) {
+    try {
+      const jobs = await this.prisma.embeddingJob.findMany({
+        where: { agentId },
+        orderBy: { createdAt: 'desc' },
+      });
+      return jobs.map(job => this.withProgress(job));
+    } catch (error) {
+      logger.error('Error listing embedding jobs:', error);
+      throw error;
+    }
+  }
+
+  runInBackground(jobId) {
+    this.runJob(jobId).catch(error => {
+      logger.error(`Embedding job ${jobId} crashed:`, error);
+    });
+  }
+
+  async runJob(jobId) {
+    if (this.activeJobs.has(jobId)) {
+      return;
+    }
+    this.activeJobs.add(jobId);
+
+    try {
+      let job = await this.prisma.embeddingJob.update({
+        where: { id: jobId },
+        data: { status: 'RUNNING', startedAt: new Date() },
+      });
+
+      const embeddingService = new EmbeddingService({ provider: job.provider, model: job.model });
+
+      for (;;) {
+        const batch = await this.reembedBatch(job, embeddingService);
+
+        if (batch.length === 0) {
+          break;
+        }
+
+        job = await this.prisma.embeddingJob.update({
+          where: { id: jobId },
+          data: {
+            cursor: batch[batch.length - 1].id,
+            processed: { increment: batch.length },
+          },
+        });
+
+        logger.info(`Embedding job ${jobId}: ${job.processed}/${job.total} memories re-embedded`);
+
+        if (job.status === 'PAUSED') {
+          logger.info(`Embedding job ${jobId} paused at ${job.cursor}`);
+          return;
+        }
+      }
+
+      // Memories written behind the cursor while the job ran still carry the old model; catch
+      // up on them, then switch the agent over together with completing the job. From then
+      // on its searches and new writes use the target model
+      while ((await this.reembedBatch({ ...job, cursor: null }, embeddingService)).length > 0);
+
+      await this.prisma.$transaction([
+        this.prisma.agent.update({
+          where: { id: job.agentId },
+          data: { embeddingProvider: job.provider, embeddingModel: job.model },
+        }),
+        this.prisma.embeddingJob.update({
+          where: { id: jobId },
+          data: { status: 'COMPLETED', completedAt: new Date() },
+        }),
+      ]);
+
+      // Writes that picked the old model just before the switch
+      while ((await this.reembedBatch({ ...job, cursor: null }, embeddingService)).length > 0);
+
+      logger.info(`Embedding job ${jobId} completed; agent ${job.agentId} now uses ${job.targetModel}`);
+    } catch (error) {
+      // The cursor still points at the last finished batch, so the job can be resumed
+      logger.error(`Embedding job ${jobId} failed:`, error);
+      await this.prisma.embeddingJob.update({
+        where: { id: jobId },
+        data: { status: 'FAILED', error: error.message },
+      });
+    } finally {
+      this.activeJobs.delete(jobId);
+    }
+  }
+
+  // Re-embed the next batch of stale memories after the job's cursor and return it
+  async reembedBatch(job, embeddingService) {
+    const batch = await this.prisma.memory.findMany({
+      where: {
+        ...this.staleMemoriesWhere(job),
+        ...(job.cursor && { id: { gt: job.cursor } }),
+      },
+      select: { id: true, content: true },
+      orderBy: { id: 'asc' },
+      take: job.batchSize,
+    });
+
+    if (batch.length === 0) {
+      return batch;
+    }
+
+    const embeddings = await embeddingService.generateEmbeddings(batch.map(memory => memory.content));
+
+    await this.prisma.$transaction(batch.map((memory, i) => this.prisma.$executeRaw`
+      UPDATE memories
+      SET embedding = ${toVectorSql(embeddings[i])}, "embeddingModel" = ${embeddingService.modelTag}
+      WHERE id = ${memory.id}
+    `));
+
+    return batch;
+  }
+
+  withProgress(job) {
+    return {
+      ...job,
+      progress: job.total > 0 ? Math.min(1, job.processed / job.total) : 1,
+    };
+  }
+}
+
+module.exports = ReembeddingService;
@@ -0,0 +1,164 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const MemoryAuditService = require('./memoryAuditService');
+const logger = require('../utils/logger');
+
+// Tags are case-insensitive labels; store one spelling
+function normalizeTags(names) {
+  return [...new Set(names.map(name => name.trim().toLowerCase()).filter(Boolean))];
+}
+
+class TagService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.memoryAuditService = new MemoryAuditService();
+  }
+
+  // Attach tags to a memory, creating them in the agent's vocabulary as needed
+  async addTags(memoryId, names, options = {}) {
+    try {
+      const { actor = null } = options;
+
+      const memory = await this.prisma.memory.findFirst({
+        where: { id: memoryId, deletedAt: null },
+        select: { id: true, agentId: true, pinned: true },
+      });
+      if (!memory) {
+        return null;
+      }
+
+      const tags = await Promise.all(normalizeTags(names).map(name => this.prisma.tag.upsert({
+        where: { agentId_name: { agentId: memory.agentId, name } },
+        create: { agentId: memory.agentId, name },
+        update: {},
+      })));
+
+      if (tags.length > 0) {
+        const { count } = await this.prisma.memoryTag.createMany({
+          data: tags.map(tag => ({ memoryId, tagId: tag.id })),
+          skipDuplicates: true,
+        });
+
+        if (count > 0 && memory.pinned) {
+          await this.memoryAuditService.record(memoryId, {
+            action: 'tags',
+            actor,
+            details: { change: 'added', tags: tags.map(tag => tag.name) },
+          });
+        }
+      }
+
+      return await this.getMemoryTags(memoryId);
+    } catch (error) {
+      logger.error('Error adding memory tags:', error);
+      throw error;
+    }
+  }
+
+  // Detach a tag from a memory; the tag itself goes once no memory uses it
+  async removeTag(memoryId, name, options = {}) {
+    try {
+      const { actor = null } = options;
+      const [normalized] = normalizeTags([name]);
+
+      // Like adding, removing leaves trashed memories alone until they are restored
+      const memoryTag = await this.prisma.memoryTag.findFirst({
+        where: { memoryId, tag: { name: normalized }, memory: { deletedAt: null } },
+        include: { memory: { select: { pinned: true } } },
+      });
+      if (!memoryTag) {
+        return false;
+      }
+
+      await this.prisma.memoryTag.delete({
+        where: { memoryId_tagId: { memoryId, tagId: memoryTag.tagId } },
+      });
+
+      const remaining = await this.prisma.memoryTag.count({ where: { tagId: memoryTag.tagId } });
+      if (remaining === 0) {
+        await this.prisma.tag.deleteMany({ where: { id: memoryTag.tagId } });
+      }
+
+      if (memoryTag.memory.pinned) {
+        await this.memoryAuditService.record(memoryId, {
+          action: 'tags',
+          actor,
+          details: { change: 'removed', tags: [normalized] },
+        });
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error removing memory tag:', error);
+      throw error;
+    }
+  }
+
+  async getMemoryTags(memoryId) {
+    try {
+      const memoryTags = await this.prisma.memoryTag.findMany({
+        where: { memoryId },
+        select: { tag: { select: { name: true } } },
+      });
+
+      return memoryTags.map(memoryTag => memoryTag.tag.name).sort();
+    } catch (error) {
+      logger.error('Error getting memory tags:', error);
+      throw error;
+    }
+  }
+
+  // The agent's tags with the number of (untrashed) memories carrying each, most used first
+  async listTags(agentId) {
+    try {
+      const agent = await this.prisma.agent.findUnique({ where: { id: agentId } });
+      if (!agent) {
+        return null;
+      }
+
+      const tags = await this.prisma.tag.findMany({
+        where: { agentId },
+        select: {
+          name: true,
+          _count: {
+            select: { memories: { where: { memory: { deletedAt: null } } } },
+          },
+        },
+      });
+
+      return tags
+        .map(tag => ({ name: tag.name, count: tag._count.memories }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    } catch (error) {
+      logger.error('Error listing tags:', error);
+      throw error;
+    }
+  }
+
+  // Memory counts per tag name for stats and analytics, optionally for one agent and for
+  // memories created since a point in time
+  async getTagBreakdown(agentId = null, options = {}) {
+    try {
+      const { since = null, limit = 50 } = options;
+
+      const rows = await this.prisma.$queryRaw`
+        SELECT t.name, COUNT(*)::int AS count
+        FROM memory_tags mt
+        JOIN tags t ON t.id = mt."tagId"
+        JOIN memories m ON m.id = mt."memoryId"
+        WHERE m."deletedAt" IS NULL
+          ${agentId ? Prisma.sql`AND m."agentId" = ${agentId}` : Prisma.empty}
+          ${since ? Prisma.sql`AND m."createdAt" >= ${since}` : Prisma.empty}
+        GROUP BY t.name
+        ORDER BY count DESC, t.name
+        LIMIT ${limit}
+      `;
+
+      return rows;
+    } catch (error) {
+      logger.error('Error getting tag breakdown:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TagService;
@@ -27,6 +27,33 @@ describe('Agent API Integration Tests', () => {
       expect(response.body.data.description).toBe(agentData.description);
     });
 
+    it('should replay the first response for a retried Idempotency-Key', async () => {
+      const key = `agent-create-${Date.now()}`;
+      const agentData = { name: 'Idempotent Agent' };
+
+      const first = await request(app)
+        .post('/api/v1/agents')
+        .set('Idempotency-Key', key)
+        .send(agentData)
+        .expect(201);
+
+      const retry = await request(app)
+        .post('/api/v1/agents')
+        .set('Idempotency-Key', key)
+        .send(agentData)
+        .expect(201);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.data.id).toBe(first.body.data.id);
+      expect(await prisma.agent.count({ where: { name: 'Idempotent Agent' } })).toBe(1);
+
+      await request(app)
+        .post('/api/v1/agents')
+        .set('Idempotency-Key', key)
+        .send({ name: 'Another Agent' })
+        .expect(422);
+    });
+
     it('should return 400 for invalid data', async () => {
       const invalidData = {
         name: '', // Empty name should fail validation
@@ -132,6 +159,62 @@ describe('Agent API Integration Tests', () => {
     });
   });
 
+  describe('Evolution policies', () => {
+    let testAgent;
+
+    beforeEach(async () => {
+      testAgent = await prisma.agent.create({
+        data: { name: 'Research Bot' },
+      });
+    });
+
+    it('should store a policy and report the effective settings per type', async () => {
+      await request(app)
+        .put(`/api/v1/agents/${testAgent.id}`)
+        .send({
+          evolutionPolicy: {
+            decayRate: 0.001,
+            maxAgeDays: 3650,
+            types: { WORKING: { decayRate: 0.2, archiveThreshold: 0.5 } },
+          },
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/agents/${testAgent.id}/evolution-policy`)
+        .expect(200);
+
+      expect(response.body.data.effective.WORKING).toMatchObject({ decayRate: 0.2, archiveThreshold: 0.5, maxAgeDays: 3650 });
+      expect(response.body.data.effective.SEMANTIC.decayRate).toBe(0.001);
+      expect(response.body.data.effective.SEMANTIC.archiveThreshold).toBe(response.body.data.defaults.archiveThreshold);
+    });
+
+    it('should clear the policy with null', async () => {
+      await prisma.agent.update({
+        where: { id: testAgent.id },
+        data: { evolutionPolicy: { decayRate: 0.5 } },
+      });
+
+      await request(app)
+        .put(`/api/v1/agents/${testAgent.id}`)
+        .send({ evolutionPolicy: null })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/agents/${testAgent.id}/evolution-policy`)
+        .expect(200);
+
+      expect(response.body.data.policy).toBeNull();
+    });
+
+    it('should reject settings for an unknown memory type', async () => {
+      await request(app)
+        .put(`/api/v1/agents/${testAgent.id}`)
+        .send({ evolutionPolicy: { types: { DREAMS: { decayRate: 0.1 } } } })
+        .expect(400);
+    });
+  });
+
   describe('DELETE /api/v1/agents/:id', () => {
     let testAgent;
 
@@ -256,5 +339,141 @@ describe('Agent API Integration Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.endTime).not.toBeNull();
     });
+
+    it('should promote the session working memories when asked', async () => {
+      const session = await prisma.session.create({
+        data: { agentId: testAgent.id, name: 'Session with scratch notes' },
+      });
+      const working = await prisma.memory.create({
+        data: {
+          agentId: testAgent.id,
+          sessionId: session.id,
+          content: 'Scratch: user prefers dark mode',
+          type: 'WORKING',
+          expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        },
+      });
+
+      const response = await request(app)
+        .put(`/api/v1/agents/${testAgent.id}/sessions/${session.id}/end`)
+        .send({ workingMemories: 'promote', promoteTo: 'SEMANTIC' })
+        .expect(200);
+
+      expect(response.body.data.workingMemories).toEqual({ action: 'promote', count: 1 });
+      const promoted = await prisma.memory.findUnique({ where: { id: working.id } });
+      expect(promoted.type).toBe('SEMANTIC');
+      expect(promoted.expiresAt).toBeNull();
+    });
+  });
+
+  describe('GET /api/v1/agents/:id/memories', () => {
+    let testAgent;
+
+    beforeAll(async () => {
+      testAgent = await prisma.agent.create({
+        data: { name: 'Agent for Listing' },
+      });
+
+      const importances = [0.2, 0.5, 0.5, 0.8, 0.9];
+      for (const [i, importance] of importances.entries()) {
+        const memory = await prisma.memory.create({
+          data: {
+            agentId: testAgent.id,
+            content: `Listed memory ${i}`,
+            type: i % 2 === 0 ? 'EPISODIC' : 'SEMANTIC',
+            importance,
+          },
+        });
+
+        await request(app)
+          .post(`/api/v1/memories/${memory.id}/tags`)
+          .send({ tags: [i < 2 ? 'billing' : 'ops'] })
+          .expect(200);
+      }
+    });
+
+    it('should page through every memory exactly once', async () => {
+      const seen = [];
+      let cursor;
+
+      do {
+        const response = await request(app)
+          .get(`/api/v1/agents/${testAgent.id}/memories`)
+          .query({ sort: 'importance', limit: 2, ...(cursor && { cursor }) })
+          .expect(200);
+
+        seen.push(...response.body.data.memories);
+        cursor = response.body.data.nextCursor;
+      } while (cursor);
+
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen.map(m => m.id)).size).toBe(5);
+      expect(seen.map(m => m.importance)).toEqual([0.9, 0.8, 0.5, 0.5, 0.2]);
+    });
+
+    it('should apply filters', async () => {
+      const response = await request(app)
+        .get(`/api/v1/agents/${testAgent.id}/memories`)
+        .query({ type: 'EPISODIC', tags: 'ops' })
+        .expect(200);
+
+      expect(response.body.data.memories.map(m => m.content).sort())
+        .toEqual(['Listed memory 2', 'Listed memory 4']);
+    });
+
+    it('should count memories per tag', async () => {
+      const response = await request(app)
+        .get(`/api/v1/agents/${testAgent.id}/tags`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([
+        { name: 'ops', count: 3 },
+        { name: 'billing', count: 2 },
+      ]);
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      await request(app)
+        .get(`/api/v1/agents/${testAgent.id}/memories`)
+        .query({ cursor: 'garbage' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/agents/:id/context', () => {
+    let testAgent;
+
+    beforeAll(async () => {
+      testAgent = await prisma.agent.create({
+        data: {
+          name: 'Agent for Context',
+          description: 'Agent for testing context assembly',
+        },
+      });
+
+      await request(app)
+        .post('/api/v1/memories')
+        .send({ agentId: testAgent.id, content: 'The staging database runs PostgreSQL 16', type: 'SEMANTIC' });
+    });
+
+    it('should return a budget-fitted context block with citations', async () => {
+      const response = await request(app)
+        .post(`/api/v1/agents/${testAgent.id}/context`)
+        .send({ query: 'staging database', tokenBudget: 200 })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.tokensUsed).toBeLessThanOrEqual(200);
+      expect(response.body.data.citations.length).toBeGreaterThan(0);
+      expect(response.body.data.context).toContain(`[memory:${response.body.data.citations[0]}]`);
+      expect(response.body.data.items[0]).toHaveProperty('tokens');
+    });
+
+    it('should return 400 without a token budget', async () => {
+      await request(app)
+        .post(`/api/v1/agents/${testAgent.id}/context`)
+        .send({ query: 'staging database' })
+        .expect(400);
+    });
   });
 });
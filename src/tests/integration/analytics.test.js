@@ -101,6 +101,7 @@ describe('Analytics API Integration Tests', () => {
       expect(response.body.data).toHaveProperty('accessPatterns');
       expect(response.body.data).toHaveProperty('linkStats');
       expect(response.body.data).toHaveProperty('topMemories');
+      expect(response.body.data).toHaveProperty('tagBreakdown');
       expect(response.body.data).toHaveProperty('systemMetrics');
     });
 
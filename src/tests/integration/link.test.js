@@ -0,0 +1,82 @@
+const request = require('supertest');
+const app = require('../../server');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Link API Integration Tests', () => {
+  let testAgent;
+  let otherAgent;
+  let cause;
+  let effect;
+  let foreignMemory;
+
+  beforeAll(async () => {
+    testAgent = await prisma.agent.create({
+      data: { name: 'Link Test Agent' },
+    });
+    otherAgent = await prisma.agent.create({
+      data: { name: 'Other Link Test Agent' },
+    });
+
+    cause = await prisma.memory.create({
+      data: { agentId: testAgent.id, content: 'Deployed without running migrations' },
+    });
+    effect = await prisma.memory.create({
+      data: { agentId: testAgent.id, content: 'Production API returned 500 errors' },
+    });
+    foreignMemory = await prisma.memory.create({
+      data: { agentId: otherAgent.id, content: 'Unrelated memory of another agent' },
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.memoryLink.deleteMany();
+    await prisma.memory.deleteMany();
+    await prisma.agent.deleteMany();
+    await prisma.$disconnect();
+  });
+
+  it('should create, list, update and delete a manual link', async () => {
+    const created = await request(app)
+      .post('/api/v1/links')
+      .send({ sourceId: cause.id, targetId: effect.id, linkType: 'CAUSAL', strength: 0.9 })
+      .expect(201);
+
+    expect(created.body.data.origin).toBe('MANUAL');
+    const linkId = created.body.data.id;
+
+    const listed = await request(app)
+      .get('/api/v1/links')
+      .query({ memoryId: effect.id, linkType: 'CAUSAL' })
+      .expect(200);
+
+    expect(listed.body.data.links.map(l => l.id)).toContain(linkId);
+
+    const updated = await request(app)
+      .put(`/api/v1/links/${linkId}`)
+      .send({ strength: 0.5 })
+      .expect(200);
+
+    expect(updated.body.data.strength).toBe(0.5);
+
+    await request(app).delete(`/api/v1/links/${linkId}`).expect(200);
+    await request(app).get(`/api/v1/links/${linkId}`).expect(404);
+  });
+
+  it('should reject links between agents', async () => {
+    const response = await request(app)
+      .post('/api/v1/links')
+      .send({ sourceId: cause.id, targetId: foreignMemory.id, linkType: 'CONTEXTUAL' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Linked memories must belong to the same agent');
+  });
+
+  it('should return 409 for a duplicate link', async () => {
+    const link = { sourceId: effect.id, targetId: cause.id, linkType: 'CONTEXTUAL' };
+
+    await request(app).post('/api/v1/links').send(link).expect(201);
+    await request(app).post('/api/v1/links').send(link).expect(409);
+  });
+});
@@ -1,6 +1,7 @@
 const request = require('supertest');
 const app = require('../../server');
 const { PrismaClient } = require('@prisma/client');
+const accessLogService = require('../../services/accessLogService');
 
 const prisma = new PrismaClient();
 
@@ -28,6 +29,8 @@ describe('Memory API Integration Tests', () => {
 
   afterAll(async () => {
     // Clean up test data
+    await accessLogService.flush();
+    await prisma.memoryAccess.deleteMany();
     await prisma.memoryLink.deleteMany();
     await prisma.proceduralStep.deleteMany();
     await prisma.memory.deleteMany();
@@ -72,6 +75,83 @@ describe('Memory API Integration Tests', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('Validation error');
     });
+
+    it('should deduplicate near-identical writes when asked', async () => {
+      const content = 'The staging database password rotates every Monday';
+      const original = await request(app)
+        .post('/api/v1/memories')
+        .send({ agentId: testAgent.id, content })
+        .expect(201);
+
+      const rejected = await request(app)
+        .post('/api/v1/memories')
+        .send({ agentId: testAgent.id, content, dedup: 'reject' })
+        .expect(409);
+      expect(rejected.body.error).toContain(original.body.data.id);
+
+      const merged = await request(app)
+        .post('/api/v1/memories')
+        .send({ agentId: testAgent.id, content, dedup: 'merge' })
+        .expect(200);
+      expect(merged.body.data.id).toBe(original.body.data.id);
+      expect(merged.body.data.dedup.action).toBe('merged');
+      expect(merged.body.data.metadata.provenance).toHaveLength(1);
+    });
+
+    it('should link consecutive memories of a session', async () => {
+      const first = await request(app)
+        .post('/api/v1/memories')
+        .send({ agentId: testAgent.id, sessionId: testSession.id, content: 'Opened the incident ticket' })
+        .expect(201);
+      const second = await request(app)
+        .post('/api/v1/memories')
+        .send({ agentId: testAgent.id, sessionId: testSession.id, content: 'Rolled back the release' })
+        .expect(201);
+
+      const link = await prisma.memoryLink.findFirst({
+        where: { targetId: second.body.data.id, linkType: 'TEMPORAL' },
+      });
+      expect(link.sourceId).toBe(first.body.data.id);
+    });
+  });
+
+  describe('POST /api/v1/memories/bulk', () => {
+    it('should create many memories in one request', async () => {
+      const response = await request(app)
+        .post('/api/v1/memories/bulk')
+        .send({
+          agentId: testAgent.id,
+          memories: [
+            { content: 'Bulk observation about the deploy pipeline' },
+            { content: 'Bulk observation about flaky integration tests', type: 'SEMANTIC' },
+            { content: 'Bulk observation in a session', sessionId: testSession.id },
+          ],
+        })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.created).toBe(3);
+      expect(response.body.data.failed).toBe(0);
+      expect(response.body.data.results.map(r => r.index)).toEqual([0, 1, 2]);
+      expect(response.body.data.results[1].memory.type).toBe('SEMANTIC');
+    });
+
+    it('should return 404 for an unknown agent', async () => {
+      await request(app)
+        .post('/api/v1/memories/bulk')
+        .send({
+          agentId: '00000000-0000-4000-8000-000000000000',
+          memories: [{ content: 'Orphan observation' }],
+        })
+        .expect(404);
+    });
+
+    it('should return 400 for an empty batch', async () => {
+      await request(app)
+        .post('/api/v1/memories/bulk')
+        .send({ agentId: testAgent.id, memories: [] })
+        .expect(400);
+    });
   });
 
   describe('GET /api/v1/memories/:id', () => {
@@ -138,6 +218,30 @@ describe('Memory API Integration Tests', () => {
       expect(response.body.data.content).toBe(updateData.content);
       expect(response.body.data.importance).toBe(updateData.importance);
     });
+
+    it('should reject an update based on a stale ETag', async () => {
+      const read = await request(app)
+        .get(`/api/v1/memories/${testMemory.id}`)
+        .expect(200);
+      const etag = read.headers.etag;
+      expect(etag).toBe(`"${read.body.data.version}"`);
+
+      const first = await request(app)
+        .put(`/api/v1/memories/${testMemory.id}`)
+        .set('If-Match', etag)
+        .send({ importance: 0.7 })
+        .expect(200);
+      expect(first.headers.etag).toBe(`"${read.body.data.version + 1}"`);
+
+      await request(app)
+        .put(`/api/v1/memories/${testMemory.id}`)
+        .set('If-Match', etag)
+        .send({ importance: 0.3 })
+        .expect(412);
+
+      const current = await prisma.memory.findUnique({ where: { id: testMemory.id } });
+      expect(current.importance).toBe(0.7);
+    });
   });
 
   describe('DELETE /api/v1/memories/:id', () => {
@@ -153,7 +257,7 @@ describe('Memory API Integration Tests', () => {
       });
     });
 
-    it('should delete a memory', async () => {
+    it('should move a memory to the trash', async () => {
       const response = await request(app)
         .delete(`/api/v1/memories/${testMemory.id}`)
         .expect(200);
@@ -161,11 +265,51 @@ describe('Memory API Integration Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Memory deleted successfully');
 
-      // Verify memory is deleted
+      // Verify memory is trashed, not removed
       const deletedMemory = await prisma.memory.findUnique({
         where: { id: testMemory.id },
       });
-      expect(deletedMemory).toBeNull();
+      expect(deletedMemory.deletedAt).not.toBeNull();
+
+      await request(app)
+        .get(`/api/v1/memories/${testMemory.id}`)
+        .expect(404);
+
+      const trash = await request(app)
+        .get('/api/v1/memories/trash')
+        .query({ agentId: testAgent.id })
+        .expect(200);
+      expect(trash.body.data.memories.map(m => m.id)).toContain(testMemory.id);
+    });
+
+    it('should restore a trashed memory', async () => {
+      await request(app)
+        .delete(`/api/v1/memories/${testMemory.id}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/memories/${testMemory.id}/restore`)
+        .expect(200);
+
+      expect(response.body.data.deletedAt).toBeNull();
+
+      await request(app)
+        .get(`/api/v1/memories/${testMemory.id}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/v1/memories/${testMemory.id}/restore`)
+        .expect(404);
+    });
+
+    it('should return 404 for a memory that is already trashed', async () => {
+      await request(app)
+        .delete(`/api/v1/memories/${testMemory.id}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/v1/memories/${testMemory.id}`)
+        .expect(404);
     });
   });
 
@@ -185,6 +329,7 @@ describe('Memory API Integration Tests', () => {
             content: 'Understanding neural networks and deep learning',
             type: 'SEMANTIC',
             importance: 0.9,
+            metadata: { source: 'course', difficulty: 3 },
           },
           {
             agentId: testAgent.id,
@@ -214,6 +359,77 @@ describe('Memory API Integration Tests', () => {
       expect(response.body.data.query).toBe(searchData.query);
     });
 
+    it('should log each result with the query, rank and session', async () => {
+      const response = await request(app)
+        .post('/api/v1/memories/search')
+        .set('X-Session-Id', testSession.id)
+        .send({ agentId: testAgent.id, query: 'pasta dinner', mode: 'lexical' })
+        .expect(200);
+
+      await accessLogService.flush();
+
+      const accesses = await prisma.memoryAccess.findMany({
+        where: { agentId: testAgent.id, accessType: 'SEARCH', query: 'pasta dinner' },
+        orderBy: { rank: 'asc' },
+      });
+
+      expect(accesses.map(access => access.memoryId))
+        .toEqual(response.body.data.memories.map(memory => memory.id));
+      expect(accesses[0]).toMatchObject({ rank: 1, sessionId: testSession.id });
+    });
+
+    it('should report lexical and semantic sub-scores in hybrid mode', async () => {
+      const response = await request(app)
+        .post('/api/v1/memories/search')
+        .send({
+          agentId: testAgent.id,
+          query: 'neural networks',
+          mode: 'hybrid',
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.mode).toBe('hybrid');
+      const match = response.body.data.memories.find(m => m.content.includes('neural networks'));
+      expect(match).toBeDefined();
+      expect(match.scores.lexical).toBeGreaterThan(0);
+      expect(match.scores).toHaveProperty('semantic');
+    });
+
+    it('should apply metadata and importance filters before ranking', async () => {
+      const response = await request(app)
+        .post('/api/v1/memories/search')
+        .send({
+          agentId: testAgent.id,
+          query: 'learning',
+          mode: 'lexical',
+          filters: {
+            metadata: [
+              { path: 'source', op: 'eq', value: 'course' },
+              { path: 'difficulty', op: 'range', gte: 2 },
+            ],
+            importance: { gte: 0.5 },
+          },
+        })
+        .expect(200);
+
+      expect(response.body.data.memories).toHaveLength(1);
+      expect(response.body.data.memories[0].content).toContain('neural networks');
+    });
+
+    it('should return 400 for malformed filters', async () => {
+      const response = await request(app)
+        .post('/api/v1/memories/search')
+        .send({
+          agentId: testAgent.id,
+          query: 'learning',
+          filters: { metadata: [{ path: 'source', op: 'range' }] },
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation error');
+    });
+
     it('should return 400 for missing agent ID', async () => {
       const searchData = {
         query: 'test query',
@@ -229,6 +445,247 @@ describe('Memory API Integration Tests', () => {
     });
   });
 
+  describe('Procedural steps', () => {
+    let procedureId;
+
+    beforeAll(async () => {
+      const procedure = await prisma.memory.create({
+        data: { agentId: testAgent.id, content: 'How to release the API', type: 'PROCEDURAL' },
+      });
+      procedureId = procedure.id;
+    });
+
+    it('should add, reorder and delete steps', async () => {
+      const build = await request(app)
+        .post(`/api/v1/memories/${procedureId}/steps`)
+        .send({ action: 'Build the image', parameters: { tag: 'latest' } })
+        .expect(201);
+      const deploy = await request(app)
+        .post(`/api/v1/memories/${procedureId}/steps`)
+        .send({ action: 'Deploy' })
+        .expect(201);
+      const test = await request(app)
+        .post(`/api/v1/memories/${procedureId}/steps`)
+        .send({ action: 'Run the tests', position: 1 })
+        .expect(201);
+
+      expect(test.body.data.stepNumber).toBe(1);
+
+      const reordered = await request(app)
+        .put(`/api/v1/memories/${procedureId}/steps/order`)
+        .send({ stepIds: [build.body.data.id, test.body.data.id, deploy.body.data.id] })
+        .expect(200);
+
+      expect(reordered.body.data.map(step => step.action)).toEqual(['Build the image', 'Run the tests', 'Deploy']);
+
+      await request(app)
+        .put(`/api/v1/memories/${procedureId}/steps/${deploy.body.data.id}`)
+        .send({ result: 'Released v2' })
+        .expect(200);
+
+      const remaining = await request(app)
+        .delete(`/api/v1/memories/${procedureId}/steps/${build.body.data.id}`)
+        .expect(200);
+
+      expect(remaining.body.data.map(step => [step.stepNumber, step.action]))
+        .toEqual([[1, 'Run the tests'], [2, 'Deploy']]);
+    });
+
+    it('should reject an incomplete order', async () => {
+      await request(app)
+        .put(`/api/v1/memories/${procedureId}/steps/order`)
+        .send({ stepIds: ['00000000-0000-0000-0000-000000000000'] })
+        .expect(400);
+    });
+
+    it('should only attach steps to PROCEDURAL memories', async () => {
+      const episodic = await prisma.memory.create({
+        data: { agentId: testAgent.id, content: 'Released the API yesterday', type: 'EPISODIC' },
+      });
+
+      await request(app)
+        .post(`/api/v1/memories/${episodic.id}/steps`)
+        .send({ action: 'Deploy' })
+        .expect(422);
+    });
+  });
+
+  describe('Procedure executions', () => {
+    let procedureId;
+
+    beforeAll(async () => {
+      const procedure = await prisma.memory.create({
+        data: {
+          agentId: testAgent.id,
+          content: 'How to rotate the API keys',
+          type: 'PROCEDURAL',
+          importance: 0.5,
+          steps: {
+            create: [
+              { stepNumber: 1, action: 'Generate a new key' },
+              { stepNumber: 2, action: 'Revoke the old key' },
+            ],
+          },
+        },
+      });
+      procedureId = procedure.id;
+    });
+
+    it('should record runs and raise the importance of a reliable procedure', async () => {
+      const response = await request(app)
+        .post(`/api/v1/memories/${procedureId}/executions`)
+        .send({
+          status: 'SUCCESS',
+          durationMs: 900,
+          steps: [
+            { stepNumber: 1, status: 'SUCCESS', durationMs: 400 },
+            { stepNumber: 2, status: 'SUCCESS', durationMs: 500 },
+          ],
+        })
+        .expect(201);
+
+      expect(response.body.data.steps).toHaveLength(2);
+      expect(response.body.data.importance).toBeGreaterThan(0.5);
+
+      await request(app)
+        .post(`/api/v1/memories/${procedureId}/executions`)
+        .send({
+          status: 'FAILURE',
+          error: 'Old key still in use',
+          steps: [
+            { stepNumber: 1, status: 'SUCCESS' },
+            { stepNumber: 2, status: 'FAILURE', error: 'Key in use' },
+          ],
+        })
+        .expect(201);
+
+      const stats = await request(app)
+        .get(`/api/v1/memories/${procedureId}/executions/stats`)
+        .expect(200);
+
+      expect(stats.body.data).toMatchObject({ runs: 2, successes: 1, failures: 1, successRate: 0.5 });
+      expect(stats.body.data.steps.map(step => step.successRate)).toEqual([1, 0.5]);
+
+      const runs = await request(app)
+        .get(`/api/v1/memories/${procedureId}/executions?status=FAILURE`)
+        .expect(200);
+
+      expect(runs.body.data.total).toBe(1);
+
+      const agentStats = await request(app)
+        .get(`/api/v1/agents/${testAgent.id}/procedures/stats`)
+        .expect(200);
+
+      expect(agentStats.body.data.map(procedure => procedure.memoryId)).toContain(procedureId);
+    });
+
+    it('should reject steps that are not part of the procedure', async () => {
+      await request(app)
+        .post(`/api/v1/memories/${procedureId}/executions`)
+        .send({ status: 'SUCCESS', steps: [{ stepNumber: 7, status: 'SUCCESS' }] })
+        .expect(400);
+    });
+  });
+
+  describe('Pinned memories', () => {
+    let memoryId;
+
+    beforeAll(async () => {
+      const memory = await prisma.memory.create({
+        data: { agentId: testAgent.id, content: 'The user is called Sam', type: 'SEMANTIC' },
+      });
+      memoryId = memory.id;
+    });
+
+    it('should protect a pinned memory from deletion and audit changes to it', async () => {
+      const pinned = await request(app)
+        .post(`/api/v1/memories/${memoryId}/pin`)
+        .send({ actor: 'tester', reason: 'identity fact' })
+        .expect(200);
+
+      expect(pinned.body.data.pinned).toBe(true);
+
+      await request(app)
+        .delete(`/api/v1/memories/${memoryId}`)
+        .expect(409);
+
+      await request(app)
+        .put(`/api/v1/memories/${memoryId}`)
+        .send({ importance: 1, actor: 'tester' })
+        .expect(200);
+
+      const audit = await request(app)
+        .get(`/api/v1/memories/${memoryId}/audit`)
+        .expect(200);
+
+      expect(audit.body.data.entries.map(entry => entry.action)).toEqual(['updated', 'pinned']);
+    });
+
+    it('should allow deletion once unpinned', async () => {
+      await request(app)
+        .post(`/api/v1/memories/${memoryId}/unpin`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/v1/memories/${memoryId}`)
+        .expect(200);
+    });
+  });
+
+  describe('Memory tags', () => {
+    let memoryId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/v1/memories')
+        .send({ agentId: testAgent.id, content: 'Quarterly invoice run finished', tags: ['Billing'] })
+        .expect(201);
+
+      memoryId = response.body.data.id;
+    });
+
+    it('should add tags and keep one spelling of each', async () => {
+      const response = await request(app)
+        .post(`/api/v1/memories/${memoryId}/tags`)
+        .send({ tags: ['finance', 'billing'] })
+        .expect(200);
+
+      expect(response.body.data).toEqual(['billing', 'finance']);
+    });
+
+    it('should filter search results by tags', async () => {
+      const response = await request(app)
+        .post('/api/v1/memories/search')
+        .send({ agentId: testAgent.id, query: 'invoice', mode: 'lexical', filters: { tags: ['billing', 'finance'] } })
+        .expect(200);
+
+      expect(response.body.data.memories.map(m => m.id)).toEqual([memoryId]);
+    });
+
+    it('should remove a tag', async () => {
+      await request(app)
+        .delete(`/api/v1/memories/${memoryId}/tags/finance`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/memories/${memoryId}/tags`)
+        .expect(200);
+
+      expect(response.body.data).toEqual(['billing']);
+
+      await request(app)
+        .delete(`/api/v1/memories/${memoryId}/tags/finance`)
+        .expect(404);
+    });
+
+    it('should return 400 for malformed tags', async () => {
+      await request(app)
+        .post(`/api/v1/memories/${memoryId}/tags`)
+        .send({ tags: ['has spaces'] })
+        .expect(400);
+    });
+  });
+
   describe('GET /api/v1/memories/stats/:agentId', () => {
     it('should get memory statistics', async () => {
       const response = await request(app)
@@ -239,6 +696,64 @@ describe('Memory API Integration Tests', () => {
       expect(response.body.data).toHaveProperty('totalMemories');
       expect(response.body.data).toHaveProperty('totalLinks');
       expect(response.body.data).toHaveProperty('byType');
+      expect(response.body.data.byTag).toEqual(expect.arrayContaining([{ name: 'billing', count: 1 }]));
+    });
+  });
+
+  describe('Memory revisions', () => {
+    let memoryId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/v1/memories')
+        .send({ agentId: testAgent.id, content: 'Deploys happen on Fridays', type: 'PROCEDURAL' });
+      memoryId = response.body.data.id;
+
+      await request(app)
+        .put(`/api/v1/memories/${memoryId}`)
+        .send({ content: 'Deploys never happen on Fridays', actor: 'reviewer', reason: 'policy change' })
+        .expect(200);
+    });
+
+    it('should list revisions newest first', async () => {
+      const response = await request(app)
+        .get(`/api/v1/memories/${memoryId}/revisions`)
+        .expect(200);
+
+      expect(response.body.data.map(r => r.revision)).toEqual([2, 1]);
+      expect(response.body.data[0].actor).toBe('reviewer');
+    });
+
+    it('should diff two revisions', async () => {
+      const response = await request(app)
+        .get(`/api/v1/memories/${memoryId}/revisions/diff`)
+        .query({ from: 1, to: 2 })
+        .expect(200);
+
+      expect(response.body.data.changes.content.to).toBe('Deploys never happen on Fridays');
+    });
+
+    it('should read the memory as of a timestamp', async () => {
+      const [first] = await prisma.memoryRevision.findMany({ where: { memoryId, revision: 1 } });
+
+      const response = await request(app)
+        .get(`/api/v1/memories/${memoryId}/as-of`)
+        .query({ at: first.createdAt.toISOString() })
+        .expect(200);
+
+      expect(response.body.data.content).toBe('Deploys happen on Fridays');
+    });
+
+    it('should restore a prior revision as a new revision', async () => {
+      const response = await request(app)
+        .post(`/api/v1/memories/${memoryId}/revisions/1/restore`)
+        .send({ actor: 'reviewer' })
+        .expect(200);
+
+      expect(response.body.data.content).toBe('Deploys happen on Fridays');
+
+      const revisions = await prisma.memoryRevision.count({ where: { memoryId } });
+      expect(revisions).toBe(3);
     });
   });
 });
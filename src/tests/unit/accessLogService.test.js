@@ -0,0 +1,102 @@
+const mockPrisma = {
+  memoryAccess: {
+    createMany: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+}));
+
+const AccessLogService = require('../../services/accessLogService').constructor;
+
+const event = i => ({ memoryId: `memory-${i}`, agentId: 'agent-1', accessType: 'READ' });
+const events = count => Array.from({ length: count }, (_, i) => event(i));
+
+// Memory ids written by each createMany call
+const writtenBatches = () => mockPrisma.memoryAccess.createMany.mock.calls
+  .map(([{ data }]) => data.map(row => row.memoryId));
+
+describe('AccessLogService', () => {
+  let accessLogService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    accessLogService = new AccessLogService();
+    accessLogService.prisma = mockPrisma;
+    accessLogService.batchSize = 3;
+    accessLogService.flushIntervalMs = 1000;
+    accessLogService.maxBuffered = 10;
+
+    mockPrisma.memoryAccess.createMany.mockResolvedValue({ count: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should write events on the flush interval without waiting for a full batch', async () => {
+    accessLogService.record([{ ...event(1), sessionId: 'session-1', query: 'deploy', rank: 1 }]);
+
+    expect(mockPrisma.memoryAccess.createMany).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(mockPrisma.memoryAccess.createMany).toHaveBeenCalledWith({
+      data: [{
+        memoryId: 'memory-1',
+        agentId: 'agent-1',
+        accessType: 'READ',
+        sessionId: 'session-1',
+        query: 'deploy',
+        rank: 1,
+        timestamp: expect.any(Date),
+      }],
+    });
+  });
+
+  it('should write in batches as soon as a batch is full', async () => {
+    accessLogService.record(events(7));
+    await accessLogService.flush();
+
+    expect(writtenBatches()).toEqual([
+      ['memory-0', 'memory-1', 'memory-2'],
+      ['memory-3', 'memory-4', 'memory-5'],
+      ['memory-6'],
+    ]);
+    expect(accessLogService.buffer).toHaveLength(0);
+  });
+
+  it('should keep a failed batch for the next attempt', async () => {
+    mockPrisma.memoryAccess.createMany.mockRejectedValueOnce(new Error('connection refused'));
+
+    accessLogService.record(events(2));
+    expect(await accessLogService.flush()).toBe(0);
+    expect(accessLogService.buffer).toHaveLength(2);
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(writtenBatches()).toEqual([['memory-0', 'memory-1'], ['memory-0', 'memory-1']]);
+    expect(accessLogService.buffer).toHaveLength(0);
+  });
+
+  it('should drop the oldest events once the buffer is full', async () => {
+    mockPrisma.memoryAccess.createMany.mockRejectedValue(new Error('connection refused'));
+
+    accessLogService.record(events(12));
+    await accessLogService.flush();
+
+    expect(accessLogService.buffer.map(row => row.memoryId)[0]).toBe('memory-2');
+    expect(accessLogService.buffer).toHaveLength(10);
+  });
+
+  it('should ignore events when access logging is disabled', async () => {
+    accessLogService.enabled = false;
+
+    accessLogService.record(events(5));
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(mockPrisma.memoryAccess.createMany).not.toHaveBeenCalled();
+  });
+});
@@ -1,3 +1,12 @@
+const mockExpireSessionWorkingMemories = jest.fn();
+const mockPromoteSessionWorkingMemories = jest.fn();
+
+jest.mock('../../services/memoryEvolutionService', () => ({
+  expireSessionWorkingMemories: mockExpireSessionWorkingMemories,
+  promoteSessionWorkingMemories: mockPromoteSessionWorkingMemories,
+  defaultPolicy: () => ({ decayRate: 0.01, archiveThreshold: 0.1, maxAgeDays: 365, similarityThreshold: 0.7 }),
+}));
+
 const AgentService = require('../../services/agentService');
 
 // Mock Prisma
@@ -175,10 +184,28 @@ describe('AgentService', () => {
 
       expect(mockPrisma.agent.update).toHaveBeenCalledWith({
         where: { id: agentId },
-        data: updateData,
+        data: { ...updateData, version: { increment: 1 } },
       });
       expect(result).toEqual(mockUpdatedAgent);
     });
+
+    it('should only update the expected version', async () => {
+      mockPrisma.agent.update.mockResolvedValue({ id: 'agent-123', version: 4 });
+
+      await agentService.updateAgent('agent-123', { name: 'Renamed' }, { expectedVersions: [3] });
+
+      expect(mockPrisma.agent.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'agent-123', version: { in: [3] } },
+      }));
+    });
+
+    it('should fail with 412 when the agent has moved on', async () => {
+      mockPrisma.agent.update.mockRejectedValue(Object.assign(new Error('Record not found'), { code: 'P2025' }));
+      mockPrisma.agent.findUnique.mockResolvedValue({ version: 5 });
+
+      await expect(agentService.updateAgent('agent-123', { name: 'Renamed' }, { expectedVersions: [3] }))
+        .rejects.toMatchObject({ statusCode: 412 });
+    });
   });
 
   describe('deleteAgent', () => {
@@ -195,4 +222,64 @@ describe('AgentService', () => {
       expect(result).toEqual({ success: true });
     });
   });
+
+  describe('endSession', () => {
+    beforeEach(() => {
+      mockPrisma.session.update.mockResolvedValue({ id: 'session-1', endTime: new Date() });
+    });
+
+    it('should keep working memories by default', async () => {
+      const session = await agentService.endSession('session-1');
+
+      expect(mockPrisma.session.update).toHaveBeenCalledWith({
+        where: { id: 'session-1' },
+        data: { endTime: expect.any(Date) },
+      });
+      expect(session.workingMemories).toEqual({ action: 'keep', count: 0 });
+      expect(mockExpireSessionWorkingMemories).not.toHaveBeenCalled();
+      expect(mockPromoteSessionWorkingMemories).not.toHaveBeenCalled();
+    });
+
+    it('should expire the session working memories', async () => {
+      mockExpireSessionWorkingMemories.mockResolvedValue(3);
+
+      const session = await agentService.endSession('session-1', { workingMemories: 'expire' });
+
+      expect(mockExpireSessionWorkingMemories).toHaveBeenCalledWith('session-1');
+      expect(session.workingMemories).toEqual({ action: 'expire', count: 3 });
+    });
+
+    it('should promote the session working memories', async () => {
+      mockPromoteSessionWorkingMemories.mockResolvedValue(2);
+
+      const session = await agentService.endSession('session-1', { workingMemories: 'promote', promoteTo: 'SEMANTIC' });
+
+      expect(mockPromoteSessionWorkingMemories).toHaveBeenCalledWith('session-1', 'SEMANTIC');
+      expect(session.workingMemories).toEqual({ action: 'promote', count: 2 });
+    });
+  });
+
+  describe('getEvolutionPolicy', () => {
+    it('should resolve the settings for every memory type', async () => {
+      const policy = { decayRate: 0.05, types: { WORKING: { decayRate: 0.5, maxAgeDays: 1 } } };
+      mockPrisma.agent.findUnique.mockResolvedValue({ evolutionPolicy: policy });
+
+      const result = await agentService.getEvolutionPolicy('agent-1');
+
+      expect(result.policy).toBe(policy);
+      expect(result.effective.WORKING).toEqual({
+        decayRate: 0.5,
+        archiveThreshold: 0.1,
+        maxAgeDays: 1,
+        similarityThreshold: 0.7,
+      });
+      expect(result.effective.SEMANTIC.decayRate).toBe(0.05);
+    });
+
+    it('should return null for an unknown agent', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue(null);
+
+      expect(await agentService.getEvolutionPolicy('missing')).toBeNull();
+    });
+  });
 });
\ No newline at end of file
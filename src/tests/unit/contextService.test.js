@@ -0,0 +1,160 @@
+const mockRankMemories = jest.fn();
+const mockRecordSearchAccess = jest.fn();
+const mockGenerateEmbedding = jest.fn();
+
+jest.mock('../../services/memoryService', () => {
+  return jest.fn().mockImplementation(() => ({
+    embeddingServiceForAgent: () => ({ modelTag: 'mock/model', generateEmbedding: mockGenerateEmbedding }),
+    retrievalScoringFor: () => null,
+    rankMemories: mockRankMemories,
+    recordSearchAccess: mockRecordSearchAccess,
+  }));
+});
+
+const mockPrisma = {
+  agent: {
+    findUnique: jest.fn(),
+  },
+  memoryLink: {
+    findMany: jest.fn(),
+  },
+  proceduralStep: {
+    findMany: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+}));
+
+const ContextService = require('../../services/contextService');
+
+const searchResult = memories => ({ memories });
+
+describe('ContextService', () => {
+  let contextService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    contextService = new ContextService();
+    contextService.prisma = mockPrisma;
+
+    mockPrisma.agent.findUnique.mockResolvedValue({ id: 'agent-123' });
+    mockPrisma.memoryLink.findMany.mockResolvedValue([]);
+    mockPrisma.proceduralStep.findMany.mockResolvedValue([]);
+    mockRankMemories.mockResolvedValue(searchResult([]));
+    mockGenerateEmbedding.mockResolvedValue([0.1, 0.2]);
+  });
+
+  it('should return null for an unknown agent', async () => {
+    mockPrisma.agent.findUnique.mockResolvedValue(null);
+
+    const result = await contextService.assembleContext('missing', 'query', { tokenBudget: 100 });
+
+    expect(result).toBeNull();
+    expect(mockRankMemories).not.toHaveBeenCalled();
+  });
+
+  it('should search every type and scope working memory to the session', async () => {
+    await contextService.assembleContext('agent-123', 'query', { tokenBudget: 100, sessionId: 'session-1' });
+
+    expect(mockGenerateEmbedding).toHaveBeenCalledTimes(1);
+    expect(mockRankMemories).toHaveBeenCalledTimes(4);
+    mockRankMemories.mock.calls.forEach(([, , embedding, options]) => {
+      expect(embedding).toEqual([0.1, 0.2]);
+      expect(options.modelTag).toBe('mock/model');
+    });
+    const working = mockRankMemories.mock.calls.find(([, , , options]) => options.type === 'WORKING');
+    const episodic = mockRankMemories.mock.calls.find(([, , , options]) => options.type === 'EPISODIC');
+    expect(working[3].filters).toEqual({ sessionIds: ['session-1'] });
+    expect(episodic[3]).not.toHaveProperty('filters');
+  });
+
+  it('should not embed the query for a lexical search', async () => {
+    await contextService.assembleContext('agent-123', 'ERR_CONN_RESET', { tokenBudget: 100, mode: 'lexical' });
+
+    expect(mockGenerateEmbedding).not.toHaveBeenCalled();
+    mockRankMemories.mock.calls.forEach(([, , embedding]) => expect(embedding).toBeNull());
+  });
+
+  it('should order, dedupe and cite memories within the budget', async () => {
+    mockRankMemories.mockImplementation(async (agentId, query, embedding, { type }) => searchResult({
+      SEMANTIC: [
+        { id: 'fact', type: 'SEMANTIC', content: 'Paris is the capital of France', score: 0.9 },
+        { id: 'copy', type: 'SEMANTIC', content: 'paris is the capital of France ', score: 0.5 },
+      ],
+      EPISODIC: [{ id: 'trip', type: 'EPISODIC', content: 'Visited Paris in May', score: 0.6 }],
+    }[type] || []));
+
+    const result = await contextService.assembleContext('agent-123', 'Paris', { tokenBudget: 1000 });
+
+    expect(result.citations).toEqual(['fact', 'trip']);
+    expect(result.context).toBe(
+      '[memory:fact] (SEMANTIC) Paris is the capital of France\n\n[memory:trip] (EPISODIC) Visited Paris in May'
+    );
+    expect(result.items[0].tokens).toBe(Math.ceil(result.items[0].text.length / 4));
+    expect(result.tokensUsed).toBeLessThanOrEqual(1000);
+  });
+
+  it('should skip items that do not fit and keep filling with smaller ones', async () => {
+    mockRankMemories.mockImplementation(async (agentId, query, embedding, { type }) => searchResult({
+      SEMANTIC: [
+        { id: 'long', type: 'SEMANTIC', content: 'x'.repeat(400), score: 0.9 },
+        { id: 'short', type: 'SEMANTIC', content: 'short fact', score: 0.5 },
+      ],
+    }[type] || []));
+
+    const result = await contextService.assembleContext('agent-123', 'query', { tokenBudget: 20 });
+
+    expect(result.citations).toEqual(['short']);
+    expect(result.omitted).toEqual([expect.objectContaining({ memoryId: 'long' })]);
+    expect(result.tokensUsed).toBe(result.items[0].tokens);
+    expect(mockRecordSearchAccess).toHaveBeenCalledWith(
+      [{ id: 'short', agentId: 'agent-123' }],
+      { sessionId: null, query: 'query', firstRank: 1 }
+    );
+  });
+
+  it('should add strongly linked memories and procedural steps', async () => {
+    mockRankMemories.mockImplementation(async (agentId, query, embedding, { type }) => searchResult({
+      PROCEDURAL: [{ id: 'deploy', type: 'PROCEDURAL', content: 'How to deploy', score: 0.8 }],
+    }[type] || []));
+    mockPrisma.memoryLink.findMany.mockResolvedValue([
+      {
+        sourceId: 'deploy',
+        linkType: 'CAUSAL',
+        strength: 0.9,
+        target: { id: 'outage', type: 'EPISODIC', content: 'Deploy without migrations broke prod' },
+      },
+    ]);
+    mockPrisma.proceduralStep.findMany.mockResolvedValue([
+      { memoryId: 'deploy', stepNumber: 1, action: 'Run migrations' },
+      { memoryId: 'deploy', stepNumber: 2, action: 'Restart the service' },
+    ]);
+
+    const result = await contextService.assembleContext('agent-123', 'deploy', {
+      tokenBudget: 1000,
+      minLinkStrength: 0.8,
+    });
+
+    expect(mockPrisma.memoryLink.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({
+        sourceId: { in: ['deploy'] },
+        strength: { gte: 0.8 },
+        target: expect.objectContaining({
+          deletedAt: null,
+          OR: [{ expiresAt: null }, { expiresAt: { gt: expect.any(Date) } }],
+        }),
+      }),
+    }));
+    expect(result.items[0].text).toBe(
+      '[memory:deploy] (PROCEDURAL) How to deploy\n  1. Run migrations\n  2. Restart the service'
+    );
+    expect(result.items[1]).toEqual(expect.objectContaining({
+      memoryId: 'outage',
+      source: 'link',
+      via: { memoryId: 'deploy', linkType: 'CAUSAL', strength: 0.9 },
+    }));
+    expect(result.items[1].score).toBeCloseTo(0.72);
+  });
+});
@@ -0,0 +1,101 @@
+const EmbeddingService = require('../../services/embeddingService');
+const OpenAIEmbeddingProvider = require('../../services/embeddingProviders/openaiProvider');
+const { createEmbeddingProvider, registerEmbeddingProvider } = require('../../services/embeddingProviders');
+
+describe('Embedding providers', () => {
+  describe('local provider', () => {
+    let embeddingService;
+
+    beforeEach(() => {
+      embeddingService = new EmbeddingService({ provider: 'local' });
+    });
+
+    it('should produce normalized vectors of the configured dimensions', async () => {
+      const embedding = await embeddingService.generateEmbedding('Node.js event loop');
+      const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0));
+
+      expect(embedding).toHaveLength(1536);
+      expect(norm).toBeCloseTo(1, 6);
+    });
+
+    it('should be deterministic', async () => {
+      const first = await embeddingService.generateEmbedding('PostgreSQL with pgvector');
+      const second = await new EmbeddingService({ provider: 'local' }).generateEmbedding('PostgreSQL with pgvector');
+
+      expect(second).toEqual(first);
+    });
+
+    it('should rank texts with shared vocabulary as more similar', async () => {
+      const [query, related, unrelated] = await embeddingService.generateEmbeddings([
+        'machine learning algorithms',
+        'Learning about machine learning algorithms',
+        'Cooking pasta for dinner',
+      ]);
+
+      const relatedScore = embeddingService.calculateSimilarity(query, related);
+      const unrelatedScore = embeddingService.calculateSimilarity(query, unrelated);
+
+      expect(relatedScore).toBeGreaterThan(0.5);
+      expect(relatedScore).toBeGreaterThan(unrelatedScore);
+    });
+
+    it('should embed text without word characters', async () => {
+      const embedding = await embeddingService.generateEmbedding('???');
+
+      expect(embedding.some(value => value !== 0)).toBe(true);
+    });
+  });
+
+  describe('openai provider', () => {
+    const embedWith = async model => {
+      const provider = new OpenAIEmbeddingProvider({ model, dimensions: 1536, apiKey: 'test' });
+      const create = jest.fn().mockResolvedValue({ data: [{ embedding: [0.1] }] });
+      provider.openai = { embeddings: { create } };
+
+      await provider.embed(['text']);
+      return create.mock.calls[0][0];
+    };
+
+    it('should request shortened vectors from text-embedding-3 models', async () => {
+      expect(await embedWith('text-embedding-3-large')).toEqual({
+        model: 'text-embedding-3-large',
+        input: ['text'],
+        dimensions: 1536,
+      });
+    });
+
+    it('should not send dimensions to older models', async () => {
+      expect(await embedWith('text-embedding-ada-002')).not.toHaveProperty('dimensions');
+    });
+  });
+
+  describe('registry', () => {
+    it('should reject unknown providers', () => {
+      expect(() => createEmbeddingProvider('nope')).toThrow('Unknown embedding provider "nope"');
+    });
+
+    it('should require a URL for the http provider', () => {
+      const previousUrl = process.env.EMBEDDING_API_URL;
+      delete process.env.EMBEDDING_API_URL;
+
+      expect(() => createEmbeddingProvider('http')).toThrow('EMBEDDING_API_URL is required');
+
+      if (previousUrl !== undefined) {
+        process.env.EMBEDDING_API_URL = previousUrl;
+      }
+    });
+
+    it('should reject vectors with the wrong dimensions', async () => {
+      registerEmbeddingProvider('short', () => ({
+        name: 'short',
+        model: 'short-v1',
+        embed: async texts => texts.map(() => [0.1, 0.2, 0.3]),
+      }));
+
+      const embeddingService = new EmbeddingService({ provider: 'short' });
+
+      await expect(embeddingService.generateEmbedding('text'))
+        .rejects.toThrow('short provider returned 3 dimensions, expected 1536');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { resolvePolicy, policyScopes } = require('../../utils/evolutionPolicy');
+
+const defaults = {
+  decayRate: 0.01,
+  archiveThreshold: 0.1,
+  maxAgeDays: 365,
+  similarityThreshold: 0.7,
+};
+
+describe('evolution policy utils', () => {
+  describe('resolvePolicy', () => {
+    it('should layer type overrides over agent-wide ones over the defaults', () => {
+      const policy = {
+        decayRate: 0.05,
+        maxAgeDays: 30,
+        types: { WORKING: { decayRate: 0.5 } },
+      };
+
+      expect(resolvePolicy(defaults, policy, 'WORKING')).toEqual({
+        decayRate: 0.5,
+        archiveThreshold: 0.1,
+        maxAgeDays: 30,
+        similarityThreshold: 0.7,
+      });
+      expect(resolvePolicy(defaults, policy, 'SEMANTIC').decayRate).toBe(0.05);
+      expect(resolvePolicy(defaults, policy).decayRate).toBe(0.05);
+    });
+
+    it('should keep an explicit zero', () => {
+      expect(resolvePolicy(defaults, { decayRate: 0 }, 'SEMANTIC').decayRate).toBe(0);
+    });
+
+    it('should fall back to the defaults without a policy', () => {
+      expect(resolvePolicy(defaults, null, 'EPISODIC')).toEqual(defaults);
+    });
+  });
+
+  describe('policyScopes', () => {
+    it('should cover agents without a policy in a single scope', () => {
+      expect(policyScopes(defaults, new Map())).toEqual([
+        { where: { agentId: { notIn: [] } }, settings: defaults },
+      ]);
+    });
+
+    it('should split an agent with type overrides into one scope per type and one for the rest', () => {
+      const policies = new Map([
+        ['agent-1', { decayRate: 0.05, types: { WORKING: { decayRate: 0.5 } } }],
+        ['agent-2', { similarityThreshold: 0.9 }],
+      ]);
+
+      const scopes = policyScopes(defaults, policies);
+
+      expect(scopes.map(scope => scope.where)).toEqual([
+        { agentId: { notIn: ['agent-1', 'agent-2'] } },
+        { agentId: 'agent-1', type: 'WORKING' },
+        { agentId: 'agent-1', type: { notIn: ['WORKING'] } },
+        { agentId: 'agent-2' },
+      ]);
+      expect(scopes.map(scope => scope.settings.decayRate)).toEqual([0.01, 0.5, 0.05, 0.01]);
+      expect(scopes[3].settings.similarityThreshold).toBe(0.9);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const mockPrisma = {
+  idempotencyKey: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+}));
+
+const IdempotencyService = require('../../services/idempotencyService');
+
+const uniqueViolation = () => Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+describe('IdempotencyService', () => {
+  let idempotencyService;
+  const scope = 'POST /api/v1/memories';
+  const hash = 'hash-1';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    idempotencyService = new IdempotencyService();
+    idempotencyService.prisma = mockPrisma;
+
+    mockPrisma.idempotencyKey.deleteMany.mockResolvedValue({ count: 0 });
+    mockPrisma.idempotencyKey.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('hashRequest', () => {
+    it('should hash equal bodies equally', () => {
+      expect(idempotencyService.hashRequest({ a: 1 })).toBe(idempotencyService.hashRequest({ a: 1 }));
+      expect(idempotencyService.hashRequest({ a: 1 })).not.toBe(idempotencyService.hashRequest({ a: 2 }));
+    });
+  });
+
+  describe('begin', () => {
+    it('should claim an unused key', async () => {
+      mockPrisma.idempotencyKey.create.mockImplementation(async ({ data }) => ({ id: 'key-1', ...data }));
+
+      const claim = await idempotencyService.begin('abc', scope, hash);
+
+      expect(claim.record).toMatchObject({ id: 'key-1', key: 'abc', scope, requestHash: hash });
+      expect(claim.record.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should replay a finished response for the same request', async () => {
+      const stored = {
+        id: 'key-1',
+        requestHash: hash,
+        statusCode: 201,
+        response: { success: true },
+        expiresAt: new Date(Date.now() + 60000),
+      };
+      mockPrisma.idempotencyKey.create.mockRejectedValue(uniqueViolation());
+      mockPrisma.idempotencyKey.findUnique.mockResolvedValue(stored);
+
+      expect(await idempotencyService.begin('abc', scope, hash)).toEqual({ replay: stored });
+      expect(mockPrisma.idempotencyKey.findUnique).toHaveBeenCalledWith({
+        where: { key_scope: { key: 'abc', scope } },
+      });
+    });
+
+    it('should reject a reused key with a different body', async () => {
+      mockPrisma.idempotencyKey.create.mockRejectedValue(uniqueViolation());
+      mockPrisma.idempotencyKey.findUnique.mockResolvedValue({
+        requestHash: 'other',
+        statusCode: 201,
+        expiresAt: new Date(Date.now() + 60000),
+      });
+
+      await expect(idempotencyService.begin('abc', scope, hash)).rejects.toMatchObject({ statusCode: 422 });
+    });
+
+    it('should report a request that is still in flight', async () => {
+      mockPrisma.idempotencyKey.create.mockRejectedValue(uniqueViolation());
+      mockPrisma.idempotencyKey.findUnique.mockResolvedValue({
+        requestHash: hash,
+        statusCode: null,
+        createdAt: new Date(Date.now() - 1000),
+        expiresAt: new Date(Date.now() + 60000),
+      });
+
+      await expect(idempotencyService.begin('abc', scope, hash)).rejects.toMatchObject({ statusCode: 409 });
+      expect(mockPrisma.idempotencyKey.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should reclaim a key abandoned past the processing timeout', async () => {
+      idempotencyService.processingTimeoutSeconds = 300;
+      mockPrisma.idempotencyKey.create
+        .mockRejectedValueOnce(uniqueViolation())
+        .mockImplementationOnce(async ({ data }) => ({ id: 'key-2', ...data }));
+      mockPrisma.idempotencyKey.findUnique.mockResolvedValue({
+        id: 'key-1',
+        requestHash: hash,
+        statusCode: null,
+        createdAt: new Date(Date.now() - 301 * 1000),
+        expiresAt: new Date(Date.now() + 60000),
+      });
+
+      const claim = await idempotencyService.begin('abc', scope, hash);
+
+      expect(mockPrisma.idempotencyKey.deleteMany).toHaveBeenCalledWith({
+        where: { id: 'key-1', statusCode: null },
+      });
+      expect(claim.record.id).toBe('key-2');
+    });
+
+    it('should reclaim an expired key', async () => {
+      mockPrisma.idempotencyKey.create
+        .mockRejectedValueOnce(uniqueViolation())
+        .mockImplementationOnce(async ({ data }) => ({ id: 'key-2', ...data }));
+      mockPrisma.idempotencyKey.findUnique.mockResolvedValue({
+        requestHash: 'other',
+        statusCode: 201,
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      const claim = await idempotencyService.begin('abc', scope, hash);
+
+      expect(mockPrisma.idempotencyKey.deleteMany).toHaveBeenCalledWith({
+        where: { key: 'abc', scope, expiresAt: { lte: expect.any(Date) } },
+      });
+      expect(claim.record.id).toBe('key-2');
+    });
+  });
+
+  describe('complete', () => {
+    it('should store the response as plain JSON', async () => {
+      const createdAt = new Date('2024-06-01T00:00:00Z');
+
+      await idempotencyService.complete('key-1', 201, { success: true, data: { createdAt } });
+
+      expect(mockPrisma.idempotencyKey.updateMany).toHaveBeenCalledWith({
+        where: { id: 'key-1', statusCode: null },
+        data: {
+          statusCode: 201,
+          response: { success: true, data: { createdAt: '2024-06-01T00:00:00.000Z' } },
+        },
+      });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const mockPrisma = {
+  $queryRaw: jest.fn(),
+  $executeRawUnsafe: jest.fn(),
+  $transaction: jest.fn(),
+  agent: {
+    findMany: jest.fn(),
+  },
+  memory: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  memoryLink: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    createMany: jest.fn(),
+    update: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+  Prisma: jest.requireActual('@prisma/client').Prisma,
+}));
+
+const memoryEvolutionService = require('../../services/memoryEvolutionService');
+
+// Decay rate and scope of every importance decrement
+const decrements = () => mockPrisma.memory.updateMany.mock.calls
+  .filter(([{ data }]) => data.importance)
+  .map(([{ where, data }]) => [where.agentId, where.type, data.importance.decrement]);
+
+describe('MemoryEvolutionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryEvolutionService.prisma = mockPrisma;
+    memoryEvolutionService.memoryRevisionService = {
+      ensureBaseline: jest.fn(),
+      recordRevisions: jest.fn(),
+    };
+    memoryEvolutionService.decayRate = 0.01;
+    memoryEvolutionService.archiveThreshold = 0.1;
+    memoryEvolutionService.maxMemoryAge = 365;
+    memoryEvolutionService.similarityThreshold = 0.7;
+
+    mockPrisma.$transaction.mockImplementation(async callback => callback(mockPrisma));
+    mockPrisma.agent.findMany.mockResolvedValue([]);
+    mockPrisma.memory.findMany.mockResolvedValue([]);
+    mockPrisma.memory.updateMany.mockResolvedValue({ count: 0 });
+  });
+
+  describe('decayMemories', () => {
+    it('should decay every agent at the global rate without policies', async () => {
+      await memoryEvolutionService.decayMemories();
+
+      expect(mockPrisma.agent.findMany).toHaveBeenCalledWith({
+        where: { evolutionPolicy: { not: jest.requireActual('@prisma/client').Prisma.DbNull } },
+        select: { id: true, evolutionPolicy: true },
+      });
+      expect(decrements()).toEqual([[{ notIn: [] }, undefined, 0.01]]);
+      mockPrisma.memory.updateMany.mock.calls
+        .filter(([{ data }]) => data.importance)
+        .forEach(([{ data }]) => expect(data).not.toHaveProperty('version'));
+    });
+
+    it('should apply each agent\'s policy per memory type', async () => {
+      mockPrisma.agent.findMany.mockResolvedValue([
+        {
+          id: 'agent-1',
+          evolutionPolicy: { decayRate: 0.05, maxAgeDays: 30, types: { WORKING: { decayRate: 0.5 } } },
+        },
+        { id: 'agent-2', evolutionPolicy: { decayRate: 0 } },
+      ]);
+
+      await memoryEvolutionService.decayMemories();
+
+      // agent-2 opted out of decay entirely
+      expect(decrements()).toEqual([
+        [{ notIn: ['agent-1', 'agent-2'] }, undefined, 0.01],
+        ['agent-1', 'WORKING', 0.5],
+        ['agent-1', { notIn: ['WORKING'] }, 0.05],
+      ]);
+
+      const trashCutoffs = mockPrisma.memory.updateMany.mock.calls
+        .filter(([{ data }]) => data.deletedAt)
+        .map(([{ where }]) => where.AND[1].createdAt.lt);
+      const days = date => Math.round((Date.now() - date.getTime()) / (24 * 60 * 60 * 1000));
+      expect(trashCutoffs.map(days)).toEqual([365, 30, 30, 365]);
+    });
+
+    it('should archive below each scope\'s threshold', async () => {
+      mockPrisma.agent.findMany.mockResolvedValue([
+        { id: 'agent-1', evolutionPolicy: { archiveThreshold: 0.3 } },
+      ]);
+      mockPrisma.memory.findMany
+        .mockResolvedValueOnce([{ id: 'memory-1' }])
+        .mockResolvedValueOnce([{ id: 'memory-2' }]);
+
+      await memoryEvolutionService.decayMemories();
+
+      const thresholds = mockPrisma.memory.findMany.mock.calls
+        .map(([{ where }]) => where.AND[1].importance.lte);
+      expect(thresholds).toEqual([0.1, 0.3]);
+      expect(mockPrisma.memory.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['memory-1', 'memory-2'] } },
+        data: { type: 'ARCHIVED', version: { increment: 1 } },
+      });
+    });
+  });
+
+  describe('consolidateMemoryGroup', () => {
+    it('should only record revisions for the memories it changed', async () => {
+      const memory = (id, importance) => ({
+        id, content: id, importance, accessCount: 1, metadata: {}, version: 2,
+      });
+      mockPrisma.memory.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 });
+      mockPrisma.memory.findUnique.mockResolvedValue({ id: 'primary' });
+
+      await memoryEvolutionService.consolidateMemoryGroup([
+        memory('primary', 0.9),
+        memory('archived', 0.5),
+        memory('changed', 0.3),
+      ]);
+
+      expect(mockPrisma.memory.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'changed', version: 2, deletedAt: null, pinned: false },
+      }));
+      expect(memoryEvolutionService.memoryRevisionService.recordRevisions).toHaveBeenCalledWith(
+        ['primary', 'archived'],
+        { actor: 'system', reason: 'consolidation into primary' }
+      );
+    });
+  });
+
+  describe('updateMemoryLinks', () => {
+    it('should link neighbours at the agent\'s similarity threshold for the type', async () => {
+      mockPrisma.agent.findMany.mockResolvedValue([
+        { id: 'agent-1', evolutionPolicy: { types: { SEMANTIC: { similarityThreshold: 0.9 } } } },
+      ]);
+      mockPrisma.$queryRaw
+        .mockResolvedValueOnce([
+          { id: 'memory-1', agentId: 'agent-1', type: 'SEMANTIC' },
+          { id: 'memory-2', agentId: 'agent-1', type: 'EPISODIC' },
+        ])
+        .mockResolvedValue([{ id: 'memory-3', similarity: 0.8 }]);
+      mockPrisma.memoryLink.findFirst.mockResolvedValue(null);
+
+      const result = await memoryEvolutionService.updateMemoryLinks();
+
+      // 0.8 is below the SEMANTIC threshold of 0.9 but above the global 0.7
+      expect(result.linksCreated).toBe(1);
+      expect(mockPrisma.memoryLink.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ sourceId: 'memory-2', targetId: 'memory-3' }),
+      });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const mockPrisma = {
+  memory: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+  },
+  memoryLink: {
+    findMany: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+}));
+
+const MemoryGraphService = require('../../services/memoryGraphService');
+
+// a -> b -> c -> d, plus a weak a -> c CAUSAL shortcut
+const LINKS = [
+  { id: 'ab', sourceId: 'a', targetId: 'b', linkType: 'SEMANTIC', strength: 0.9 },
+  { id: 'bc', sourceId: 'b', targetId: 'c', linkType: 'SEMANTIC', strength: 0.8 },
+  { id: 'cd', sourceId: 'c', targetId: 'd', linkType: 'TEMPORAL', strength: 0.7 },
+  { id: 'ac', sourceId: 'a', targetId: 'c', linkType: 'CAUSAL', strength: 0.2 },
+];
+
+// Minimal evaluation of the memoryLink.findMany filters used by the service
+const matches = (link, where) => {
+  const touches = where.OR.some(end => (end.sourceId
+    ? end.sourceId.in.includes(link.sourceId)
+    : end.targetId.in.includes(link.targetId)));
+  const typeOk = !where.linkType || where.linkType.in.includes(link.linkType);
+  return touches && typeOk && link.strength >= where.strength.gte;
+};
+
+describe('MemoryGraphService', () => {
+  let memoryGraphService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryGraphService = new MemoryGraphService();
+    memoryGraphService.prisma = mockPrisma;
+
+    mockPrisma.memory.findFirst.mockImplementation(async ({ where }) => ({ id: where.id }));
+    mockPrisma.memory.findMany.mockImplementation(async ({ where }) => where.id.in.map(id => ({ id })));
+    mockPrisma.memoryLink.findMany.mockImplementation(async ({ where }) => LINKS
+      .filter(link => matches(link, where))
+      .sort((x, y) => y.strength - x.strength));
+  });
+
+  describe('getNeighborhood', () => {
+    it('should annotate nodes with their hop distance', async () => {
+      const graph = await memoryGraphService.getNeighborhood('a', { depth: 1 });
+
+      expect(graph.nodes).toEqual([
+        { id: 'a', depth: 0 },
+        { id: 'b', depth: 1 },
+        { id: 'c', depth: 1 },
+      ]);
+      expect(graph.edges.map(e => e.id).sort()).toEqual(['ab', 'ac']);
+      expect(graph.truncated).toBe(false);
+    });
+
+    it('should filter by link type and strength', async () => {
+      const graph = await memoryGraphService.getNeighborhood('a', {
+        depth: 3,
+        linkTypes: ['SEMANTIC'],
+        minStrength: 0.5,
+      });
+
+      expect(graph.nodes.map(n => [n.id, n.depth])).toEqual([['a', 0], ['b', 1], ['c', 2]]);
+    });
+
+    it('should follow incoming links only when asked', async () => {
+      const graph = await memoryGraphService.getNeighborhood('c', { depth: 1, direction: 'in' });
+
+      expect(graph.nodes.map(n => n.id).sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should stop at maxNodes and report truncation', async () => {
+      const graph = await memoryGraphService.getNeighborhood('a', { depth: 3, maxNodes: 2 });
+
+      expect(graph.nodes).toHaveLength(2);
+      expect(graph.truncated).toBe(true);
+    });
+
+    it('should return null for an unknown memory', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue(null);
+
+      expect(await memoryGraphService.getNeighborhood('missing')).toBeNull();
+    });
+
+    it('should treat a trashed memory as missing and skip links to trashed memories', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue(null);
+
+      expect(await memoryGraphService.getNeighborhood('a')).toBeNull();
+      expect(mockPrisma.memory.findFirst).toHaveBeenCalledWith({ where: { id: 'a', deletedAt: null } });
+
+      await memoryGraphService.expandFrontier(['a'], {});
+      expect(mockPrisma.memoryLink.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          source: { deletedAt: null },
+          target: { deletedAt: null },
+        }),
+      }));
+    });
+  });
+
+  describe('findShortestPath', () => {
+    it('should return the fewest-hop path', async () => {
+      const result = await memoryGraphService.findShortestPath('a', 'd');
+
+      expect(result.path.map(n => n.id)).toEqual(['a', 'c', 'd']);
+      expect(result.edges.map(e => e.id)).toEqual(['ac', 'cd']);
+      expect(result.hops).toBe(2);
+    });
+
+    it('should traverse links against their direction by default', async () => {
+      const result = await memoryGraphService.findShortestPath('d', 'b');
+
+      expect(result.path.map(n => [n.id, n.depth])).toEqual([['d', 0], ['c', 1], ['b', 2]]);
+    });
+
+    it('should respect traversal filters', async () => {
+      const result = await memoryGraphService.findShortestPath('a', 'd', { minStrength: 0.5 });
+
+      expect(result.path.map(n => n.id)).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('should report when no path exists within maxDepth', async () => {
+      const result = await memoryGraphService.findShortestPath('a', 'd', { maxDepth: 1 });
+
+      expect(result.path).toBeNull();
+      expect(result.hops).toBeNull();
+    });
+
+    it('should return null when an endpoint does not exist', async () => {
+      mockPrisma.memory.findMany.mockResolvedValue([{ id: 'a' }]);
+
+      expect(await memoryGraphService.findShortestPath('a', 'missing')).toBeNull();
+    });
+  });
+});
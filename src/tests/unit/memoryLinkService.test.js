@@ -0,0 +1,131 @@
+const mockPrisma = {
+  memory: {
+    findMany: jest.fn(),
+  },
+  memoryLink: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+}));
+
+const MemoryLinkService = require('../../services/memoryLinkService');
+
+describe('MemoryLinkService', () => {
+  let memoryLinkService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryLinkService = new MemoryLinkService();
+    memoryLinkService.prisma = mockPrisma;
+
+    mockPrisma.memory.findMany.mockResolvedValue([
+      { id: 'memory-1', agentId: 'agent-123' },
+      { id: 'memory-2', agentId: 'agent-123' },
+    ]);
+    mockPrisma.memoryLink.findUnique.mockResolvedValue(null);
+  });
+
+  describe('createLink', () => {
+    it('should create a manual link between memories of the same agent', async () => {
+      mockPrisma.memoryLink.create.mockImplementation(async ({ data }) => ({ id: 'link-1', ...data }));
+
+      const link = await memoryLinkService.createLink({
+        sourceId: 'memory-1',
+        targetId: 'memory-2',
+        linkType: 'CAUSAL',
+        strength: 0.8,
+      });
+
+      expect(mockPrisma.memoryLink.create).toHaveBeenCalledWith({
+        data: {
+          sourceId: 'memory-1',
+          targetId: 'memory-2',
+          linkType: 'CAUSAL',
+          strength: 0.8,
+          origin: 'MANUAL',
+        },
+      });
+      expect(link.origin).toBe('MANUAL');
+    });
+
+    it('should reject memories of different agents', async () => {
+      mockPrisma.memory.findMany.mockResolvedValue([
+        { id: 'memory-1', agentId: 'agent-123' },
+        { id: 'memory-2', agentId: 'agent-456' },
+      ]);
+
+      await expect(memoryLinkService.createLink({ sourceId: 'memory-1', targetId: 'memory-2', linkType: 'CAUSAL' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Linked memories must belong to the same agent' });
+      expect(mockPrisma.memoryLink.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject self links and missing memories', async () => {
+      await expect(memoryLinkService.createLink({ sourceId: 'memory-1', targetId: 'memory-1', linkType: 'CAUSAL' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      mockPrisma.memory.findMany.mockResolvedValue([{ id: 'memory-1', agentId: 'agent-123' }]);
+      await expect(memoryLinkService.createLink({ sourceId: 'memory-1', targetId: 'memory-2', linkType: 'CAUSAL' }))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Target memory not found' });
+    });
+
+    it('should report an existing link of the same type as a conflict', async () => {
+      mockPrisma.memoryLink.findUnique.mockResolvedValue({ id: 'link-1' });
+
+      await expect(memoryLinkService.createLink({ sourceId: 'memory-1', targetId: 'memory-2', linkType: 'SEMANTIC' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('updateLink', () => {
+    it('should mark edited system links as manual', async () => {
+      mockPrisma.memoryLink.findUnique.mockResolvedValue({ id: 'link-1', origin: 'SYSTEM' });
+      mockPrisma.memoryLink.update.mockResolvedValue({ id: 'link-1', strength: 0.3, origin: 'MANUAL' });
+
+      await memoryLinkService.updateLink('link-1', { strength: 0.3 });
+
+      expect(mockPrisma.memoryLink.update).toHaveBeenCalledWith({
+        where: { id: 'link-1' },
+        data: { strength: 0.3, origin: 'MANUAL' },
+      });
+    });
+
+    it('should return null for an unknown link', async () => {
+      expect(await memoryLinkService.updateLink('missing', { strength: 0.3 })).toBeNull();
+      expect(mockPrisma.memoryLink.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listLinks', () => {
+    it('should filter links around a memory', async () => {
+      mockPrisma.memoryLink.findMany.mockResolvedValue([]);
+      mockPrisma.memoryLink.count.mockResolvedValue(0);
+
+      await memoryLinkService.listLinks({ memoryId: 'memory-1', direction: 'out', linkType: 'CAUSAL', origin: 'MANUAL' });
+
+      expect(mockPrisma.memoryLink.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          OR: [{ sourceId: 'memory-1' }],
+          source: { deletedAt: null },
+          target: { deletedAt: null },
+          linkType: 'CAUSAL',
+          origin: 'MANUAL',
+        },
+      }));
+    });
+  });
+
+  describe('deleteLink', () => {
+    it('should return false for an unknown link', async () => {
+      expect(await memoryLinkService.deleteLink('missing')).toBe(false);
+      expect(mockPrisma.memoryLink.delete).not.toHaveBeenCalled();
+    });
+  });
+});
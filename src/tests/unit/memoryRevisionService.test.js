@@ -0,0 +1,138 @@
+const mockPrisma = {
+  memory: {
+    findMany: jest.fn(),
+  },
+  memoryRevision: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    groupBy: jest.fn(),
+    createMany: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+  Prisma: {
+    DbNull: 'DbNull',
+  },
+}));
+
+const MemoryRevisionService = require('../../services/memoryRevisionService');
+
+describe('MemoryRevisionService', () => {
+  let memoryRevisionService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    memoryRevisionService = new MemoryRevisionService();
+    memoryRevisionService.prisma = mockPrisma;
+    mockPrisma.memoryRevision.createMany.mockImplementation(async ({ data }) => ({ count: data.length }));
+  });
+
+  describe('recordRevisions', () => {
+    it('should number revisions per memory', async () => {
+      mockPrisma.memory.findMany.mockResolvedValue([
+        { id: 'memory-1', content: 'A', type: 'SEMANTIC', importance: 0.5, metadata: {} },
+        { id: 'memory-2', content: 'B', type: 'EPISODIC', importance: 0.2, metadata: null },
+      ]);
+      mockPrisma.memoryRevision.groupBy.mockResolvedValue([{ memoryId: 'memory-1', _max: { revision: 3 } }]);
+
+      const count = await memoryRevisionService.recordRevisions(['memory-1', 'memory-2'], {
+        actor: 'system',
+        reason: 'decay',
+      });
+
+      const { data } = mockPrisma.memoryRevision.createMany.mock.calls[0][0];
+      expect(count).toBe(2);
+      expect(data.map(row => [row.memoryId, row.revision])).toEqual([['memory-1', 4], ['memory-2', 1]]);
+      expect(data[1].metadata).toBe('DbNull');
+      expect(data[0]).toEqual(expect.objectContaining({ actor: 'system', reason: 'decay' }));
+    });
+
+    it('should renumber and retry when a concurrent write takes the revision number', async () => {
+      mockPrisma.memory.findMany.mockResolvedValue([
+        { id: 'memory-1', content: 'A', type: 'SEMANTIC', importance: 0.5, metadata: {} },
+      ]);
+      mockPrisma.memoryRevision.groupBy
+        .mockResolvedValueOnce([{ memoryId: 'memory-1', _max: { revision: 3 } }])
+        .mockResolvedValueOnce([{ memoryId: 'memory-1', _max: { revision: 4 } }]);
+      mockPrisma.memoryRevision.createMany
+        .mockRejectedValueOnce(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+      expect(await memoryRevisionService.recordRevision('memory-1')).toBe(1);
+
+      const revisions = mockPrisma.memoryRevision.createMany.mock.calls.map(([{ data }]) => data[0].revision);
+      expect(revisions).toEqual([4, 5]);
+    });
+
+    it('should give up after repeated conflicts', async () => {
+      mockPrisma.memory.findMany.mockResolvedValue([
+        { id: 'memory-1', content: 'A', type: 'SEMANTIC', importance: 0.5, metadata: {} },
+      ]);
+      mockPrisma.memoryRevision.groupBy.mockResolvedValue([]);
+      mockPrisma.memoryRevision.createMany
+        .mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+      await expect(memoryRevisionService.recordRevision('memory-1')).rejects.toMatchObject({ code: 'P2002' });
+      expect(mockPrisma.memoryRevision.createMany).toHaveBeenCalledTimes(5);
+    });
+
+    it('should skip empty batches', async () => {
+      expect(await memoryRevisionService.recordRevisions([])).toBe(0);
+      expect(mockPrisma.memory.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ensureBaseline', () => {
+    it('should only snapshot memories without history', async () => {
+      mockPrisma.memoryRevision.findMany.mockResolvedValue([{ memoryId: 'memory-1' }]);
+      mockPrisma.memory.findMany.mockResolvedValue([]);
+      mockPrisma.memoryRevision.groupBy.mockResolvedValue([]);
+
+      await memoryRevisionService.ensureBaseline(['memory-1', 'memory-2']);
+
+      expect(mockPrisma.memory.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: { in: ['memory-2'] } },
+      }));
+    });
+  });
+
+  describe('getMemoryAsOf', () => {
+    it('should read the latest revision at or before the timestamp', async () => {
+      const at = new Date('2026-01-01T00:00:00Z');
+      mockPrisma.memoryRevision.findFirst.mockResolvedValue({ revision: 2 });
+
+      await memoryRevisionService.getMemoryAsOf('memory-1', at);
+
+      expect(mockPrisma.memoryRevision.findFirst).toHaveBeenCalledWith({
+        where: { memoryId: 'memory-1', createdAt: { lte: at } },
+        orderBy: { revision: 'desc' },
+      });
+    });
+  });
+
+  describe('diffRevisions', () => {
+    it('should report changed fields with a content line diff', async () => {
+      mockPrisma.memoryRevision.findUnique
+        .mockResolvedValueOnce({ revision: 1, content: 'Deploy on Fridays\nUse the CLI', type: 'PROCEDURAL', importance: 0.5, metadata: {} })
+        .mockResolvedValueOnce({ revision: 2, content: 'Never deploy on Fridays\nUse the CLI', type: 'PROCEDURAL', importance: 0.8, metadata: {} });
+
+      const diff = await memoryRevisionService.diffRevisions('memory-1', 1, 2);
+
+      expect(Object.keys(diff.changes)).toEqual(['content', 'importance']);
+      expect(diff.changes.importance).toEqual({ from: 0.5, to: 0.8 });
+      expect(diff.changes.content.lines).toEqual([
+        { op: '-', line: 'Deploy on Fridays' },
+        { op: '+', line: 'Never deploy on Fridays' },
+        { op: ' ', line: 'Use the CLI' },
+      ]);
+    });
+
+    it('should return null when a revision is missing', async () => {
+      mockPrisma.memoryRevision.findUnique.mockResolvedValueOnce({ revision: 1 }).mockResolvedValueOnce(null);
+
+      expect(await memoryRevisionService.diffRevisions('memory-1', 1, 9)).toBeNull();
+    });
+  });
+});
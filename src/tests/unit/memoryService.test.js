@@ -1,22 +1,36 @@
 // Mock EmbeddingService first
 const mockGenerateEmbedding = jest.fn();
+const mockGenerateEmbeddings = jest.fn();
 const mockCalculateSimilarity = jest.fn();
 
 jest.mock('../../services/embeddingService', () => {
   return jest.fn().mockImplementation(() => ({
+    modelTag: 'local/hashed-ngram-v1@1536',
     generateEmbedding: mockGenerateEmbedding,
+    generateEmbeddings: mockGenerateEmbeddings,
     calculateSimilarity: mockCalculateSimilarity,
   }));
 });
 
+const mockRecordAccess = jest.fn();
+
+jest.mock('../../services/accessLogService', () => ({
+  record: mockRecordAccess,
+}));
+
 const MemoryService = require('../../services/memoryService');
 
 // Mock Prisma
 const mockPrisma = {
+  $queryRaw: jest.fn(),
+  $executeRaw: jest.fn(),
+  $executeRawUnsafe: jest.fn(),
+  $transaction: jest.fn(),
   memory: {
     create: jest.fn(),
     findMany: jest.fn(),
     findUnique: jest.fn(),
+    findFirst: jest.fn(),
     update: jest.fn(),
     delete: jest.fn(),
     updateMany: jest.fn(),
@@ -32,6 +46,16 @@ const mockPrisma = {
   },
   proceduralStep: {
     deleteMany: jest.fn(),
+    count: jest.fn(),
+  },
+  memoryAuditEntry: {
+    create: jest.fn(),
+  },
+  memoryRevision: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    groupBy: jest.fn(),
+    createMany: jest.fn(),
   },
   agent: {
     findUnique: jest.fn(),
@@ -41,6 +65,10 @@ const mockPrisma = {
 jest.mock('@prisma/client', () => ({
   PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
   Prisma: {
+    sql: jest.requireActual('@prisma/client').Prisma.sql,
+    empty: jest.requireActual('@prisma/client').Prisma.empty,
+    join: jest.requireActual('@prisma/client').Prisma.join,
+    raw: jest.requireActual('@prisma/client').Prisma.raw,
     MemoryType: {
       EPISODIC: 'EPISODIC',
       SEMANTIC: 'SEMANTIC',
@@ -58,6 +86,9 @@ jest.mock('@prisma/client', () => ({
   },
 }));
 
+// $queryRaw/$executeRaw are tagged templates; rebuild the Sql object from a mock call
+const toSql = call => jest.requireActual('@prisma/client').Prisma.sql(...call);
+
 describe('MemoryService', () => {
   let memoryService;
 
@@ -65,7 +96,17 @@ describe('MemoryService', () => {
     memoryService = new MemoryService();
     memoryService.prisma = mockPrisma;
     memoryService.similarityThreshold = 0.2; // Set lower threshold for testing
+    memoryService.memoryRevisionService.prisma = mockPrisma;
+    memoryService.tagService.prisma = mockPrisma;
+    memoryService.tagService.memoryAuditService.prisma = mockPrisma;
+    memoryService.memoryAuditService.prisma = mockPrisma;
     jest.clearAllMocks();
+
+    mockPrisma.$transaction.mockImplementation(async callback => callback(mockPrisma));
+    mockPrisma.memory.findMany.mockResolvedValue([]);
+    mockPrisma.memoryRevision.findMany.mockResolvedValue([]);
+    mockPrisma.memoryRevision.groupBy.mockResolvedValue([]);
+    mockPrisma.memoryRevision.createMany.mockResolvedValue({ count: 1 });
   });
 
   describe('createMemory', () => {
@@ -86,7 +127,8 @@ describe('MemoryService', () => {
 
       mockGenerateEmbedding.mockResolvedValue(mockEmbedding);
       mockPrisma.memory.create.mockResolvedValue(mockMemory);
-      mockPrisma.memory.findMany.mockResolvedValue([]); // No similar memories
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+      mockPrisma.$queryRaw.mockResolvedValue([]); // No similar memories
       mockPrisma.memoryLink.createMany.mockResolvedValue({ count: 0 });
 
       const result = await memoryService.createMemory(agentId, memoryData);
@@ -98,7 +140,6 @@ describe('MemoryService', () => {
           sessionId: null,
           content: memoryData.content,
           type: memoryData.type,
-          embedding: JSON.stringify(mockEmbedding),
           metadata: {},
         },
         include: {
@@ -106,9 +147,117 @@ describe('MemoryService', () => {
           session: true,
         },
       });
+      expect(mockPrisma.$executeRaw).toHaveBeenCalledTimes(1);
+      expect(mockRecordAccess).toHaveBeenCalledWith([
+        expect.objectContaining({ memoryId: 'memory-123', agentId, accessType: 'WRITE' }),
+      ]);
+      expect(toSql(mockPrisma.$executeRaw.mock.calls[0]).values)
+        .toEqual(['[0.1,0.2,0.3]', 'local/hashed-ngram-v1@1536', 'memory-123']);
       expect(result).toEqual(mockMemory);
     });
 
+    it('should link the memory to the previous one in its session', async () => {
+      const createdAt = new Date();
+      mockGenerateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
+      mockPrisma.memory.create.mockResolvedValue({
+        id: 'memory-2',
+        agentId: 'agent-123',
+        sessionId: 'session-1',
+        createdAt,
+        session: { id: 'session-1', startTime: createdAt },
+      });
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+      mockPrisma.memory.findFirst.mockResolvedValueOnce({ id: 'memory-1' });
+
+      await memoryService.createMemory('agent-123', { content: 'Then it rained', sessionId: 'session-1' });
+
+      expect(mockPrisma.memory.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { sessionId: 'session-1', id: { not: 'memory-2' }, createdAt: { lte: createdAt }, deletedAt: null },
+      }));
+      expect(mockPrisma.memoryLink.create).toHaveBeenCalledWith({
+        data: {
+          sourceId: 'memory-1',
+          targetId: 'memory-2',
+          linkType: 'TEMPORAL',
+          strength: 1.0,
+        },
+      });
+    });
+
+    it('should continue from the previous session only when asked', async () => {
+      const createdAt = new Date();
+      mockGenerateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
+      mockPrisma.memory.create.mockResolvedValue({
+        id: 'memory-2',
+        agentId: 'agent-123',
+        sessionId: 'session-2',
+        createdAt,
+        session: { id: 'session-2', startTime: createdAt },
+      });
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+      // No earlier memory in the session, twice, then the previous session's last memory
+      mockPrisma.memory.findFirst
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'memory-1' });
+
+      await memoryService.createMemory('agent-123', { content: 'Next morning', sessionId: 'session-2' });
+      expect(mockPrisma.memoryLink.create).not.toHaveBeenCalled();
+
+      await memoryService.createMemory('agent-123', {
+        content: 'Next morning',
+        sessionId: 'session-2',
+        linkPreviousSession: true,
+      });
+      expect(mockPrisma.memory.findFirst).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: {
+          agentId: 'agent-123',
+          deletedAt: null,
+          session: { id: { not: 'session-2' }, startTime: { lte: createdAt } },
+        },
+      }));
+      expect(mockPrisma.memoryLink.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ sourceId: 'memory-1', targetId: 'memory-2', linkType: 'TEMPORAL' }),
+      });
+      mockPrisma.$queryRaw.mockReset();
+    });
+
+    it('should attach tags given on creation', async () => {
+      mockGenerateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
+      mockPrisma.memory.create.mockResolvedValue({ id: 'memory-123', agentId: 'agent-123' });
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+      const addTags = jest.spyOn(memoryService.tagService, 'addTags').mockResolvedValue(['billing']);
+
+      const result = await memoryService.createMemory('agent-123', { content: 'Invoice sent', tags: ['billing'] });
+
+      expect(addTags).toHaveBeenCalledWith('memory-123', ['billing'], { actor: null });
+      expect(result.tags).toEqual(['billing']);
+    });
+
+    it('should set an expiry from a TTL or the WORKING default', async () => {
+      mockGenerateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
+      mockPrisma.memory.create.mockResolvedValue({ id: 'memory-123', agentId: 'agent-123' });
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+      memoryService.workingMemoryTtl = 600;
+      const before = Date.now();
+
+      await memoryService.createMemory('agent-123', { content: 'Scratch note', ttlSeconds: 60 });
+      const { expiresAt } = mockPrisma.memory.create.mock.calls[0][0].data;
+      expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+      expect(expiresAt.getTime()).toBeLessThan(before + 600 * 1000);
+
+      await memoryService.createMemory('agent-123', { content: 'Scratch note', type: 'WORKING' });
+      expect(mockPrisma.memory.create.mock.calls[1][0].data.expiresAt.getTime())
+        .toBeGreaterThanOrEqual(before + 600 * 1000);
+
+      await memoryService.createMemory('agent-123', { content: 'Kept note', type: 'SEMANTIC' });
+      expect(mockPrisma.memory.create.mock.calls[2][0].data).not.toHaveProperty('expiresAt');
+    });
+
     it('should handle embedding generation failure', async () => {
       const agentId = 'agent-123';
       const memoryData = { content: 'Test memory content' };
@@ -120,39 +269,423 @@ describe('MemoryService', () => {
     });
   });
 
+  describe('createMemory deduplication', () => {
+    const duplicate = { id: 'memory-1', similarity: 0.97 };
+
+    beforeEach(() => {
+      mockGenerateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+      mockPrisma.memory.create.mockResolvedValue({ id: 'memory-2', agentId: 'agent-123' });
+      mockPrisma.memoryLink.createMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should not look for duplicates when dedup is off', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+
+      const result = await memoryService.createMemory('agent-123', { content: 'Deploy failed' });
+
+      expect(mockPrisma.$queryRaw).toHaveBeenCalledTimes(1); // semantic links only
+      expect(result).not.toHaveProperty('dedup');
+    });
+
+    it('should reject a near-duplicate with 409', async () => {
+      mockPrisma.$queryRaw.mockResolvedValueOnce([duplicate]);
+
+      await expect(memoryService.createMemory('agent-123', { content: 'Deploy failed', dedup: 'reject' }))
+        .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('memory-1') });
+      expect(mockPrisma.memory.create).not.toHaveBeenCalled();
+    });
+
+    it('should merge into the duplicate and append provenance', async () => {
+      mockPrisma.$queryRaw.mockResolvedValueOnce([duplicate]);
+      mockPrisma.memory.findUnique.mockResolvedValue({
+        id: 'memory-1',
+        importance: 0.95,
+        metadata: { source: 'ci', provenance: [{ sessionId: 'session-0' }] },
+      });
+      mockPrisma.memory.update.mockImplementation(async ({ data }) => ({ id: 'memory-1', ...data }));
+
+      const result = await memoryService.createMemory('agent-123', {
+        content: 'Deploy failed again',
+        sessionId: 'session-1',
+        dedup: 'merge',
+        actor: 'planner',
+      });
+
+      expect(mockPrisma.memory.create).not.toHaveBeenCalled();
+      const { data } = mockPrisma.memory.update.mock.calls[0][0];
+      expect(data.importance).toBe(1);
+      expect(data.accessCount).toEqual({ increment: 1 });
+      expect(data.metadata.source).toBe('ci');
+      expect(data.metadata.provenance).toHaveLength(2);
+      expect(data.metadata.provenance[1]).toMatchObject({
+        content: 'Deploy failed again',
+        sessionId: 'session-1',
+        actor: 'planner',
+        similarity: 0.97,
+      });
+      expect(result.dedup).toEqual({ action: 'merged', duplicateOf: 'memory-1', similarity: 0.97 });
+    });
+
+    it('should create the memory and link it to the duplicate', async () => {
+      mockPrisma.$queryRaw
+        .mockResolvedValueOnce([duplicate])
+        .mockResolvedValueOnce([]);
+
+      const result = await memoryService.createMemory('agent-123', { content: 'Deploy failed', dedup: 'link' });
+
+      expect(mockPrisma.memory.create).toHaveBeenCalled();
+      expect(mockPrisma.memoryLink.createMany).toHaveBeenCalledWith({
+        data: [expect.objectContaining({ sourceId: 'memory-2', targetId: 'memory-1', linkType: 'SEMANTIC' })],
+        skipDuplicates: true,
+      });
+      expect(result.dedup).toEqual({ action: 'linked', duplicateOf: 'memory-1', similarity: 0.97 });
+    });
+
+    it('should report a plain create when no duplicate is found', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+
+      const result = await memoryService.createMemory('agent-123', { content: 'Deploy failed', dedup: 'merge' });
+
+      expect(result.dedup).toEqual({ action: 'created', duplicateOf: null, similarity: null });
+    });
+  });
+
+  describe('createMemories', () => {
+    beforeEach(() => {
+      memoryService.bulkEmbeddingBatchSize = 2;
+      mockPrisma.agent.findUnique.mockResolvedValue({ id: 'agent-123' });
+      mockGenerateEmbeddings.mockImplementation(async texts => texts.map((_, i) => [i, 1, 0]));
+      mockPrisma.memory.create.mockImplementation(async ({ data }) => ({ id: `memory-${data.content}`, ...data }));
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+      mockPrisma.memoryLink.createMany.mockResolvedValue({ count: 0 });
+    });
+
+    it('should embed in batches and report every item', async () => {
+      const result = await memoryService.createMemories('agent-123', [
+        { content: 'a' },
+        { content: 'b' },
+        { content: 'c', type: 'SEMANTIC' },
+      ]);
+
+      expect(mockGenerateEmbeddings).toHaveBeenCalledTimes(2);
+      expect(mockGenerateEmbeddings).toHaveBeenNthCalledWith(1, ['a', 'b']);
+      expect(mockGenerateEmbeddings).toHaveBeenNthCalledWith(2, ['c']);
+      expect(mockGenerateEmbedding).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ total: 3, created: 3, failed: 0 });
+      expect(result.results.map(r => [r.index, r.success, r.memory.id]))
+        .toEqual([[0, true, 'memory-a'], [1, true, 'memory-b'], [2, true, 'memory-c']]);
+    });
+
+    it('should write semantic links in one pass, from later items to earlier ones', async () => {
+      mockPrisma.$queryRaw
+        .mockResolvedValueOnce([{ id: 'memory-b', similarity: 0.9 }, { id: 'memory-old', similarity: 0.8 }])
+        .mockResolvedValueOnce([{ id: 'memory-a', similarity: 0.9 }]);
+      mockPrisma.memoryLink.createMany.mockResolvedValue({ count: 2 });
+
+      const result = await memoryService.createMemories('agent-123', [{ content: 'a' }, { content: 'b' }]);
+
+      expect(mockPrisma.memoryLink.createMany).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.memoryLink.createMany.mock.calls[0][0].data.map(l => [l.sourceId, l.targetId]))
+        .toEqual([['memory-a', 'memory-old'], ['memory-b', 'memory-a']]);
+      expect(result.linksCreated).toBe(2);
+    });
+
+    it('should keep going when an embedding batch or an item fails', async () => {
+      mockGenerateEmbeddings
+        .mockRejectedValueOnce(new Error('Failed to generate embeddings: rate limited'));
+      mockPrisma.memory.create.mockImplementation(async ({ data }) => {
+        if (data.content === 'd') {
+          throw new Error('Foreign key constraint failed');
+        }
+        return { id: `memory-${data.content}`, ...data };
+      });
+
+      const result = await memoryService.createMemories('agent-123', [
+        { content: 'a' },
+        { content: 'b' },
+        { content: 'c' },
+        { content: 'd' },
+      ]);
+
+      expect(result).toMatchObject({ total: 4, created: 1, failed: 3 });
+      expect(result.results.map(r => r.success)).toEqual([false, false, true, false]);
+      expect(result.results[0].error).toMatch(/rate limited/);
+      expect(result.results[3].error).toMatch(/Foreign key/);
+    });
+
+    it('should link the first item of a session back to the previous session', async () => {
+      const startTime = new Date('2024-01-02T09:00:00Z');
+      mockPrisma.memory.create.mockImplementation(async ({ data, include }) => ({
+        id: `memory-${data.content}`,
+        createdAt: startTime,
+        ...data,
+        ...(include && include.session && { session: { id: data.sessionId, startTime } }),
+      }));
+      // No earlier memory in the session, then the previous session's last memory
+      mockPrisma.memory.findFirst
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'memory-old' });
+
+      await memoryService.createMemories('agent-123', [{ content: 'a', sessionId: 'session-2' }], {
+        linkPreviousSession: true,
+      });
+
+      expect(mockPrisma.memory.findFirst).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: {
+          agentId: 'agent-123',
+          deletedAt: null,
+          session: { id: { not: 'session-2' }, startTime: { lte: startTime } },
+        },
+      }));
+      expect(mockPrisma.memoryLink.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ sourceId: 'memory-old', targetId: 'memory-a', linkType: 'TEMPORAL' }),
+      });
+    });
+
+    it('should return null for an unknown agent', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue(null);
+
+      expect(await memoryService.createMemories('missing', [{ content: 'a' }])).toBeNull();
+      expect(mockGenerateEmbeddings).not.toHaveBeenCalled();
+    });
+  });
+
   describe('findSimilarMemories', () => {
     it('should find similar memories based on embedding', async () => {
       const embedding = [0.1, 0.2, 0.3];
       const excludeId = 'memory-123';
       const mockMemories = [
-        { id: 'memory-1', embedding: JSON.stringify([0.1, 0.2, 0.3]), content: 'test1', type: 'EPISODIC', importance: 0.8 },
-        { id: 'memory-2', embedding: JSON.stringify([0.9, 0.8, 0.7]), content: 'test2', type: 'SEMANTIC', importance: 0.6 },
+        { id: 'memory-1', content: 'test1', type: 'EPISODIC', importance: 0.8, similarity: 0.8 },
+        { id: 'memory-2', content: 'test2', type: 'SEMANTIC', importance: 0.6, similarity: 0.4 },
       ];
 
-      mockPrisma.memory.findMany.mockResolvedValue(mockMemories);
-      mockCalculateSimilarity
-        .mockReturnValueOnce(0.8) // Similar (above threshold)
-        .mockReturnValueOnce(0.4); // Similar (above threshold)
+      mockPrisma.$queryRaw.mockResolvedValue(mockMemories);
 
-      const result = await memoryService.findSimilarMemories(embedding, excludeId);
+      const result = await memoryService.findSimilarMemories(embedding, { excludeId, agentId: 'agent-123' });
 
-      expect(mockPrisma.memory.findMany).toHaveBeenCalledWith({
-        where: {
-          embedding: { not: null },
-          id: { not: excludeId },
-        },
-        select: {
-          id: true,
-          content: true,
-          embedding: true,
-          type: true,
-          importance: true,
-        },
-      });
+      const query = toSql(mockPrisma.$queryRaw.mock.calls[0]);
+      expect(query.sql).toContain('ORDER BY embedding <=>');
+      expect(query.sql).toContain('LIMIT');
+      expect(query.sql).toContain('"expiresAt" IS NULL OR "expiresAt" > now()');
+      expect(query.values).toEqual(expect.arrayContaining([
+        excludeId, 'agent-123', '[0.1,0.2,0.3]', 'local/hashed-ngram-v1@1536',
+      ]));
+      expect(mockCalculateSimilarity).not.toHaveBeenCalled();
       expect(result).toHaveLength(2);
       expect(result[0].similarity).toBe(0.8);
       expect(result[1].similarity).toBe(0.4);
     });
+
+    it('should raise hnsw.ef_search to the limit within the query\'s transaction', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+
+      await memoryService.findSimilarMemories([0.1, 0.2, 0.3], { agentId: 'agent-123', limit: 10 });
+      await memoryService.findSimilarMemories([0.1, 0.2, 0.3], { agentId: 'agent-123', limit: 200 });
+      await memoryService.findSimilarMemories([0.1, 0.2, 0.3], { agentId: 'agent-123', limit: 5000 });
+
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(3);
+      expect(mockPrisma.$executeRawUnsafe.mock.calls).toEqual([
+        ['SET LOCAL hnsw.ef_search = 100'],
+        ['SET LOCAL hnsw.ef_search = 200'],
+        ['SET LOCAL hnsw.ef_search = 1000'],
+      ]);
+    });
+
+    it('should drop neighbours below the similarity threshold', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([
+        { id: 'memory-1', similarity: 0.9 },
+        { id: 'memory-2', similarity: 0.1 },
+      ]);
+
+      const result = await memoryService.findSimilarMemories([0.1, 0.2, 0.3], { minSimilarity: 0.5 });
+
+      expect(result.map(m => m.id)).toEqual(['memory-1']);
+    });
+  });
+
+  describe('searchMemories', () => {
+    beforeEach(() => {
+      mockGenerateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
+      mockCalculateSimilarity.mockImplementation(
+        (a, b) => (a && b ? a.reduce((sum, value, i) => sum + value * b[i], 0) : 0)
+      );
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 0 });
+      mockPrisma.agent.findUnique.mockResolvedValue(null);
+    });
+
+    it('should fuse semantic and lexical candidates in hybrid mode', async () => {
+      mockPrisma.$queryRaw
+        // Semantic candidates
+        .mockResolvedValueOnce([
+          { id: 'memory-1', agentId: 'agent-123', similarity: 0.9, lexicalScore: 0 },
+          { id: 'memory-2', agentId: 'agent-123', similarity: 0.6, lexicalScore: 0.4 },
+        ])
+        // Lexical candidates
+        .mockResolvedValueOnce([
+          { id: 'memory-3', agentId: 'agent-123', similarity: 0.1, lexicalScore: 0.7 },
+          { id: 'memory-2', agentId: 'agent-123', similarity: 0.6, lexicalScore: 0.4 },
+        ]);
+
+      const result = await memoryService.searchMemories('agent-123', 'ERR_CONN_RESET', { mode: 'hybrid' });
+
+      expect(result.memories.map(m => m.id)).toEqual(['memory-2', 'memory-1', 'memory-3']);
+      expect(result.memories[0].scores).toEqual({ semantic: 0.6, lexical: 0.4 });
+      expect(result.memories[0]).not.toHaveProperty('lexicalScore');
+      expect(result.total).toBe(3);
+      expect(result.mode).toBe('hybrid');
+    });
+
+    it('should weight sub-scores when weighted fusion is requested', async () => {
+      mockPrisma.$queryRaw
+        .mockResolvedValueOnce([{ id: 'memory-1', similarity: 0.9, lexicalScore: 0 }])
+        .mockResolvedValueOnce([{ id: 'memory-3', similarity: 0.1, lexicalScore: 0.7 }]);
+
+      const result = await memoryService.searchMemories('agent-123', 'ERR_CONN_RESET', {
+        mode: 'hybrid',
+        fusion: 'weighted',
+        lexicalWeight: 0.8,
+      });
+
+      expect(result.memories.map(m => m.id)).toEqual(['memory-3', 'memory-1']);
+      expect(result.memories[0].score).toBeCloseTo(0.8 * 0.7 + 0.2 * 0.1);
+    });
+
+    it('should apply the agent\'s default retrieval weights', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue({
+        retrievalScoring: { weights: { relevance: 0, recency: 0, importance: 1, accessCount: 0 } },
+      });
+      mockPrisma.$queryRaw.mockResolvedValueOnce([
+        { id: 'memory-1', similarity: 0.9, importance: 0.2, accessCount: 0, lastAccessed: new Date() },
+        { id: 'memory-2', similarity: 0.7, importance: 0.9, accessCount: 0, lastAccessed: new Date() },
+      ]);
+
+      const result = await memoryService.searchMemories('agent-123', 'query');
+
+      expect(result.memories.map(m => m.id)).toEqual(['memory-2', 'memory-1']);
+      expect(result.memories[0].scores.importance).toBe(0.9);
+      expect(result.scoring.weights.importance).toBe(1);
+    });
+
+    it('should skip composite scoring when the request opts out', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue({ retrievalScoring: { weights: { relevance: 0 } } });
+      mockPrisma.$queryRaw.mockResolvedValueOnce([{ id: 'memory-1', similarity: 0.9 }]);
+
+      const result = await memoryService.searchMemories('agent-123', 'query', { scoring: false });
+
+      expect(mockPrisma.agent.findUnique).not.toHaveBeenCalledWith(expect.objectContaining({
+        select: { retrievalScoring: true },
+      }));
+      expect(result.scoring).toBeNull();
+      expect(result.memories[0].score).toBe(0.9);
+    });
+
+    it('should log the returned page with the query and each result\'s rank', async () => {
+      mockPrisma.$queryRaw.mockResolvedValueOnce([
+        { id: 'memory-1', agentId: 'agent-123', similarity: 0.9 },
+        { id: 'memory-2', agentId: 'agent-123', similarity: 0.8 },
+        { id: 'memory-3', agentId: 'agent-123', similarity: 0.7 },
+      ]);
+
+      await memoryService.searchMemories('agent-123', 'deploy steps', {
+        offset: 1,
+        limit: 2,
+        sessionId: 'session-1',
+      });
+
+      expect(mockRecordAccess).toHaveBeenCalledWith([
+        { memoryId: 'memory-2', agentId: 'agent-123', accessType: 'SEARCH', sessionId: 'session-1', query: 'deploy steps', rank: 2 },
+        { memoryId: 'memory-3', agentId: 'agent-123', accessType: 'SEARCH', sessionId: 'session-1', query: 'deploy steps', rank: 3 },
+      ]);
+    });
+
+    it('should only run the full-text query in lexical mode', async () => {
+      mockPrisma.$queryRaw.mockResolvedValueOnce([{ id: 'memory-3', similarity: null, lexicalScore: 0.7 }]);
+
+      const result = await memoryService.searchMemories('agent-123', 'ERR_CONN_RESET', { mode: 'lexical' });
+
+      expect(mockGenerateEmbedding).not.toHaveBeenCalled();
+      expect(mockPrisma.$queryRaw).toHaveBeenCalledTimes(1);
+      expect(toSql(mockPrisma.$queryRaw.mock.calls[0]).sql).toContain('websearch_to_tsquery');
+      expect(toSql(mockPrisma.$queryRaw.mock.calls[0]).sql).toContain('NULL::float8 AS similarity');
+      expect(toSql(mockPrisma.$queryRaw.mock.calls[0]).sql).toContain('"expiresAt" IS NULL OR "expiresAt" > now()');
+      expect(result.memories[0].scores).toEqual({ semantic: null, lexical: 0.7 });
+    });
+
+    it('should apply structured filters in both candidate queries', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+
+      await memoryService.searchMemories('agent-123', 'query', {
+        mode: 'hybrid',
+        filters: { sessionIds: ['session-1'], importance: { gte: 0.5 } },
+      });
+
+      mockPrisma.$queryRaw.mock.calls.forEach(call => {
+        const query = toSql(call);
+        expect(query.sql).toContain('"sessionId" = ANY(');
+        expect(query.sql).toContain('importance >=');
+        expect(query.values).toEqual(expect.arrayContaining([['session-1'], 0.5]));
+      });
+      expect(mockPrisma.$queryRaw).toHaveBeenCalledTimes(2);
+      mockPrisma.$queryRaw.mockReset();
+    });
+
+    it('should diversify results and report suppressed near-duplicates', async () => {
+      mockPrisma.$queryRaw
+        .mockResolvedValueOnce([
+          { id: 'memory-1', similarity: 0.9 },
+          { id: 'memory-2', similarity: 0.89 },
+          { id: 'memory-3', similarity: 0.75 },
+        ])
+        .mockResolvedValueOnce([
+          { id: 'memory-1', embedding: '[1,0,0]' },
+          { id: 'memory-2', embedding: '[1,0,0]' },
+          { id: 'memory-3', embedding: '[0,1,0]' },
+        ]);
+
+      const result = await memoryService.searchMemories('agent-123', 'query', {
+        limit: 2,
+        diversify: true,
+        mmrLambda: 0.5,
+      });
+
+      expect(result.memories.map(m => m.id)).toEqual(['memory-1', 'memory-3']);
+      expect(result.total).toBe(3);
+      expect(result.diversity.lambda).toBe(0.5);
+      expect(result.diversity.suppressed).toEqual([
+        expect.objectContaining({ id: 'memory-2', redundantWith: 'memory-1', similarity: 1 }),
+      ]);
+    });
+  });
+
+  describe('embedding models', () => {
+    it('should search with the model a re-embedding job switched the agent to', async () => {
+      const switched = {
+        modelTag: 'openai/text-embedding-3-large@1536',
+        generateEmbedding: jest.fn().mockResolvedValue([0.5, 0.5, 0.5]),
+      };
+      memoryService.agentEmbeddingServices.set('openai/text-embedding-3-large', switched);
+      mockPrisma.agent.findUnique.mockResolvedValue({
+        embeddingProvider: 'openai',
+        embeddingModel: 'text-embedding-3-large',
+      });
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+
+      await memoryService.searchMemories('agent-123', 'deploy');
+
+      expect(switched.generateEmbedding).toHaveBeenCalledWith('deploy');
+      expect(mockGenerateEmbedding).not.toHaveBeenCalled();
+      expect(toSql(mockPrisma.$queryRaw.mock.calls[0]).values).toContain('openai/text-embedding-3-large@1536');
+      mockPrisma.agent.findUnique.mockReset();
+    });
+
+    it('should fall back to the default model for agents that were never switched', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue({ embeddingProvider: null, embeddingModel: null });
+
+      expect(await memoryService.embeddingServiceFor('agent-123')).toBe(memoryService.embeddingService);
+      mockPrisma.agent.findUnique.mockReset();
+    });
   });
 
   describe('updateMemory', () => {
@@ -170,58 +703,455 @@ describe('MemoryService', () => {
       };
 
       mockGenerateEmbedding.mockResolvedValue(mockEmbedding);
-      mockPrisma.memory.update.mockResolvedValue(mockUpdatedMemory);
+      mockPrisma.memory.findFirst.mockResolvedValue({ agentId: 'agent-123' });
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.memory.findUnique.mockResolvedValue(mockUpdatedMemory);
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+      mockPrisma.$queryRaw.mockResolvedValue([]);
       mockPrisma.memoryLink.deleteMany.mockResolvedValue({ count: 2 });
       mockPrisma.memoryLink.createMany.mockResolvedValue({ count: 1 });
 
       const result = await memoryService.updateMemory(memoryId, updateData);
 
       expect(mockGenerateEmbedding).toHaveBeenCalledWith(updateData.content);
-      expect(mockPrisma.memory.update).toHaveBeenCalledWith({
-        where: { id: memoryId },
+      expect(mockPrisma.memory.updateMany).toHaveBeenCalledWith({
+        where: { id: memoryId, deletedAt: null },
         data: {
           content: updateData.content,
           importance: updateData.importance,
-          embedding: JSON.stringify(mockEmbedding),
+          version: { increment: 1 },
           updatedAt: expect.any(Date),
         },
+      });
+      expect(mockPrisma.memory.findUnique).toHaveBeenCalledWith({
+        where: { id: memoryId },
         include: {
           agent: true,
           session: true,
         },
       });
       expect(result).toEqual(mockUpdatedMemory);
+      expect(mockPrisma.memoryAuditEntry.create).not.toHaveBeenCalled();
     });
 
-    it('should handle memory not found', async () => {
-      const memoryId = 'memory-123';
-      const updateData = { content: 'Updated content' };
+    it('should audit changes to a pinned memory', async () => {
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.memory.findUnique.mockResolvedValue({ id: 'memory-123', agentId: 'agent-123', pinned: true, version: 5 });
 
-      mockPrisma.memory.update.mockRejectedValue(new Error('Record not found'));
+      await memoryService.updateMemory('memory-123', { importance: 0.9, actor: 'alice' });
 
-      await expect(memoryService.updateMemory(memoryId, updateData))
-        .rejects.toThrow('Record not found');
+      expect(mockPrisma.memoryAuditEntry.create).toHaveBeenCalledWith({
+        data: {
+          memoryId: 'memory-123',
+          action: 'updated',
+          actor: 'alice',
+          details: { version: 5, fields: ['importance'], reason: null },
+        },
+      });
+    });
+
+    it('should return null for a trashed or missing memory without If-Match', async () => {
+      mockGenerateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
+      mockPrisma.memory.findFirst.mockResolvedValue(null);
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 0 });
+
+      expect(await memoryService.updateMemory('memory-123', { content: 'Updated content' })).toBeNull();
+      expect(mockGenerateEmbedding).not.toHaveBeenCalled();
+
+      expect(await memoryService.updateMemory('memory-123', { importance: 0.9 })).toBeNull();
+      expect(mockPrisma.memory.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'memory-123', deletedAt: null },
+      }));
+      expect(mockPrisma.$executeRaw).not.toHaveBeenCalled();
+      expect(mockPrisma.memoryLink.deleteMany).not.toHaveBeenCalled();
+      expect(mockRecordAccess).not.toHaveBeenCalled();
+    });
+
+    it('should apply a conditional update when the version matches', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({ agentId: 'agent-123', version: 3 });
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.memory.findUnique.mockResolvedValue({ id: 'memory-123', version: 4 });
+
+      const result = await memoryService.updateMemory('memory-123', { importance: 0.5 }, { expectedVersions: [3] });
+
+      expect(mockPrisma.memory.updateMany).toHaveBeenCalledWith({
+        where: { id: 'memory-123', deletedAt: null, version: { in: [3] } },
+        data: expect.objectContaining({ importance: 0.5, version: { increment: 1 } }),
+      });
+      expect(mockPrisma.memory.update).not.toHaveBeenCalled();
+      expect(result.version).toBe(4);
+    });
+
+    it('should fail with 412 on a version conflict before embedding new content', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({ agentId: 'agent-123', version: 5 });
+
+      await expect(memoryService.updateMemory('memory-123', { content: 'New' }, { expectedVersions: [3] }))
+        .rejects.toMatchObject({ statusCode: 412, message: expect.stringContaining('5') });
+      expect(mockGenerateEmbedding).not.toHaveBeenCalled();
+      expect(mockPrisma.memory.updateMany).not.toHaveBeenCalled();
+      expect(mockPrisma.memoryRevision.createMany).not.toHaveBeenCalledWith(
+        expect.objectContaining({ data: [expect.objectContaining({ reason: 'updated' })] })
+      );
+    });
+
+    it('should fail with 412 when the memory changes after the version check', async () => {
+      mockPrisma.memory.findFirst
+        .mockResolvedValueOnce({ agentId: 'agent-123', version: 3 })
+        .mockResolvedValueOnce({ version: 4 });
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(memoryService.updateMemory('memory-123', { importance: 0.5 }, { expectedVersions: [3] }))
+        .rejects.toMatchObject({ statusCode: 412, message: expect.stringContaining('4') });
+    });
+
+    it('should refuse to change the type of a procedure that has steps', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({ agentId: 'agent-123', version: 2, type: 'PROCEDURAL' });
+      mockPrisma.proceduralStep.count.mockResolvedValueOnce(2);
+
+      await expect(memoryService.updateMemory('memory-123', { type: 'SEMANTIC' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(mockPrisma.proceduralStep.count).toHaveBeenCalledWith({ where: { memoryId: 'memory-123' } });
+      expect(mockPrisma.memory.updateMany).not.toHaveBeenCalled();
+
+      mockPrisma.proceduralStep.count.mockResolvedValueOnce(0);
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.memory.findUnique.mockResolvedValue({ id: 'memory-123', type: 'SEMANTIC' });
+
+      expect(await memoryService.updateMemory('memory-123', { type: 'SEMANTIC' }))
+        .toEqual(expect.objectContaining({ type: 'SEMANTIC' }));
+    });
+
+    it('should return null for a conditional update of a missing memory', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue(null);
+
+      expect(await memoryService.updateMemory('memory-123', { importance: 0.5 }, { expectedVersions: [3] }))
+        .toBeNull();
+      expect(mockPrisma.memory.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revisions', () => {
+    it('should snapshot a memory after it is created', async () => {
+      mockGenerateEmbedding.mockResolvedValue([0.1, 0.2, 0.3]);
+      mockPrisma.memory.create.mockResolvedValue({ id: 'memory-1', agentId: 'agent-123' });
+      mockPrisma.$executeRaw.mockResolvedValue(1);
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+      mockPrisma.memory.findMany.mockResolvedValue([
+        { id: 'memory-1', content: 'Fact', type: 'SEMANTIC', importance: 0.5, metadata: {} },
+      ]);
+
+      await memoryService.createMemory('agent-123', { content: 'Fact', type: 'SEMANTIC', actor: 'planner' });
+
+      expect(mockPrisma.memoryRevision.createMany).toHaveBeenCalledWith({
+        data: [{
+          memoryId: 'memory-1',
+          revision: 1,
+          content: 'Fact',
+          type: 'SEMANTIC',
+          importance: 0.5,
+          metadata: {},
+          actor: 'planner',
+          reason: 'created',
+        }],
+      });
+      mockPrisma.$queryRaw.mockReset();
+    });
+
+    it('should record a baseline before updating an unversioned memory', async () => {
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.memory.findUnique.mockResolvedValue({ id: 'memory-1', agentId: 'agent-123' });
+      mockPrisma.memory.findMany
+        .mockResolvedValueOnce([{ id: 'memory-1', content: 'Old', type: 'EPISODIC', importance: 0.5, metadata: {} }])
+        .mockResolvedValueOnce([{ id: 'memory-1', content: 'Old', type: 'EPISODIC', importance: 0.9, metadata: {} }]);
+      mockPrisma.memoryRevision.groupBy
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ memoryId: 'memory-1', _max: { revision: 1 } }]);
+
+      await memoryService.updateMemory('memory-1', { importance: 0.9, actor: 'reviewer', reason: 'bumped' });
+
+      const [baseline, change] = mockPrisma.memoryRevision.createMany.mock.calls.map(([{ data }]) => data[0]);
+      expect(baseline).toEqual(expect.objectContaining({ revision: 1, importance: 0.5, reason: 'baseline' }));
+      expect(change).toEqual(expect.objectContaining({
+        revision: 2,
+        importance: 0.9,
+        actor: 'reviewer',
+        reason: 'bumped',
+      }));
+    });
+
+    it('should restore a revision through a regular update', async () => {
+      mockPrisma.memoryRevision.findUnique.mockResolvedValue({
+        memoryId: 'memory-1',
+        revision: 1,
+        content: 'Original',
+        type: 'EPISODIC',
+        importance: 0.5,
+        metadata: null,
+      });
+      const updateMemory = jest.spyOn(memoryService, 'updateMemory').mockResolvedValue({ id: 'memory-1' });
+
+      await memoryService.restoreRevision('memory-1', 1, { actor: 'reviewer' });
+
+      expect(updateMemory).toHaveBeenCalledWith('memory-1', {
+        content: 'Original',
+        type: 'EPISODIC',
+        importance: 0.5,
+        metadata: {},
+        actor: 'reviewer',
+        reason: 'restored revision 1',
+      }, { expectedVersions: null });
+    });
+
+    it('should return null when restoring an unknown revision', async () => {
+      mockPrisma.memoryRevision.findUnique.mockResolvedValue(null);
+
+      expect(await memoryService.restoreRevision('memory-1', 7)).toBeNull();
     });
   });
 
   describe('deleteMemory', () => {
-    it('should delete memory successfully', async () => {
+    it('should move the memory to the trash and keep its links and steps', async () => {
       const memoryId = 'memory-123';
 
-      mockPrisma.memoryLink.deleteMany.mockResolvedValue({ count: 2 });
-      mockPrisma.proceduralStep.deleteMany.mockResolvedValue({ count: 1 });
-      mockPrisma.memory.delete.mockResolvedValue({ id: memoryId });
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.memory.findUnique.mockResolvedValue({ id: memoryId, agentId: 'agent-123', sessionId: null });
 
-      const result = await memoryService.deleteMemory(memoryId);
+      const result = await memoryService.deleteMemory(memoryId, { sessionId: 'session-1' });
 
-      expect(mockPrisma.memoryLink.deleteMany).toHaveBeenCalled();
-      expect(mockPrisma.proceduralStep.deleteMany).toHaveBeenCalledWith({
-        where: { memoryId },
+      expect(mockPrisma.memory.updateMany).toHaveBeenCalledWith({
+        where: { id: memoryId, deletedAt: null, pinned: false },
+        data: { deletedAt: expect.any(Date), version: { increment: 1 } },
       });
-      expect(mockPrisma.memory.delete).toHaveBeenCalledWith({
-        where: { id: memoryId },
+      expect(mockPrisma.memoryLink.deleteMany).not.toHaveBeenCalled();
+      expect(mockPrisma.proceduralStep.deleteMany).not.toHaveBeenCalled();
+      expect(mockPrisma.memory.delete).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: true, deletedAt: expect.any(Date) });
+      expect(mockRecordAccess).toHaveBeenCalledWith([
+        expect.objectContaining({ memoryId, agentId: 'agent-123', accessType: 'DELETE', sessionId: 'session-1' }),
+      ]);
+    });
+
+    it('should return null when the memory is missing or already trashed', async () => {
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 0 });
+      mockPrisma.memory.findFirst.mockResolvedValue(null);
+
+      expect(await memoryService.deleteMemory('memory-123')).toBeNull();
+    });
+
+    it('should refuse to trash a pinned memory with 409', async () => {
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 0 });
+      mockPrisma.memory.findFirst.mockResolvedValue({ id: 'memory-123' });
+
+      await expect(memoryService.deleteMemory('memory-123')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('setPinned', () => {
+    it('should pin the memory and audit it', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({ id: 'memory-123', pinned: false, version: 2 });
+      mockPrisma.memory.update.mockResolvedValue({ id: 'memory-123', pinned: true, version: 3 });
+
+      const memory = await memoryService.setPinned('memory-123', true, { actor: 'alice', reason: 'core preference' });
+
+      expect(mockPrisma.memory.update).toHaveBeenCalledWith({
+        where: { id: 'memory-123' },
+        data: { pinned: true, version: { increment: 1 } },
+      });
+      expect(mockPrisma.memoryAuditEntry.create).toHaveBeenCalledWith({
+        data: {
+          memoryId: 'memory-123',
+          action: 'pinned',
+          actor: 'alice',
+          details: { version: 3, reason: 'core preference' },
+        },
+      });
+      expect(memory.pinned).toBe(true);
+    });
+
+    it('should leave a memory that already has the flag alone', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({ id: 'memory-123', pinned: true, version: 3 });
+
+      await memoryService.setPinned('memory-123', true);
+
+      expect(mockPrisma.memory.update).not.toHaveBeenCalled();
+      expect(mockPrisma.memoryAuditEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should return null for a missing memory', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue(null);
+
+      expect(await memoryService.setPinned('memory-123', false)).toBeNull();
+    });
+  });
+
+  describe('restoreMemory', () => {
+    it('should clear deletedAt on a trashed memory', async () => {
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.memory.findUnique.mockResolvedValue({ id: 'memory-123', deletedAt: null });
+
+      const result = await memoryService.restoreMemory('memory-123');
+
+      expect(mockPrisma.memory.updateMany).toHaveBeenCalledWith({
+        where: { id: 'memory-123', deletedAt: { not: null } },
+        data: { deletedAt: null, version: { increment: 1 } },
+      });
+      expect(result).toEqual({ id: 'memory-123', deletedAt: null });
+    });
+
+    it('should return null when the memory is not in the trash', async () => {
+      mockPrisma.memory.updateMany.mockResolvedValue({ count: 0 });
+
+      expect(await memoryService.restoreMemory('memory-123')).toBeNull();
+      expect(mockPrisma.memory.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getMemoryById', () => {
+    it('should hide trashed memories unless includeDeleted is set', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue(null);
+
+      expect(await memoryService.getMemoryById('memory-123')).toBeNull();
+      expect(mockPrisma.memory.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'memory-123', deletedAt: null },
+      }));
+
+      mockPrisma.memory.findFirst.mockResolvedValue({ id: 'memory-123', deletedAt: new Date(), tags: [] });
+
+      const memory = await memoryService.getMemoryById('memory-123', { includeDeleted: true });
+
+      expect(memory.id).toBe('memory-123');
+      expect(mockPrisma.memory.findFirst).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: { id: 'memory-123' },
+      }));
+      // Reading a trashed memory does not count as an access
+      expect(mockPrisma.memory.update).not.toHaveBeenCalled();
+      expect(mockRecordAccess).not.toHaveBeenCalled();
+    });
+
+    it('should log a read in the caller\'s session', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({
+        id: 'memory-123',
+        agentId: 'agent-123',
+        sessionId: 'session-0',
+        deletedAt: null,
+        tags: [],
+      });
+      mockPrisma.memory.update.mockResolvedValue({});
+
+      await memoryService.getMemoryById('memory-123', { sessionId: 'session-1' });
+
+      expect(mockRecordAccess).toHaveBeenCalledWith([
+        expect.objectContaining({ memoryId: 'memory-123', accessType: 'READ', sessionId: 'session-1' }),
+      ]);
+    });
+
+    it('should flatten tags to sorted names', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({
+        id: 'memory-123',
+        deletedAt: null,
+        tags: [{ tag: { name: 'ops' } }, { tag: { name: 'billing' } }],
+      });
+      mockPrisma.memory.update.mockResolvedValue({});
+
+      const memory = await memoryService.getMemoryById('memory-123');
+
+      expect(memory.tags).toEqual(['billing', 'ops']);
+    });
+  });
+
+  describe('listMemories', () => {
+    const rows = [
+      { id: 'm3', importance: 0.9 },
+      { id: 'm2', importance: 0.9 },
+      { id: 'm1', importance: 0.4 },
+    ];
+
+    beforeEach(() => {
+      mockPrisma.agent.findUnique.mockResolvedValue({ id: 'agent-123' });
+    });
+
+    it('should filter, sort and return a cursor when there are more rows', async () => {
+      mockPrisma.memory.findMany.mockResolvedValue(rows);
+
+      const result = await memoryService.listMemories('agent-123', {
+        type: 'SEMANTIC',
+        minImportance: 0.3,
+        tags: ['billing', 'ops'],
+        sort: 'importance',
+        limit: 2,
+      });
+
+      expect(mockPrisma.memory.findMany).toHaveBeenCalledWith({
+        where: {
+          agentId: 'agent-123',
+          deletedAt: null,
+          OR: [{ expiresAt: null }, { expiresAt: { gt: expect.any(Date) } }],
+          type: 'SEMANTIC',
+          importance: { gte: 0.3 },
+          AND: [
+            { tags: { some: { tag: { name: 'billing' } } } },
+            { tags: { some: { tag: { name: 'ops' } } } },
+          ],
+        },
+        orderBy: [{ importance: 'desc' }, { id: 'desc' }],
+        take: 3,
       });
-      expect(result).toEqual({ success: true });
+      expect(result.memories.map(m => m.id)).toEqual(['m3', 'm2']);
+      expect(result.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should continue after the cursor using the sort value and id', async () => {
+      mockPrisma.memory.findMany.mockResolvedValueOnce(rows);
+      const { nextCursor } = await memoryService.listMemories('agent-123', { sort: 'importance', limit: 2 });
+
+      mockPrisma.memory.findMany.mockResolvedValueOnce([rows[2]]);
+      const page = await memoryService.listMemories('agent-123', { sort: 'importance', limit: 2, cursor: nextCursor });
+
+      expect(mockPrisma.memory.findMany.mock.calls[1][0].where.AND).toEqual([{
+        OR: [
+          { importance: { lt: 0.9 } },
+          { importance: 0.9, id: { lt: 'm2' } },
+        ],
+      }]);
+      expect(page.memories.map(m => m.id)).toEqual(['m1']);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it('should revive dates from the cursor when sorting by time', async () => {
+      const createdAt = new Date('2024-06-01T00:00:00Z');
+      mockPrisma.memory.findMany.mockResolvedValueOnce([{ id: 'm2', createdAt }, { id: 'm1', createdAt }]);
+      const { nextCursor } = await memoryService.listMemories('agent-123', { order: 'asc', limit: 1 });
+
+      mockPrisma.memory.findMany.mockResolvedValueOnce([]);
+      await memoryService.listMemories('agent-123', { order: 'asc', limit: 1, cursor: nextCursor });
+
+      expect(mockPrisma.memory.findMany.mock.calls[1][0].where.AND[0].OR[0]).toEqual({ createdAt: { gt: createdAt } });
+    });
+
+    it('should reject a malformed cursor with 400', async () => {
+      await expect(memoryService.listMemories('agent-123', { cursor: 'not-a-cursor' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject a cursor reused with a different sort or order', async () => {
+      mockPrisma.memory.findMany.mockResolvedValueOnce(rows);
+      const { nextCursor } = await memoryService.listMemories('agent-123', { sort: 'importance', limit: 2 });
+
+      await expect(memoryService.listMemories('agent-123', { sort: 'accessed', limit: 2, cursor: nextCursor }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(memoryService.listMemories('agent-123', {
+        sort: 'importance',
+        order: 'asc',
+        limit: 2,
+        cursor: nextCursor,
+      })).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockPrisma.memory.findMany).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return null for an unknown agent', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue(null);
+
+      expect(await memoryService.listMemories('missing')).toBeNull();
     });
   });
 
@@ -237,22 +1167,25 @@ describe('MemoryService', () => {
       mockPrisma.memory.groupBy.mockResolvedValue(mockStats);
       mockPrisma.memory.count.mockResolvedValue(10);
       mockPrisma.memoryLink.count.mockResolvedValue(15);
+      mockPrisma.$queryRaw.mockResolvedValue([{ name: 'billing', count: 4 }]);
 
       const result = await memoryService.getMemoryStats(agentId);
 
       expect(mockPrisma.memory.groupBy).toHaveBeenCalledWith({
         by: ['type'],
-        where: { agentId },
+        where: { agentId, deletedAt: null },
         _count: { id: true },
         _avg: { importance: true, accessCount: true },
       });
       expect(mockPrisma.memory.count).toHaveBeenCalledWith({
-        where: { agentId },
+        where: { agentId, deletedAt: null },
       });
       expect(mockPrisma.memoryLink.count).toHaveBeenCalled();
       expect(result).toBeDefined();
       expect(result.totalMemories).toBe(10);
       expect(result.totalLinks).toBe(15);
+      expect(result.byTag).toEqual([{ name: 'billing', count: 4 }]);
+      expect(toSql(mockPrisma.$queryRaw.mock.calls[0]).values).toContain(agentId);
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,172 @@
+const mockPrisma = {
+  $transaction: jest.fn(),
+  $queryRaw: jest.fn(),
+  memory: {
+    findFirst: jest.fn(),
+    update: jest.fn(),
+  },
+  proceduralStep: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    delete: jest.fn(),
+  },
+  memoryAuditEntry: {
+    create: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+  Prisma: jest.requireActual('@prisma/client').Prisma,
+}));
+
+const ProceduralStepService = require('../../services/proceduralStepService');
+
+const steps = [
+  { id: 'step-a', stepNumber: 1 },
+  { id: 'step-b', stepNumber: 2 },
+  { id: 'step-c', stepNumber: 3 },
+];
+
+// Final step number assigned to each step id by the renumbering updates
+const assignedNumbers = () => Object.fromEntries(
+  mockPrisma.proceduralStep.update.mock.calls.map(([{ where, data }]) => [where.id, data.stepNumber])
+);
+
+describe('ProceduralStepService', () => {
+  let proceduralStepService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    proceduralStepService = new ProceduralStepService();
+    proceduralStepService.prisma = mockPrisma;
+    proceduralStepService.memoryAuditService.prisma = mockPrisma;
+
+    mockPrisma.memory.findFirst.mockResolvedValue({ id: 'memory-1', type: 'PROCEDURAL', pinned: false });
+    mockPrisma.$queryRaw.mockResolvedValue([{ id: 'memory-1', type: 'PROCEDURAL', pinned: false }]);
+    mockPrisma.proceduralStep.findMany.mockResolvedValue(steps);
+    mockPrisma.$transaction.mockImplementation(async callback => callback(mockPrisma));
+  });
+
+  it('should only manage steps of PROCEDURAL memories', async () => {
+    mockPrisma.$queryRaw.mockResolvedValue([{ id: 'memory-1', type: 'EPISODIC', pinned: false }]);
+
+    await expect(proceduralStepService.addStep('memory-1', { action: 'Run tests' }))
+      .rejects.toMatchObject({ statusCode: 422 });
+    expect(mockPrisma.proceduralStep.create).not.toHaveBeenCalled();
+  });
+
+  it('should return null for a missing memory', async () => {
+    mockPrisma.$queryRaw.mockResolvedValue([]);
+
+    expect(await proceduralStepService.addStep('memory-1', { action: 'Run tests' })).toBeNull();
+    expect(mockPrisma.proceduralStep.findMany).not.toHaveBeenCalled();
+  });
+
+  it('should lock the memory before reading the steps it renumbers', async () => {
+    await proceduralStepService.reorderSteps('memory-1', ['step-c', 'step-a', 'step-b']);
+
+    const [strings] = mockPrisma.$queryRaw.mock.calls[0];
+    expect(strings.join('?')).toMatch(/FOR UPDATE/);
+    expect(mockPrisma.$queryRaw.mock.invocationCallOrder[0])
+      .toBeLessThan(mockPrisma.proceduralStep.findMany.mock.invocationCallOrder[0]);
+    expect(mockPrisma.proceduralStep.findMany.mock.invocationCallOrder[0])
+      .toBeLessThan(mockPrisma.proceduralStep.updateMany.mock.invocationCallOrder[0]);
+  });
+
+  describe('addStep', () => {
+    it('should insert at the position and shift later steps down', async () => {
+      mockPrisma.proceduralStep.findUnique.mockResolvedValue({ id: 'new', stepNumber: 2 });
+
+      await proceduralStepService.addStep('memory-1', { action: 'Run tests', position: 2 });
+
+      expect(mockPrisma.proceduralStep.updateMany).toHaveBeenCalledWith({
+        where: { memoryId: 'memory-1', stepNumber: { gt: 0 } },
+        data: { stepNumber: { multiply: -1 } },
+      });
+      const { id } = mockPrisma.proceduralStep.create.mock.calls[0][0].data;
+      expect(assignedNumbers()).toEqual({ 'step-a': 1, [id]: 2, 'step-b': 3, 'step-c': 4 });
+      expect(mockPrisma.memory.update).toHaveBeenCalledWith({
+        where: { id: 'memory-1' },
+        data: { version: { increment: 1 } },
+      });
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('should append when the position is past the end', async () => {
+      await proceduralStepService.addStep('memory-1', { action: 'Deploy', position: 10 });
+
+      const { id } = mockPrisma.proceduralStep.create.mock.calls[0][0].data;
+      expect(assignedNumbers()[id]).toBe(4);
+    });
+  });
+
+  describe('deleteStep', () => {
+    it('should close the gap in the numbering', async () => {
+      await proceduralStepService.deleteStep('memory-1', 'step-a');
+
+      expect(mockPrisma.proceduralStep.delete).toHaveBeenCalledWith({ where: { id: 'step-a' } });
+      expect(assignedNumbers()).toEqual({ 'step-b': 1, 'step-c': 2 });
+    });
+
+    it('should return null for a step of another memory', async () => {
+      expect(await proceduralStepService.deleteStep('memory-1', 'step-x')).toBeNull();
+      expect(mockPrisma.proceduralStep.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reorderSteps', () => {
+    it('should renumber every step in one transaction', async () => {
+      await proceduralStepService.reorderSteps('memory-1', ['step-c', 'step-a', 'step-b']);
+
+      expect(assignedNumbers()).toEqual({ 'step-c': 1, 'step-a': 2, 'step-b': 3 });
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject an order that does not list every step once', async () => {
+      await expect(proceduralStepService.reorderSteps('memory-1', ['step-c', 'step-a']))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(proceduralStepService.reorderSteps('memory-1', ['step-c', 'step-a', 'step-x']))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(mockPrisma.proceduralStep.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should audit changes to the steps of a pinned memory', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([{ id: 'memory-1', type: 'PROCEDURAL', pinned: true }]);
+
+      await proceduralStepService.reorderSteps('memory-1', ['step-b', 'step-a', 'step-c'], { actor: 'alice' });
+
+      expect(mockPrisma.memoryAuditEntry.create).toHaveBeenCalledWith({
+        data: {
+          memoryId: 'memory-1',
+          action: 'steps',
+          actor: 'alice',
+          details: { change: 'reordered', stepIds: ['step-b', 'step-a', 'step-c'] },
+        },
+      });
+    });
+  });
+
+  describe('updateStep', () => {
+    it('should clear parameters with null and leave other fields alone', async () => {
+      mockPrisma.proceduralStep.updateMany.mockResolvedValue({ count: 1 });
+
+      await proceduralStepService.updateStep('memory-1', 'step-a', { parameters: null, result: 'done' });
+
+      expect(mockPrisma.proceduralStep.updateMany).toHaveBeenCalledWith({
+        where: { id: 'step-a', memoryId: 'memory-1' },
+        data: { parameters: jest.requireActual('@prisma/client').Prisma.DbNull, result: 'done' },
+      });
+    });
+
+    it('should return null for an unknown step', async () => {
+      mockPrisma.proceduralStep.updateMany.mockResolvedValue({ count: 0 });
+
+      expect(await proceduralStepService.updateStep('memory-1', 'step-x', { action: 'Deploy' })).toBeNull();
+      expect(mockPrisma.memory.update).not.toHaveBeenCalled();
+    });
+  });
+});
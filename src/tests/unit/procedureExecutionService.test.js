@@ -0,0 +1,209 @@
+const mockPrisma = {
+  memory: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  agent: {
+    findUnique: jest.fn(),
+  },
+  procedureExecution: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    groupBy: jest.fn(),
+  },
+  procedureStepExecution: {
+    groupBy: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+}));
+
+const ProcedureExecutionService = require('../../services/procedureExecutionService');
+
+const procedure = {
+  id: 'memory-1',
+  type: 'PROCEDURAL',
+  importance: 0.5,
+  pinned: false,
+  steps: [
+    { id: 'step-a', stepNumber: 1, action: 'Build' },
+    { id: 'step-b', stepNumber: 2, action: 'Deploy' },
+  ],
+};
+
+const group = (status, count, avgDurationMs = null, extra = {}) => ({
+  status,
+  _count: { id: count },
+  _avg: { durationMs: avgDurationMs },
+  ...extra,
+});
+
+describe('ProcedureExecutionService', () => {
+  let procedureExecutionService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    procedureExecutionService = new ProcedureExecutionService();
+    procedureExecutionService.prisma = mockPrisma;
+    procedureExecutionService.memoryRevisionService = {
+      ensureBaseline: jest.fn(),
+      recordRevision: jest.fn(),
+    };
+    procedureExecutionService.importanceWeight = 0.2;
+
+    mockPrisma.memory.findFirst.mockResolvedValue(procedure);
+    mockPrisma.procedureExecution.create.mockImplementation(async ({ data }) => ({ id: 'run-1', ...data }));
+    mockPrisma.procedureExecution.groupBy.mockResolvedValue([]);
+  });
+
+  describe('recordExecution', () => {
+    it('should store step outcomes referenced by id or number', async () => {
+      await procedureExecutionService.recordExecution('memory-1', {
+        status: 'FAILURE',
+        durationMs: 1200,
+        error: 'Deploy timed out',
+        steps: [
+          { stepId: 'step-a', status: 'SUCCESS', durationMs: 200 },
+          { stepNumber: 2, status: 'FAILURE', error: 'timeout', output: { code: 504 } },
+        ],
+      });
+
+      expect(mockPrisma.procedureExecution.create).toHaveBeenCalledWith({
+        data: {
+          memoryId: 'memory-1',
+          sessionId: null,
+          status: 'FAILURE',
+          durationMs: 1200,
+          error: 'Deploy timed out',
+          steps: {
+            create: [
+              { stepId: 'step-a', stepNumber: 1, status: 'SUCCESS', durationMs: 200, error: null },
+              { stepId: 'step-b', stepNumber: 2, status: 'FAILURE', durationMs: null, error: 'timeout', output: { code: 504 } },
+            ],
+          },
+        },
+        include: { steps: { orderBy: { stepNumber: 'asc' } } },
+      });
+    });
+
+    it('should move importance towards the smoothed success rate', async () => {
+      mockPrisma.procedureExecution.groupBy.mockResolvedValue([group('SUCCESS', 8), group('FAILURE', 0)]);
+
+      const execution = await procedureExecutionService.recordExecution('memory-1', { status: 'SUCCESS' });
+
+      // rate = (8 + 1) / (8 + 2) = 0.9; 0.5 + 0.2 * (0.9 - 0.5) = 0.58
+      expect(execution.importance).toBeCloseTo(0.58);
+      expect(mockPrisma.memory.update).toHaveBeenCalledWith({
+        where: { id: 'memory-1' },
+        data: { importance: expect.closeTo(0.58), version: { increment: 1 } },
+      });
+      expect(procedureExecutionService.memoryRevisionService.ensureBaseline).toHaveBeenCalledWith(['memory-1']);
+      expect(procedureExecutionService.memoryRevisionService.recordRevision).toHaveBeenCalledWith('memory-1', {
+        actor: 'system',
+        reason: 'execution success rate',
+      });
+    });
+
+    it('should leave the importance of pinned procedures alone', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({ ...procedure, pinned: true });
+
+      const execution = await procedureExecutionService.recordExecution('memory-1', { status: 'FAILURE' });
+
+      expect(execution.importance).toBe(0.5);
+      expect(mockPrisma.memory.update).not.toHaveBeenCalled();
+      expect(procedureExecutionService.memoryRevisionService.recordRevision).not.toHaveBeenCalled();
+    });
+
+    it('should reject steps of other procedures', async () => {
+      await expect(procedureExecutionService.recordExecution('memory-1', {
+        status: 'SUCCESS',
+        steps: [{ stepNumber: 3, status: 'SUCCESS' }],
+      })).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockPrisma.procedureExecution.create).not.toHaveBeenCalled();
+    });
+
+    it('should only record runs of PROCEDURAL memories', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({ ...procedure, type: 'SEMANTIC' });
+
+      await expect(procedureExecutionService.recordExecution('memory-1', { status: 'SUCCESS' }))
+        .rejects.toMatchObject({ statusCode: 422 });
+    });
+
+    it('should return null for a missing memory', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue(null);
+
+      expect(await procedureExecutionService.recordExecution('memory-1', { status: 'SUCCESS' })).toBeNull();
+    });
+  });
+
+  describe('getProcedureStats', () => {
+    it('should aggregate success rates per procedure and per step', async () => {
+      const lastRunAt = new Date();
+      mockPrisma.procedureExecution.groupBy.mockResolvedValue([group('SUCCESS', 3, 1000), group('FAILURE', 1, 2000)]);
+      mockPrisma.procedureExecution.findFirst.mockResolvedValue({ createdAt: lastRunAt, status: 'FAILURE' });
+      mockPrisma.procedureStepExecution.groupBy.mockResolvedValue([
+        group('SUCCESS', 4, 100, { stepId: 'step-a' }),
+        group('SUCCESS', 3, null, { stepId: 'step-b' }),
+        group('FAILURE', 1, null, { stepId: 'step-b' }),
+      ]);
+
+      const stats = await procedureExecutionService.getProcedureStats('memory-1');
+
+      expect(stats).toMatchObject({
+        runs: 4,
+        successes: 3,
+        failures: 1,
+        successRate: 0.75,
+        avgDurationMs: 1250,
+        lastRunAt,
+        lastStatus: 'FAILURE',
+      });
+      expect(stats.steps).toEqual([
+        expect.objectContaining({ stepId: 'step-a', action: 'Build', runs: 4, successRate: 1, avgDurationMs: 100 }),
+        expect.objectContaining({ stepId: 'step-b', action: 'Deploy', runs: 4, successRate: 0.75, avgDurationMs: null }),
+      ]);
+    });
+
+    it('should report no rate before the first run', async () => {
+      mockPrisma.procedureExecution.findFirst.mockResolvedValue(null);
+      mockPrisma.procedureStepExecution.groupBy.mockResolvedValue([]);
+
+      const stats = await procedureExecutionService.getProcedureStats('memory-1');
+
+      expect(stats.runs).toBe(0);
+      expect(stats.successRate).toBeNull();
+      expect(stats.lastRunAt).toBeNull();
+    });
+  });
+
+  describe('getAgentProcedureStats', () => {
+    it('should rank procedures by success rate', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue({ id: 'agent-1' });
+      mockPrisma.procedureExecution.groupBy.mockResolvedValue([
+        group('SUCCESS', 1, null, { memoryId: 'memory-1' }),
+        group('FAILURE', 3, null, { memoryId: 'memory-1' }),
+        group('SUCCESS', 5, null, { memoryId: 'memory-2' }),
+      ]);
+      mockPrisma.memory.findMany.mockResolvedValue([
+        { id: 'memory-1', content: 'Deploy', importance: 0.4 },
+        { id: 'memory-2', content: 'Rollback', importance: 0.7 },
+      ]);
+
+      const stats = await procedureExecutionService.getAgentProcedureStats('agent-1');
+
+      expect(mockPrisma.procedureExecution.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+        where: { memory: { agentId: 'agent-1', deletedAt: null } },
+      }));
+      expect(stats.map(s => [s.memoryId, s.successRate])).toEqual([['memory-2', 1], ['memory-1', 0.25]]);
+    });
+
+    it('should return null for an unknown agent', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue(null);
+
+      expect(await procedureExecutionService.getAgentProcedureStats('missing')).toBeNull();
+    });
+  });
+});
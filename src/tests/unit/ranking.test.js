@@ -0,0 +1,129 @@
+const {
+  DEFAULT_SCORING,
+  reciprocalRankFusion,
+  weightedFusion,
+  resolveScoring,
+  compositeRank,
+  maximalMarginalRelevance,
+} = require('../../utils/ranking');
+
+describe('ranking utils', () => {
+  describe('reciprocalRankFusion', () => {
+    it('should reward items ranked highly in several lists', () => {
+      const scores = reciprocalRankFusion([
+        ['a', 'b', 'c'],
+        ['b', 'd'],
+      ], 60);
+
+      expect(scores.get('b')).toBeCloseTo(1 / 62 + 1 / 61);
+      expect(scores.get('a')).toBeCloseTo(1 / 61);
+      expect(scores.get('b')).toBeGreaterThan(scores.get('a'));
+      expect(scores.get('d')).toBeCloseTo(1 / 62);
+    });
+
+    it('should handle empty lists', () => {
+      expect(reciprocalRankFusion([[], []]).size).toBe(0);
+    });
+  });
+
+  describe('weightedFusion', () => {
+    it('should combine scores with the given weights', () => {
+      const score = weightedFusion({ lexical: 0.5, semantic: 0.8 }, { lexical: 0.25, semantic: 0.75 });
+
+      expect(score).toBeCloseTo(0.125 + 0.6);
+    });
+
+    it('should treat missing and negative scores as zero', () => {
+      const score = weightedFusion({ lexical: null, semantic: -0.2 }, { lexical: 0.5, semantic: 0.5 });
+
+      expect(score).toBe(0);
+    });
+  });
+
+  describe('resolveScoring', () => {
+    it('should layer request options over agent defaults', () => {
+      const scoring = resolveScoring(
+        { weights: { recency: 0 }, recencyHalfLifeHours: 24 },
+        { weights: { importance: 2 } }
+      );
+
+      expect(scoring.weights).toEqual({ relevance: 1, recency: 0, importance: 2, accessCount: 0.5 });
+      expect(scoring.recencyHalfLifeHours).toBe(24);
+      expect(DEFAULT_SCORING.weights.importance).toBe(1);
+    });
+  });
+
+  describe('compositeRank', () => {
+    const now = new Date('2026-01-10T00:00:00Z');
+
+    it('should halve recency every half-life', () => {
+      const [memory] = compositeRank([
+        { id: 'a', score: 0.8, importance: 0.5, accessCount: 0, lastAccessed: new Date('2026-01-09T00:00:00Z') },
+      ], resolveScoring({ recencyHalfLifeHours: 24 }), now);
+
+      expect(memory.scores.recency).toBeCloseTo(0.5);
+      expect(memory.scores.relevance).toBe(1);
+    });
+
+    it('should let recent important memories outrank slightly more relevant ones', () => {
+      const ranked = compositeRank([
+        { id: 'stale', score: 0.9, importance: 0.2, accessCount: 0, lastAccessed: new Date('2025-01-01T00:00:00Z') },
+        { id: 'fresh', score: 0.8, importance: 0.9, accessCount: 5, lastAccessed: now },
+      ], DEFAULT_SCORING, now);
+
+      expect(ranked.map(m => m.id)).toEqual(['fresh', 'stale']);
+      expect(ranked[0].scores).toHaveProperty('accessCount', 1);
+    });
+
+    it('should rank purely by relevance when only relevance is weighted', () => {
+      const ranked = compositeRank([
+        { id: 'a', score: 0.5, importance: 1, accessCount: 10, lastAccessed: now },
+        { id: 'b', score: 0.9, importance: 0, accessCount: 0, lastAccessed: new Date(0) },
+      ], resolveScoring({ weights: { recency: 0, importance: 0, accessCount: 0 } }), now);
+
+      expect(ranked.map(m => m.id)).toEqual(['b', 'a']);
+      expect(ranked[0].score).toBe(1);
+    });
+  });
+
+  describe('maximalMarginalRelevance', () => {
+    const dot = (a, b) => (a && b ? a.reduce((sum, value, i) => sum + value * b[i], 0) : 0);
+    const candidates = [
+      { id: 'fact', score: 0.9 },
+      { id: 'fact-again', score: 0.88 },
+      { id: 'other', score: 0.7 },
+    ];
+    const embeddings = new Map([
+      ['fact', [1, 0]],
+      ['fact-again', [0.99, 0.14]],
+      ['other', [0, 1]],
+    ]);
+
+    it('should prefer a diverse result over a near-duplicate', () => {
+      const { selected, suppressed } = maximalMarginalRelevance(candidates, embeddings, dot, { lambda: 0.5, limit: 2 });
+
+      expect(selected.map(m => m.id)).toEqual(['fact', 'other']);
+      expect(suppressed).toEqual([
+        { id: 'fact-again', score: 0.88, redundantWith: 'fact', similarity: 0.99 },
+      ]);
+    });
+
+    it('should keep relevance order when lambda is 1', () => {
+      const { selected, suppressed } = maximalMarginalRelevance(candidates, embeddings, dot, { lambda: 1, limit: 2 });
+
+      expect(selected.map(m => m.id)).toEqual(['fact', 'fact-again']);
+      expect(suppressed).toEqual([]);
+    });
+
+    it('should treat candidates without vectors as non-redundant', () => {
+      const { selected } = maximalMarginalRelevance(
+        [{ id: 'fact', score: 0.9 }, { id: 'lexical-only', score: 0.8 }],
+        new Map([['fact', [1, 0]]]),
+        dot,
+        { lambda: 0.5, limit: 2 }
+      );
+
+      expect(selected.map(m => m.id)).toEqual(['fact', 'lexical-only']);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const mockPrisma = {
+  $executeRaw: jest.fn(),
+  $transaction: jest.fn(),
+  agent: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+  memory: {
+    count: jest.fn(),
+    findMany: jest.fn(),
+  },
+  embeddingJob: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+  Prisma: {
+    sql: jest.requireActual('@prisma/client').Prisma.sql,
+  },
+}));
+
+const ReembeddingService = require('../../services/reembeddingService');
+
+describe('ReembeddingService', () => {
+  let reembeddingService;
+  let jobState;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    reembeddingService = new ReembeddingService();
+    reembeddingService.prisma = mockPrisma;
+
+    jobState = {
+      id: 'job-1',
+      agentId: 'agent-123',
+      provider: 'local',
+      model: 'hashed-ngram-v1',
+      targetModel: 'local/hashed-ngram-v1@1536',
+      status: 'PENDING',
+      batchSize: 2,
+      total: 3,
+      processed: 0,
+      cursor: null,
+    };
+
+    mockPrisma.$transaction.mockResolvedValue([]);
+    mockPrisma.memory.findMany.mockResolvedValue([]);
+    mockPrisma.embeddingJob.update.mockImplementation(async ({ data }) => {
+      jobState = {
+        ...jobState,
+        ...data,
+        processed: data.processed ? jobState.processed + data.processed.increment : jobState.processed,
+      };
+      return jobState;
+    });
+  });
+
+  describe('runJob', () => {
+    it('should re-embed memories in batches and advance the cursor', async () => {
+      mockPrisma.memory.findMany
+        .mockResolvedValueOnce([
+          { id: 'memory-1', content: 'first' },
+          { id: 'memory-2', content: 'second' },
+        ])
+        .mockResolvedValueOnce([{ id: 'memory-3', content: 'third' }])
+        .mockResolvedValueOnce([]);
+
+      await reembeddingService.runJob('job-1');
+
+      expect(mockPrisma.memory.findMany.mock.calls[0][0].where).toMatchObject({
+        agentId: 'agent-123',
+        deletedAt: null,
+      });
+      expect(mockPrisma.memory.findMany.mock.calls[1][0].where.id).toEqual({ gt: 'memory-2' });
+      expect(mockPrisma.$executeRaw).toHaveBeenCalledTimes(3);
+      expect(jobState.processed).toBe(3);
+      expect(jobState.cursor).toBe('memory-3');
+      expect(jobState.status).toBe('COMPLETED');
+    });
+
+    it('should catch up on memories written behind the cursor and switch the agent\'s model', async () => {
+      mockPrisma.memory.findMany
+        .mockResolvedValueOnce([{ id: 'memory-5', content: 'first' }])
+        .mockResolvedValueOnce([])
+        // Written with the old model while the job ran, before the cursor
+        .mockResolvedValueOnce([{ id: 'memory-1', content: 'late write' }])
+        .mockResolvedValueOnce([]);
+
+      await reembeddingService.runJob('job-1');
+
+      const sweep = mockPrisma.memory.findMany.mock.calls[2][0].where;
+      expect(sweep).not.toHaveProperty('id');
+      expect(mockPrisma.$executeRaw).toHaveBeenCalledTimes(2);
+      expect(mockPrisma.agent.update).toHaveBeenCalledWith({
+        where: { id: 'agent-123' },
+        data: { embeddingProvider: 'local', embeddingModel: 'hashed-ngram-v1' },
+      });
+      expect(jobState.status).toBe('COMPLETED');
+      // The switch happens after the catch-up, followed by one more sweep
+      expect(mockPrisma.agent.update.mock.invocationCallOrder[0])
+        .toBeGreaterThan(mockPrisma.memory.findMany.mock.invocationCallOrder[3]);
+      expect(mockPrisma.memory.findMany).toHaveBeenCalledTimes(5);
+    });
+
+    it('should keep the cursor and mark the job failed when a batch fails', async () => {
+      mockPrisma.memory.findMany
+        .mockResolvedValueOnce([{ id: 'memory-1', content: 'first' }])
+        .mockResolvedValueOnce([{ id: 'memory-2', content: 'second' }]);
+      mockPrisma.$transaction
+        .mockResolvedValueOnce([])
+        .mockRejectedValueOnce(new Error('connection lost'));
+
+      await reembeddingService.runJob('job-1');
+
+      expect(jobState.status).toBe('FAILED');
+      expect(jobState.error).toBe('connection lost');
+      expect(jobState.cursor).toBe('memory-1');
+      expect(reembeddingService.activeJobs.has('job-1')).toBe(false);
+    });
+
+    it('should stop after the current batch when the job is paused', async () => {
+      mockPrisma.memory.findMany.mockResolvedValue([{ id: 'memory-1', content: 'first' }]);
+      mockPrisma.embeddingJob.update
+        .mockImplementationOnce(async () => ({ ...jobState, status: 'RUNNING' }))
+        .mockImplementationOnce(async () => ({ ...jobState, status: 'PAUSED', cursor: 'memory-1' }));
+
+      await reembeddingService.runJob('job-1');
+
+      expect(mockPrisma.memory.findMany).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.embeddingJob.update).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('startJob', () => {
+    it('should reject unknown providers', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue({ id: 'agent-123' });
+
+      await expect(reembeddingService.startJob('agent-123', { provider: 'nope' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(mockPrisma.embeddingJob.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a second job while one is in progress', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue({ id: 'agent-123' });
+      mockPrisma.embeddingJob.findFirst.mockResolvedValue({ id: 'job-0', status: 'RUNNING' });
+
+      await expect(reembeddingService.startJob('agent-123', { provider: 'local' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('resumeJob', () => {
+    it('should not resume a completed job', async () => {
+      mockPrisma.embeddingJob.findUnique.mockResolvedValue({ ...jobState, status: 'COMPLETED' });
+
+      await expect(reembeddingService.resumeJob('job-1'))
+        .rejects.toThrow('Embedding job is already completed');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { Prisma } = require('@prisma/client');
+const { buildFilterSql } = require('../../utils/searchFilters');
+const { searchFiltersSchema } = require('../../utils/validation');
+
+const build = filters => buildFilterSql(searchFiltersSchema.validate(filters).value);
+
+describe('searchFilters', () => {
+  describe('buildFilterSql', () => {
+    it('should render nothing without filters', () => {
+      expect(buildFilterSql(null)).toBe(Prisma.empty);
+      expect(buildFilterSql({})).toBe(Prisma.empty);
+    });
+
+    it('should compare metadata values as JSON', () => {
+      const query = build({
+        metadata: [
+          { path: 'context.project', op: 'eq', value: 'alpha' },
+          { path: 'priority', op: 'in', values: [1, 'high'] },
+        ],
+      });
+
+      expect(query.sql).toBe(
+        'AND metadata #> ?::text[] = ?::jsonb AND metadata #> ?::text[] = ANY(?::jsonb[])'
+      );
+      expect(query.values).toEqual([['context', 'project'], '"alpha"', ['priority'], ['1', '"high"']]);
+    });
+
+    it('should compare numeric ranges only against numeric values', () => {
+      const query = build({ metadata: [{ path: 'confidence', op: 'range', gte: 0.5, lt: 1 }] });
+
+      expect(query.sql).toContain("jsonb_typeof(metadata #> ?::text[]) = 'number'");
+      expect(query.sql).toContain('::numeric END) >= ?');
+      expect(query.sql).toContain('::numeric END) < ?');
+      expect(query.values).toEqual(expect.arrayContaining([0.5, 1]));
+    });
+
+    it('should compare string ranges as text', () => {
+      const query = build({ metadata: [{ path: 'dueAt', op: 'range', lte: '2024-06-01' }] });
+
+      expect(query.sql).toBe('AND metadata #>> ?::text[] <= ?');
+      expect(query.values).toEqual([['dueAt'], '2024-06-01']);
+    });
+
+    it('should check metadata presence', () => {
+      expect(build({ metadata: [{ path: 'source', op: 'exists' }] }).sql)
+        .toBe('AND metadata #> ?::text[] IS NOT NULL');
+      expect(build({ metadata: [{ path: 'source', op: 'exists', exists: false }] }).sql)
+        .toBe('AND metadata #> ?::text[] IS NULL');
+    });
+
+    it('should filter sessions, dates and importance', () => {
+      const query = build({
+        sessionIds: ['3f1c8a52-7c1e-4a8e-9c59-2b1f6d0e4a11'],
+        createdAt: { gte: '2024-01-01T00:00:00Z' },
+        lastAccessed: { lt: '2024-02-01T00:00:00Z' },
+        importance: { gt: 0.3 },
+      });
+
+      expect(query.sql).toBe(
+        'AND "sessionId" = ANY(?::text[]) AND "createdAt" >= ? AND "lastAccessed" < ? AND importance > ?'
+      );
+      expect(query.values[1]).toEqual(new Date('2024-01-01T00:00:00Z'));
+    });
+
+    it('should require every tag through the tag tables', () => {
+      const query = build({ tags: ['Billing', 'ops'] });
+
+      expect(query.sql).toContain('FROM memory_tags mt');
+      expect(query.sql).toContain('HAVING COUNT(*) = ?');
+      expect(query.values).toEqual([['billing', 'ops'], 2]);
+    });
+  });
+
+  describe('searchFiltersSchema', () => {
+    it('should reject metadata paths that are not dot-separated keys', () => {
+      const { error } = searchFiltersSchema.validate({
+        metadata: [{ path: 'a; DROP TABLE memories', op: 'exists' }],
+      });
+
+      expect(error).toBeDefined();
+    });
+
+    it('should require operands that match the operator', () => {
+      expect(searchFiltersSchema.validate({ metadata: [{ path: 'a', op: 'eq' }] }).error).toBeDefined();
+      expect(searchFiltersSchema.validate({ metadata: [{ path: 'a', op: 'range' }] }).error).toBeDefined();
+      expect(searchFiltersSchema.validate({ metadata: [{ path: 'a', op: 'in', values: [1], gt: 2 }] }).error)
+        .toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const mockPrisma = {
+  $queryRaw: jest.fn(),
+  memory: {
+    findFirst: jest.fn(),
+  },
+  agent: {
+    findUnique: jest.fn(),
+  },
+  tag: {
+    upsert: jest.fn(),
+    findMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  memoryAuditEntry: {
+    create: jest.fn(),
+  },
+  memoryTag: {
+    createMany: jest.fn(),
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+    delete: jest.fn(),
+    count: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => mockPrisma),
+  Prisma: jest.requireActual('@prisma/client').Prisma,
+}));
+
+const TagService = require('../../services/tagService');
+
+const toSql = call => jest.requireActual('@prisma/client').Prisma.sql(...call);
+
+describe('TagService', () => {
+  let tagService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tagService = new TagService();
+    tagService.prisma = mockPrisma;
+    tagService.memoryAuditService.prisma = mockPrisma;
+
+    mockPrisma.memoryTag.findMany.mockResolvedValue([]);
+  });
+
+  describe('addTags', () => {
+    it('should create missing tags in the agent vocabulary and attach them once', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({ id: 'memory-1', agentId: 'agent-1' });
+      mockPrisma.tag.upsert.mockImplementation(async ({ create }) => ({ id: `tag-${create.name}`, ...create }));
+      mockPrisma.memoryTag.createMany.mockResolvedValue({ count: 2 });
+      mockPrisma.memoryTag.findMany.mockResolvedValue([
+        { tag: { name: 'ops' } },
+        { tag: { name: 'billing' } },
+      ]);
+
+      const tags = await tagService.addTags('memory-1', ['Billing', ' billing ', 'ops']);
+
+      expect(mockPrisma.tag.upsert).toHaveBeenCalledTimes(2);
+      expect(mockPrisma.tag.upsert).toHaveBeenCalledWith({
+        where: { agentId_name: { agentId: 'agent-1', name: 'billing' } },
+        create: { agentId: 'agent-1', name: 'billing' },
+        update: {},
+      });
+      expect(mockPrisma.memoryTag.createMany).toHaveBeenCalledWith({
+        data: [
+          { memoryId: 'memory-1', tagId: 'tag-billing' },
+          { memoryId: 'memory-1', tagId: 'tag-ops' },
+        ],
+        skipDuplicates: true,
+      });
+      expect(tags).toEqual(['billing', 'ops']);
+      expect(mockPrisma.memoryAuditEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should audit tags newly added to a pinned memory', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue({ id: 'memory-1', agentId: 'agent-1', pinned: true });
+      mockPrisma.tag.upsert.mockImplementation(async ({ create }) => ({ id: `tag-${create.name}`, ...create }));
+      mockPrisma.memoryTag.createMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+      await tagService.addTags('memory-1', ['ops'], { actor: 'alice' });
+      await tagService.addTags('memory-1', ['ops'], { actor: 'alice' });
+
+      // The second call changed nothing
+      expect(mockPrisma.memoryAuditEntry.create).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.memoryAuditEntry.create).toHaveBeenCalledWith({
+        data: {
+          memoryId: 'memory-1',
+          action: 'tags',
+          actor: 'alice',
+          details: { change: 'added', tags: ['ops'] },
+        },
+      });
+    });
+
+    it('should return null for a missing or trashed memory', async () => {
+      mockPrisma.memory.findFirst.mockResolvedValue(null);
+
+      expect(await tagService.addTags('memory-1', ['ops'])).toBeNull();
+      expect(mockPrisma.memory.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'memory-1', deletedAt: null },
+      }));
+      expect(mockPrisma.tag.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeTag', () => {
+    it('should detach the tag and drop it once unused', async () => {
+      mockPrisma.memoryTag.findFirst.mockResolvedValue({
+        memoryId: 'memory-1',
+        tagId: 'tag-1',
+        memory: { pinned: false },
+      });
+      mockPrisma.memoryTag.delete.mockResolvedValue({});
+      mockPrisma.memoryTag.count.mockResolvedValue(0);
+      mockPrisma.tag.deleteMany.mockResolvedValue({ count: 1 });
+
+      expect(await tagService.removeTag('memory-1', 'OPS')).toBe(true);
+
+      expect(mockPrisma.memoryTag.findFirst).toHaveBeenCalledWith({
+        where: { memoryId: 'memory-1', tag: { name: 'ops' }, memory: { deletedAt: null } },
+        include: { memory: { select: { pinned: true } } },
+      });
+      expect(mockPrisma.memoryTag.delete).toHaveBeenCalledWith({
+        where: { memoryId_tagId: { memoryId: 'memory-1', tagId: 'tag-1' } },
+      });
+      expect(mockPrisma.tag.deleteMany).toHaveBeenCalledWith({ where: { id: 'tag-1' } });
+      expect(mockPrisma.memoryAuditEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('should audit removing a tag from a pinned memory', async () => {
+      mockPrisma.memoryTag.findFirst.mockResolvedValue({
+        memoryId: 'memory-1',
+        tagId: 'tag-1',
+        memory: { pinned: true },
+      });
+      mockPrisma.memoryTag.delete.mockResolvedValue({});
+      mockPrisma.memoryTag.count.mockResolvedValue(1);
+
+      await tagService.removeTag('memory-1', 'OPS', { actor: 'alice' });
+
+      expect(mockPrisma.memoryAuditEntry.create).toHaveBeenCalledWith({
+        data: {
+          memoryId: 'memory-1',
+          action: 'tags',
+          actor: 'alice',
+          details: { change: 'removed', tags: ['ops'] },
+        },
+      });
+    });
+
+    it('should keep tags other memories still use', async () => {
+      mockPrisma.memoryTag.findFirst.mockResolvedValue({
+        memoryId: 'memory-1',
+        tagId: 'tag-1',
+        memory: { pinned: false },
+      });
+      mockPrisma.memoryTag.delete.mockResolvedValue({});
+      mockPrisma.memoryTag.count.mockResolvedValue(3);
+
+      await tagService.removeTag('memory-1', 'ops');
+
+      expect(mockPrisma.tag.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should return false when the memory does not carry the tag or is trashed', async () => {
+      mockPrisma.memoryTag.findFirst.mockResolvedValue(null);
+
+      expect(await tagService.removeTag('memory-1', 'ops')).toBe(false);
+      expect(mockPrisma.memoryTag.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listTags', () => {
+    it('should count untrashed memories per tag, most used first', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue({ id: 'agent-1' });
+      mockPrisma.tag.findMany.mockResolvedValue([
+        { name: 'ops', _count: { memories: 1 } },
+        { name: 'billing', _count: { memories: 4 } },
+        { name: 'alerts', _count: { memories: 1 } },
+      ]);
+
+      const tags = await tagService.listTags('agent-1');
+
+      expect(mockPrisma.tag.findMany).toHaveBeenCalledWith({
+        where: { agentId: 'agent-1' },
+        select: {
+          name: true,
+          _count: { select: { memories: { where: { memory: { deletedAt: null } } } } },
+        },
+      });
+      expect(tags).toEqual([
+        { name: 'billing', count: 4 },
+        { name: 'alerts', count: 1 },
+        { name: 'ops', count: 1 },
+      ]);
+    });
+
+    it('should return null for an unknown agent', async () => {
+      mockPrisma.agent.findUnique.mockResolvedValue(null);
+
+      expect(await tagService.listTags('missing')).toBeNull();
+    });
+  });
+
+  describe('getTagBreakdown', () => {
+    it('should scope the breakdown to an agent and time range', async () => {
+      const since = new Date('2024-06-01T00:00:00Z');
+      mockPrisma.$queryRaw.mockResolvedValue([{ name: 'billing', count: 2 }]);
+
+      const breakdown = await tagService.getTagBreakdown('agent-1', { since, limit: 5 });
+
+      const query = toSql(mockPrisma.$queryRaw.mock.calls[0]);
+      expect(query.sql).toContain('m."deletedAt" IS NULL');
+      expect(query.values).toEqual(['agent-1', since, 5]);
+      expect(breakdown).toEqual([{ name: 'billing', count: 2 }]);
+    });
+
+    it('should cover all agents by default', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+
+      await tagService.getTagBreakdown();
+
+      const query = toSql(mockPrisma.$queryRaw.mock.calls[0]);
+      expect(query.sql).not.toContain('"agentId"');
+      expect(query.values).toEqual([50]);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const createHttpError = require('./httpError');
+
+// Opaque keyset cursors: the sort value and id of the last row of a page plus the sort and
+// order the page was listed in, base64url-encoded. Dates are carried as ISO strings and
+// revived on decode
+function encodeCursor(value, id, { sort, order }) {
+  const payload = value instanceof Date ? { d: value.toISOString(), id } : { v: value, id };
+  return Buffer.from(JSON.stringify({ ...payload, s: sort, o: order })).toString('base64url');
+}
+
+// The sort value only means something under the ordering that produced it, so a cursor is
+// rejected when reused with a different sort or order
+function decodeCursor(cursor, { sort, order }) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof payload.id !== 'string' || (payload.d === undefined && payload.v === undefined)) {
+      throw new Error('Malformed cursor');
+    }
+  } catch (error) {
+    throw createHttpError(400, 'Invalid cursor');
+  }
+
+  if (payload.s !== sort || payload.o !== order) {
+    throw createHttpError(400, `Cursor was issued for sort=${payload.s}&order=${payload.o}; pass the same sort and order`);
+  }
+
+  return {
+    value: payload.d !== undefined ? new Date(payload.d) : payload.v,
+    id: payload.id,
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
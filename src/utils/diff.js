@@ -0,0 +1,39 @@
+// Line diff via longest common subsequence. Returns { op, line } entries where op is
+// ' ' (unchanged), '-' (only in `before`) or '+' (only in `after`)
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ op: '-', line: a[i++] });
+    } else {
+      changes.push({ op: '+', line: b[j++] });
+    }
+  }
+  a.slice(i).forEach(line => changes.push({ op: '-', line }));
+  b.slice(j).forEach(line => changes.push({ op: '+', line }));
+
+  return changes;
+}
+
+module.exports = {
+  diffLines,
+};
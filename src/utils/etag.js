@@ -0,0 +1,24 @@
+// ETags for versioned resources are the quoted version number, e.g. "7"
+function formatETag(version) {
+  return `"${version}"`;
+}
+
+// Versions accepted by an If-Match header: null when the header is absent or `*` (any
+// version matches), otherwise the listed versions. Weak tags compare like strong ones;
+// tags that aren't versions can never match, so they leave an empty list
+function parseIfMatch(header) {
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .filter(tag => /^"\d+"$/.test(tag))
+    .map(tag => parseInt(tag.slice(1, -1)));
+}
+
+module.exports = {
+  formatETag,
+  parseIfMatch,
+};
@@ -0,0 +1,48 @@
+const MEMORY_TYPES = ['EPISODIC', 'SEMANTIC', 'PROCEDURAL', 'WORKING', 'ARCHIVED'];
+
+// Settings an agent's evolution policy can override
+const POLICY_FIELDS = ['decayRate', 'archiveThreshold', 'maxAgeDays', 'similarityThreshold'];
+
+// Effective settings for one memory type: the type's overrides, then the agent-wide ones, then
+// the global defaults. Without a type only the agent-wide overrides apply
+function resolvePolicy(defaults, policy, type = null) {
+  const agentWide = policy || {};
+  const typed = (type && agentWide.types && agentWide.types[type]) || {};
+
+  return Object.fromEntries(POLICY_FIELDS.map(field => [
+    field,
+    typed[field] ?? agentWide[field] ?? defaults[field],
+  ]));
+}
+
+// Split all memories into scopes that share settings, so a job can run one query per scope:
+// every overridden type of an agent with a policy, the rest of that agent's memories, and all
+// agents without a policy. `policies` maps agent ids to their policy; each scope is a Prisma
+// where clause with the settings that apply to it
+function policyScopes(defaults, policies) {
+  const scopes = [{
+    where: { agentId: { notIn: [...policies.keys()] } },
+    settings: resolvePolicy(defaults, null),
+  }];
+
+  for (const [agentId, policy] of policies) {
+    const types = Object.keys(policy.types || {});
+
+    types.forEach(type => {
+      scopes.push({ where: { agentId, type }, settings: resolvePolicy(defaults, policy, type) });
+    });
+    scopes.push({
+      where: { agentId, ...(types.length > 0 && { type: { notIn: types } }) },
+      settings: resolvePolicy(defaults, policy),
+    });
+  }
+
+  return scopes;
+}
+
+module.exports = {
+  MEMORY_TYPES,
+  POLICY_FIELDS,
+  resolvePolicy,
+  policyScopes,
+};
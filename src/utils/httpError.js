@@ -0,0 +1,9 @@
+// Errors carrying an HTTP status, so routes (and the error handler) can respond
+// with something more specific than a 500
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = createHttpError;
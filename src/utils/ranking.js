@@ -0,0 +1,138 @@
+// Reciprocal rank fusion: every ranked list contributes 1 / (k + rank) for each id it
+// contains (ranks start at 1), so items near the top of several lists win without the
+// lists' raw scores having to be on the same scale
+function reciprocalRankFusion(rankedLists, k = 60) {
+  const scores = new Map();
+
+  rankedLists.forEach(list => {
+    list.forEach((id, index) => {
+      scores.set(id, (scores.get(id) || 0) + 1 / (k + index + 1));
+    });
+  });
+
+  return scores;
+}
+
+// Convex combination of scores already normalized to [0, 1]; missing scores count as 0
+function weightedFusion(scores, weights) {
+  return Object.keys(weights).reduce(
+    (total, key) => total + weights[key] * Math.max(0, scores[key] || 0),
+    0
+  );
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Generative-agents style retrieval: relevance, recency and importance weighted equally,
+// with a smaller nudge for frequently used memories
+const DEFAULT_SCORING = {
+  weights: {
+    relevance: 1,
+    recency: 1,
+    importance: 1,
+    accessCount: 0.5,
+  },
+  recencyHalfLifeHours: 168,
+};
+
+// Layer request options over agent defaults over DEFAULT_SCORING
+function resolveScoring(...layers) {
+  return layers.filter(Boolean).reduce((scoring, layer) => ({
+    ...scoring,
+    ...layer,
+    weights: { ...scoring.weights, ...layer.weights },
+  }), DEFAULT_SCORING);
+}
+
+// Re-rank search results by a weighted mean of normalized components:
+//   relevance   - the search score, scaled so the best candidate scores 1
+//   recency     - exponential decay since lastAccessed with the configured half-life
+//   importance  - the memory's importance, clamped to [0, 1]
+//   accessCount - log(1 + accessCount), scaled by the most accessed candidate
+function compositeRank(memories, scoring, now = new Date()) {
+  const { weights, recencyHalfLifeHours } = scoring;
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const maxRelevance = Math.max(0, ...memories.map(memory => memory.score || 0));
+  const maxAccess = Math.max(0, ...memories.map(memory => Math.log1p(memory.accessCount || 0)));
+
+  return memories
+    .map(memory => {
+      const hoursSinceAccess = Math.max(0, (now - new Date(memory.lastAccessed)) / HOUR_MS);
+      const components = {
+        relevance: maxRelevance > 0 ? Math.max(0, memory.score || 0) / maxRelevance : 0,
+        recency: Math.pow(0.5, hoursSinceAccess / recencyHalfLifeHours),
+        importance: Math.min(1, Math.max(0, memory.importance)),
+        accessCount: maxAccess > 0 ? Math.log1p(memory.accessCount || 0) / maxAccess : 0,
+      };
+      const score = totalWeight > 0
+        ? weightedFusion(components, weights) / totalWeight
+        : components.relevance;
+
+      return {
+        ...memory,
+        score,
+        scores: { ...memory.scores, ...components },
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Maximal marginal relevance (Carbonell & Goldstein): greedily pick the candidate with the
+// best lambda * relevance - (1 - lambda) * (max similarity to anything already picked).
+// lambda = 1 is plain relevance order, lower values trade relevance for diversity.
+// Candidates from the original top `limit` that lost their place are returned as
+// `suppressed`, with the picked memory they were most similar to
+function maximalMarginalRelevance(memories, embeddings, similarity, { lambda, limit }) {
+  const maxRelevance = Math.max(0, ...memories.map(memory => memory.score || 0));
+  const relevance = memory => (maxRelevance > 0 ? Math.max(0, memory.score || 0) / maxRelevance : 0);
+
+  const remaining = [...memories];
+  const selected = [];
+  // Highest similarity of each remaining candidate to the selected set, and to which memory
+  const redundancy = new Map(memories.map(memory => [memory.id, { similarity: 0, id: null }]));
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((memory, index) => {
+      const marginal = lambda * relevance(memory) - (1 - lambda) * redundancy.get(memory.id).similarity;
+      if (marginal > bestScore) {
+        bestScore = marginal;
+        bestIndex = index;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    selected.push({ ...picked, scores: { ...picked.scores, mmr: bestScore } });
+
+    remaining.forEach(memory => {
+      const value = similarity(embeddings.get(memory.id), embeddings.get(picked.id));
+      if (value > redundancy.get(memory.id).similarity) {
+        redundancy.set(memory.id, { similarity: value, id: picked.id });
+      }
+    });
+  }
+
+  const selectedIds = new Set(selected.map(memory => memory.id));
+  const suppressed = memories
+    .slice(0, limit)
+    .filter(memory => !selectedIds.has(memory.id))
+    .map(memory => ({
+      id: memory.id,
+      score: memory.score,
+      redundantWith: redundancy.get(memory.id).id,
+      similarity: redundancy.get(memory.id).similarity,
+    }));
+
+  return { selected, suppressed };
+}
+
+module.exports = {
+  DEFAULT_SCORING,
+  reciprocalRankFusion,
+  weightedFusion,
+  resolveScoring,
+  compositeRank,
+  maximalMarginalRelevance,
+};
@@ -0,0 +1,96 @@
+const { Prisma } = require('@prisma/client');
+
+const RANGE_OPERATORS = {
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+
+// Comparisons for whichever of gt/gte/lt/lte the range specifies
+function rangeConditions(expression, range) {
+  return Object.keys(RANGE_OPERATORS)
+    .filter(key => range[key] !== undefined)
+    .map(key => Prisma.sql`${expression} ${Prisma.raw(RANGE_OPERATORS[key])} ${range[key]}`);
+}
+
+// Conditions on the JSON value at a dot-separated metadata path
+function metadataConditions(filter) {
+  const value = Prisma.sql`metadata #> ${filter.path.split('.')}::text[]`;
+  const text = Prisma.sql`metadata #>> ${filter.path.split('.')}::text[]`;
+
+  switch (filter.op) {
+    case 'eq':
+      return [Prisma.sql`${value} = ${JSON.stringify(filter.value)}::jsonb`];
+    case 'in':
+      return [Prisma.sql`${value} = ANY(${filter.values.map(v => JSON.stringify(v))}::jsonb[])`];
+    case 'exists':
+      return [filter.exists === false ? Prisma.sql`${value} IS NULL` : Prisma.sql`${value} IS NOT NULL`];
+    case 'range': {
+      // Numeric bounds compare numbers only (the CASE keeps the cast away from other JSON
+      // types); string bounds compare text, which orders ISO-8601 timestamps correctly
+      const numeric = Object.keys(RANGE_OPERATORS)
+        .map(key => filter[key])
+        .filter(bound => bound !== undefined)
+        .every(bound => typeof bound === 'number');
+      const expression = numeric
+        ? Prisma.sql`(CASE WHEN jsonb_typeof(${value}) = 'number' THEN (${text})::numeric END)`
+        : text;
+      return rangeConditions(expression, filter);
+    }
+    default:
+      throw new Error(`Unsupported metadata filter operator: ${filter.op}`);
+  }
+}
+
+// Render search filters as `AND ...` conditions on the memories table, so they are applied
+// by PostgreSQL before candidates are ranked. Expects input validated by searchFiltersSchema
+function buildFilterSql(filters) {
+  if (!filters) {
+    return Prisma.empty;
+  }
+
+  const conditions = [];
+
+  (filters.metadata || []).forEach(filter => {
+    conditions.push(...metadataConditions(filter));
+  });
+
+  if (filters.sessionIds) {
+    conditions.push(Prisma.sql`"sessionId" = ANY(${filters.sessionIds}::text[])`);
+  }
+
+  if (filters.createdAt) {
+    conditions.push(...rangeConditions(Prisma.sql`"createdAt"`, filters.createdAt));
+  }
+
+  if (filters.lastAccessed) {
+    conditions.push(...rangeConditions(Prisma.sql`"lastAccessed"`, filters.lastAccessed));
+  }
+
+  if (filters.importance) {
+    conditions.push(...rangeConditions(Prisma.sql`importance`, filters.importance));
+  }
+
+  if (filters.tags) {
+    // Tag names are unique per agent, so a memory carrying all tags matches each name once
+    conditions.push(Prisma.sql`id IN (
+      SELECT mt."memoryId"
+      FROM memory_tags mt
+      JOIN tags t ON t.id = mt."tagId"
+      WHERE t.name = ANY(${filters.tags}::text[])
+      GROUP BY mt."memoryId"
+      HAVING COUNT(*) = ${filters.tags.length}
+    )`);
+  }
+
+  if (conditions.length === 0) {
+    return Prisma.empty;
+  }
+
+  return Prisma.join(conditions, ' AND ', 'AND ', '');
+}
+
+module.exports = {
+  buildFilterSql,
+};
@@ -0,0 +1,15 @@
+// Rough token count for budgeting prompts: about four characters per token for English
+// text with BPE tokenizers, rounded up so budgets err on the safe side
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+module.exports = {
+  estimateTokens,
+};
@@ -0,0 +1,82 @@
+const Joi = require('joi');
+const { MEMORY_TYPES } = require('./evolutionPolicy');
+
+// Composite retrieval scoring (see compositeRank in utils/ranking.js), accepted per search
+// request and stored as per-agent defaults
+const retrievalScoringSchema = Joi.object({
+  weights: Joi.object({
+    relevance: Joi.number().min(0),
+    recency: Joi.number().min(0),
+    importance: Joi.number().min(0),
+    accessCount: Joi.number().min(0),
+  }),
+  recencyHalfLifeHours: Joi.number().positive(),
+});
+
+// Per-agent overrides of the global evolution settings (see utils/evolutionPolicy.js);
+// `types` overrides them again for single memory types
+const evolutionSettings = {
+  decayRate: Joi.number().min(0).max(1),
+  archiveThreshold: Joi.number().min(0).max(1),
+  maxAgeDays: Joi.number().integer().min(1),
+  similarityThreshold: Joi.number().min(0).max(1),
+};
+
+const evolutionPolicySchema = Joi.object({
+  ...evolutionSettings,
+  types: Joi.object().pattern(Joi.string().valid(...MEMORY_TYPES), Joi.object(evolutionSettings).min(1)),
+});
+
+const dateRangeSchema = Joi.object({
+  gt: Joi.date().iso(),
+  gte: Joi.date().iso(),
+  lt: Joi.date().iso(),
+  lte: Joi.date().iso(),
+}).or('gt', 'gte', 'lt', 'lte');
+
+const numberRangeSchema = Joi.object({
+  gt: Joi.number(),
+  gte: Joi.number(),
+  lt: Joi.number(),
+  lte: Joi.number(),
+}).or('gt', 'gte', 'lt', 'lte');
+
+// Numbers compare numerically, strings (e.g. ISO timestamps) lexically
+const rangeBound = Joi.alternatives().try(Joi.number().strict(), Joi.string());
+
+// Dot-separated path into Memory.metadata, e.g. "source" or "context.project"
+const metadataFilterSchema = Joi.object({
+  path: Joi.string().pattern(/^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/).max(200).required(),
+  op: Joi.string().valid('eq', 'in', 'range', 'exists').required(),
+  value: Joi.any().when('op', { is: 'eq', then: Joi.required(), otherwise: Joi.forbidden() }),
+  values: Joi.array().min(1).max(100)
+    .when('op', { is: 'in', then: Joi.required(), otherwise: Joi.forbidden() }),
+  gt: rangeBound.when('op', { is: 'range', otherwise: Joi.forbidden() }),
+  gte: rangeBound.when('op', { is: 'range', otherwise: Joi.forbidden() }),
+  lt: rangeBound.when('op', { is: 'range', otherwise: Joi.forbidden() }),
+  lte: rangeBound.when('op', { is: 'range', otherwise: Joi.forbidden() }),
+  exists: Joi.boolean().when('op', { is: 'exists', otherwise: Joi.forbidden() }),
+}).when(Joi.object({ op: 'range' }).unknown(), {
+  then: Joi.object().or('gt', 'gte', 'lt', 'lte'),
+});
+
+// Tag names are case-insensitive: trimmed and lowercased on validation
+const tagSchema = Joi.string().trim().lowercase().min(1).max(50).pattern(/^[\w:./-]+$/);
+
+// Structured search filters, applied in SQL before ranking (see utils/searchFilters.js)
+const searchFiltersSchema = Joi.object({
+  metadata: Joi.array().items(metadataFilterSchema).max(20),
+  sessionIds: Joi.array().items(Joi.string().uuid()).min(1).max(100),
+  createdAt: dateRangeSchema,
+  lastAccessed: dateRangeSchema,
+  importance: numberRangeSchema,
+  // Memories must carry every listed tag
+  tags: Joi.array().items(tagSchema).min(1).max(20),
+});
+
+module.exports = {
+  retrievalScoringSchema,
+  evolutionPolicySchema,
+  searchFiltersSchema,
+  tagSchema,
+};
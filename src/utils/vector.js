@@ -0,0 +1,44 @@
+const { Prisma } = require('@prisma/client');
+const pgvector = require('pgvector');
+
+// Must match the vector(N) type of memories.embedding in prisma/schema.prisma
+const EMBEDDING_DIMENSIONS = 1536;
+
+// An HNSW scan yields at most hnsw.ef_search candidates (pgvector's default is 40) and the
+// WHERE filters only run on those, so a query's LIMIT can't be met past it. 1000 is
+// pgvector's upper bound
+const HNSW_EF_SEARCH = parseInt(process.env.HNSW_EF_SEARCH) || 100;
+const HNSW_MAX_EF_SEARCH = 1000;
+
+// Render an embedding array as a vector-typed SQL parameter
+function toVectorSql(embedding) {
+  return Prisma.sql`${pgvector.toSql(embedding)}::vector`;
+}
+
+// Parse the text form of a vector column (e.g. `embedding::text`) back into an array
+function fromVectorSql(value) {
+  if (!value) {
+    return null;
+  }
+
+  return pgvector.fromSql(value);
+}
+
+// Run a nearest-neighbour query with hnsw.ef_search raised to at least `limit` for the
+// duration of its transaction. `query` receives the transaction client
+async function withEfSearch(prisma, limit, query) {
+  const efSearch = Math.min(Math.max(HNSW_EF_SEARCH, parseInt(limit) || 0), HNSW_MAX_EF_SEARCH);
+
+  return prisma.$transaction(async tx => {
+    // SET can't take a bind parameter; efSearch is always an integer here
+    await tx.$executeRawUnsafe(`SET LOCAL hnsw.ef_search = ${efSearch}`);
+    return query(tx);
+  });
+}
+
+module.exports = {
+  EMBEDDING_DIMENSIONS,
+  toVectorSql,
+  fromVectorSql,
+  withEfSearch,
+};